@@ -1,7 +1,7 @@
 module.exports = function (grunt) {
 	grunt.initConfig({
 		mocha: {
-			all: ['test/**/*.html']
+			all: ['test/index.html']
 		}
 	});
 
@@ -0,0 +1,121 @@
+/**
+ * Compares keyed reconciliation of CollectionView with rebuilding the container,
+ * which CollectionView did before, on a list of 5,000 items.
+ * Each scenario reports time and number of inserted elements, less insertions mean less reflow.
+ */
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/CollectionView"
+], function (
+	$,
+	_,
+	Backbone,
+	CollectionView
+) {
+	var count = 5000;
+
+	function createView() {
+		var collection = new Backbone.Collection(_.map(_.range(count), function (i) {
+				return {id: i, name: "item " + i, load: (i * 7919) % count};
+			})),
+			view = new CollectionView({
+				collection: collection,
+				itemView: CollectionView.prototype.itemView.extend({
+					template: "<%- name %> <%- load %>"
+				})
+			});
+		view.open(document.body);
+		return view;
+	}
+
+	/**
+	 * Count elements inserted into the container while callback runs
+	 */
+	function measure(container, callback) {
+		var insertBefore = container.insertBefore,
+			appendChild = container.appendChild,
+			inserted = 0,
+			start;
+
+		container.insertBefore = function () {
+			inserted++;
+			return insertBefore.apply(this, arguments);
+		};
+		container.appendChild = function (node) {
+			inserted += node.nodeType === 11 ? node.childNodes.length : 1;
+			return appendChild.apply(this, arguments);
+		};
+		start = Date.now();
+		callback();
+		// force layout, as browser does before painting
+		container.getBoundingClientRect();
+		delete container.insertBefore;
+		delete container.appendChild;
+		return {
+			time: Date.now() - start,
+			inserted: inserted
+		};
+	}
+
+	/**
+	 * Previous implementation: all elements are moved into a fragment and the container is rebuilt
+	 */
+	function rebuild(view, models) {
+		var byCid = {},
+			fragment = document.createDocumentFragment();
+
+		_.each(view.children, function (child) {
+			byCid[child.model.cid] = child;
+		});
+		_.each(models, function (model) {
+			if (byCid[model.cid]) {
+				fragment.appendChild(byCid[model.cid].el);
+			}
+		});
+		$(view.getItemsContainer()).html(fragment);
+	}
+
+	var scenarios = {
+		"reverse order": function (models) {
+			return models.slice().reverse();
+		},
+		"move one item": function (models) {
+			var moved = models.slice(1);
+			moved.splice(count / 2, 0, models[0]);
+			return moved;
+		},
+		"sort by other attribute": function (models) {
+			return _.sortBy(models, function (model) {
+				return model.get("load");
+			});
+		}
+	};
+
+	return function run() {
+		var results = [];
+		_.each(scenarios, function (reorder, name) {
+			var view = createView(),
+				models = reorder(view.collection.toArray()),
+				before = measure(view.getItemsContainer(), function () {
+					rebuild(view, models);
+				}),
+				after;
+
+			view.destroy();
+			view = createView();
+			models = reorder(view.collection.toArray());
+			after = measure(view.getItemsContainer(), function () {
+				view.renderItems(models);
+			});
+			view.destroy();
+			results.push({
+				scenario: name,
+				rebuild: before,
+				reconcile: after
+			});
+		});
+		return results;
+	};
+});
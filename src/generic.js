@@ -1,15 +1,36 @@
 define("generic", [
 	"generic/View",
 	"generic/CollectionView",
-	"generic/TableView"
+	"generic/TableView",
+	"generic/TreeView",
+	"generic/TableRowView",
+	"generic/GroupRowView",
+	"generic/Pager",
+	"generic/StateStore",
+	"generic/aggregates",
+	"generic/templates"
 ], function (
 	View,
 	CollectionView,
-	TableView
+	TableView,
+	TreeView,
+	TableRowView,
+	GroupRowView,
+	Pager,
+	StateStore,
+	aggregates,
+	templates
 ) {
 	return {
 		View: View,
 		CollectionView: CollectionView,
-		TableView: TableView
+		TableView: TableView,
+		TreeView: TreeView,
+		TableRowView: TableRowView,
+		GroupRowView: GroupRowView,
+		Pager: Pager,
+		StateStore: StateStore,
+		aggregates: aggregates,
+		templates: templates
 	};
 });
@@ -16,6 +16,184 @@
  *		});
  *		view.render();
  *		container.append(view.el);
+ *
+ * Filtering
+ * ---------
+ *
+ * Items are displayed only if they pass all named filters (or any of them if {@link #filterMode} is "or"),
+ * search filter (see {@link #search}) and collection's own `checkFilter` method if it's defined.
+ * Filters are added and removed at runtime, so several controls can filter the same view independently:
+ *
+ * 		@example
+ *		view.addFilter("status", {status: "running"});
+ *		view.addFilter("provider", {provider: ["aws", "gce"]});
+ *		view.addFilter("cpu", {cpu: {min: 2, max: 8}});
+ *		view.addFilter("tagged", function (model) { return model.get("tags").length > 0; });
+ *		view.addFilter("location", {or: [{region: "us-east-1"}, {"location.zone": "eu-west-1a"}]});
+ *		view.removeFilter("status");
+ *
+ * Filter is a predicate function or an object which maps attribute names (or dotted paths) to conditions:
+ *
+ * * array - attribute value is one of the array's items
+ * * object with `min` and/or `max` - attribute value is in range, bounds are included
+ * * function - called with attribute value, returns boolean
+ * * other value - attribute value is equal to it
+ *
+ * Objects `{and: [...]}` and `{or: [...]}` compose filters.
+ *
+ * Searching
+ * ---------
+ *
+ * {@link #search} displays items which match all words of the query in any of {@link #searchProperties}.
+ * Words are matched as literal text ignoring case, quoted phrases are matched as a whole,
+ * `field:value` terms match only given attribute (dotted paths are supported), other prefixes are part of the word,
+ * so "http://host" is matched as text, see {@link #isSearchField}:
+ *
+ * 		@example
+ *		view.search('status:running "web server" eu');
+ *
+ * With {@link #searchMode} "regex" words are treated as regular expressions.
+ * Item views receive `collectionView` option and can highlight matches
+ * with {@link #getSearchMatches} and {@link Generic.CollectionView#highlight}:
+ *
+ * 		@example
+ *		var ItemView = View.extend({
+ *			initialize: function (options) {
+ *				View.prototype.initialize.apply(this, arguments);
+ *				this.collectionView = options.collectionView;
+ *				this.collectionView.on("search:change", this.render, this);
+ *			},
+ *			render: function () {
+ *				var matches = this.collectionView.getSearchMatches(this.model);
+ *				this.$el.html(CollectionView.highlight(this.model.get("name"), matches.name));
+ *				return this;
+ *			}
+ *		});
+ *
+ * Live updates
+ * ------------
+ *
+ * When model's attribute is changed, CollectionView re-applies collection's comparator, filters and search,
+ * so the item is moved, hidden or revealed. Changes are batched and only affected items are moved.
+ * Use {@link #liveAttributes} to limit attributes which trigger re-evaluation, or disable it with {@link #liveUpdate}.
+ *
+ * Paging
+ * ------
+ *
+ * If {@link #pageSize} is specified, only one page of filtered items is displayed.
+ * Use {@link #goToPage}, {@link #nextPage}, {@link #prevPage} to navigate, {@link #event-page_change} notifies about
+ * current page, page count and total number of filtered items. Filtering and searching return to the first page.
+ * {@link Generic.Pager} view can be used as navigation control.
+ *
+ * 		@example
+ *		var view = new CollectionView({
+ *			collection: collection,
+ *			pageSize: 20
+ *		});
+ *		var pager = new Pager({collectionView: view});
+ *
+ * Remote mode
+ * -----------
+ *
+ * With {@link #remote} option filtering, searching, sorting and paging are done by the server.
+ * The view fetches the collection with query parameters (see {@link #getQueryParams}) whenever the query
+ * is changed and displays models in the order they are returned. Request of previous query is aborted,
+ * and the collection is reset only with the response of the latest request.
+ * Total number of items is read from `total` property of the response or from "X-Total-Count" header,
+ * see {@link #getRemoteTotal}. Collection's `parse` should return models of the page.
+ * {@link #event-search_change} is fired when the page for new query is loaded.
+ *
+ * Only filters described by attributes' values and ranges are sent to the server. Filters which are functions,
+ * `and`/`or` combinations and functions of attributes can't be serialized: {@link #addFilter} and {@link #setFilters}
+ * throw an error for them in remote mode. {@link #filterMode} isn't sent either, server combines filters with "and".
+ * Override {@link #serializeFilter} to send such filters in a form your server understands.
+ *
+ * 		@example
+ *		var view = new TableView({
+ *			collection: instances,
+ *			remote: true,
+ *			pageSize: 50,
+ *			columns: [{title: "Name", key: "name", sortable: true}]
+ *		});
+ *		view.addFilter("state", {state: ["running", "stopped"]});
+ *		// GET /instances?page=1&pageSize=50&state[]=running&state[]=stopped
+ *
+ * Infinite scroll
+ * ---------------
+ *
+ * With {@link #infinite} option the view loads next chunk of data when user scrolls to the end of items.
+ * The end is marked by a sentinel element, which is watched with IntersectionObserver if browser supports it,
+ * otherwise scroll position of the {@link #scrollContainer} is checked. {@link #loadMore} fetches the next chunk
+ * with `remove: false`, so views of new models are added after existing ones. While the chunk is loading,
+ * the sentinel has "loading" class and displays {@link #loadingView}. Loading stops when a chunk has less than
+ * {@link #loadMoreSize} models or the response has `hasMore: false`, see {@link #checkHasMore}.
+ * If the chunk fails to load, the sentinel gets "error" class and {@link #event-more_end} receives the error.
+ * Paging should not be used together with infinite scroll.
+ *
+ * 		@example
+ *		var view = new CollectionView({
+ *			collection: feed,
+ *			infinite: true,
+ *			loadMoreSize: 20,
+ *			loadingView: SpinnerView
+ *		});
+ *		// GET /feed?offset=20&limit=20
+ *
+ * Empty, loading and error states
+ * -------------------------------
+ *
+ * {@link #loadingView} is displayed while the collection is fetched (between its "request" and "sync" events),
+ * {@link #errorView} is displayed when fetching fails, it can trigger "retry" event to fetch the collection again,
+ * see {@link #retry}. {@link #emptyView} is displayed when there is nothing to display. Status views are created
+ * with `collectionView` and `status` options, see {@link #getStatus}; status "noMatches" means that the collection
+ * has models but they don't pass filters or search, so empty view can suggest to change the query.
+ *
+ * 		@example
+ *		var view = new CollectionView({
+ *			collection: collection,
+ *			emptyView: View.extend({
+ *				initialize: function (options) {
+ *					this.template = options.status === "noMatches" ? "No matches for your search" : "No data";
+ *					View.prototype.initialize.apply(this, arguments);
+ *				}
+ *			}),
+ *			loadingView: SpinnerView,
+ *			errorView: ErrorView
+ *		});
+ *
+ * Virtual scrolling
+ * -----------------
+ *
+ * For large collections set {@link #virtual} option. CollectionView keeps alive only item views
+ * which are visible in the {@link #scrollContainer} (plus {@link #overscan} items around),
+ * views are recycled while user scrolls and spacers keep correct scroll height.
+ * Filtering, searching and sorting are applied to the whole collection. Paging is not used in virtual mode.
+ *
+ * 		@example
+ *		var view = new CollectionView({
+ *			collection: collection,
+ *			virtual: true,
+ *			itemHeight: 24
+ *		});
+ *		view.render();
+ *		view.$el.css({height: 400, overflow: "auto"});
+ *		view.open(container);
+ *
+ * Server rendering
+ * ----------------
+ *
+ * Item views' elements are marked with `data-item-key` attribute (see {@link #getItemKey}),
+ * so {@link #hydrate} matches prerendered items with models of the collection: views of matched items
+ * are hydrated, missing items are rendered and items of unknown models are removed.
+ * Auxiliary elements (status view, sentinel of infinite scroll) are rendered again, virtual view is fully re-rendered
+ * because it depends on measurements of rendered items.
+ * The collection should contain the same models as on the server when the view is hydrated.
+ *
+ * 		@example
+ *		var view = new CollectionView({
+ *			collection: new Collection(bootstrappedData)
+ *		});
+ *		view.hydrate($("#instances"));
  *	    
  */
 define([
@@ -27,286 +205,2148 @@ define([
 	_,
 	View
 ) {
+	/**
+	 * Options which are copied from constructor's options to the view
+	 * @private
+	 */
+	var viewOptions = ["searchProperties", "searchMode", "searchDebounce", "filterMode", "liveUpdate", "liveAttributes", "pageSize", "virtual", "itemHeight", "overscan", "scrollContainer", "recycleViews", "detachFilteredViews", "emptyView", "loadingView", "errorView", "remote", "infinite", "infiniteThreshold", "loadMoreSize", "loadMore"];
+
+	/**
+	 * Check single attribute's condition of filter object
+	 * @private
+	 */
+	function checkCondition(value, condition) {
+		if (_.isArray(condition)) {
+			return _.contains(condition, value);
+		}
+		if (_.isFunction(condition)) {
+			return !!condition(value);
+		}
+		if (_.isObject(condition) && (_.has(condition, "min") || _.has(condition, "max"))) {
+			return value != null &&
+				(condition.min == null || value >= condition.min) &&
+				(condition.max == null || value <= condition.max);
+		}
+		return value === condition;
+	}
+
+	/**
+	 * Convert filter description into predicate function
+	 * @private
+	 */
+	function compileFilter(spec) {
+		var predicates;
+		if (_.isFunction(spec)) {
+			return spec;
+		}
+		if (spec.and || spec.or) {
+			predicates = _.map(spec.and || spec.or, compileFilter);
+			return function (model) {
+				return spec.and ? _.every(predicates, function (predicate) {
+					return predicate(model);
+				}) : _.some(predicates, function (predicate) {
+					return predicate(model);
+				});
+			};
+		}
+		return function (model) {
+			return _.every(spec, function (condition, path) {
+				return checkCondition(View.getModelValue(model, path), condition);
+			});
+		};
+	}
+
+	/**
+	 * Escape special characters of regular expression
+	 * @private
+	 */
+	function escapeRegExp(text) {
+		return text.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, "\\$&");
+	}
+
+	/**
+	 * Split search query into tokens: words, quoted phrases and field:value terms.
+	 * Prefix is a field only if isField(prefix) returns true, so "http://host" is a word
+	 * @private
+	 */
+	function parseSearchQuery(query, mode, isField) {
+		var tokens = [],
+			re = /(?:([\w.]+):)?(?:"([^"]*)"|(\S+))/g,
+			match,
+			text,
+			pattern;
+
+		while ((match = re.exec(query)) !== null) {
+			text = match[2] != null ? match[2] : match[3];
+			if (match[1] && !isField(match[1])) {
+				text = match[1] + ":" + text;
+				match[1] = undefined;
+			}
+			if (!text) {
+				continue;
+			}
+			pattern = null;
+			if (mode === "regex") {
+				try {
+					pattern = new RegExp(text, "gi");
+				} catch (e) {
+					// incomplete expression while user is typing, match it as text
+				}
+			}
+			tokens.push({
+				field: match[1],
+				text: text,
+				pattern: pattern || new RegExp(escapeRegExp(text), "gi")
+			});
+		}
+		return tokens;
+	}
+
+	/**
+	 * Returns ranges [start, end] of all pattern matches in the value
+	 * @private
+	 */
+	function findMatches(pattern, value) {
+		var ranges = [],
+			text = value == null ? "" : String(value),
+			match;
+
+		pattern.lastIndex = 0;
+		while ((match = pattern.exec(text)) !== null) {
+			if (match[0].length === 0) {
+				pattern.lastIndex++;
+				continue;
+			}
+			ranges.push([match.index, match.index + match[0].length]);
+		}
+		return ranges;
+	}
+
+	/**
+	 * Returns indexes of the longest increasing subsequence
+	 * @private
+	 */
+	function longestIncreasingSubsequence(sequence) {
+		var tails = [],
+			previous = [],
+			result = [],
+			i,
+			low,
+			high,
+			mid,
+			k;
+
+		for (i = 0; i < sequence.length; i++) {
+			low = 0;
+			high = tails.length;
+			while (low < high) {
+				mid = (low + high) >> 1;
+				if (sequence[tails[mid]] < sequence[i]) {
+					low = mid + 1;
+				} else {
+					high = mid;
+				}
+			}
+			previous[i] = low > 0 ? tails[low - 1] : -1;
+			tails[low] = i;
+		}
+		for (k = tails[tails.length - 1]; tails.length > 0 && k !== -1; k = previous[k]) {
+			result.unshift(k);
+		}
+		return result;
+	}
+
+	/**
+	 * Reorder views' elements in the container with minimal number of DOM operations.
+	 * Elements of views which keep their relative order are not touched, others are moved or inserted.
+	 * @param {DOMNode} container
+	 * @param {Array} previous views which elements are in the container, in DOM order
+	 * @param {Array} next views in the target order
+	 * @param {DOMNode} end element before which views are placed, null to append
+	 * @private
+	 */
+	function reconcileElements(container, previous, next, end) {
+		var nextIndex = {},
+			sequence,
+			stable = {},
+			reference = end,
+			i;
+
+		_.each(next, function (view, idx) {
+			nextIndex[view.cid] = idx;
+		});
+		previous = _.filter(previous, function (view) {
+			return _.has(nextIndex, view.cid);
+		});
+		sequence = _.map(previous, function (view) {
+			return nextIndex[view.cid];
+		});
+		_.each(longestIncreasingSubsequence(sequence), function (idx) {
+			stable[previous[idx].cid] = true;
+		});
+		for (i = next.length - 1; i >= 0; i--) {
+			if (!stable[next[i].cid]) {
+				container.insertBefore(next[i].el, reference);
+			}
+			reference = next[i].el;
+		}
+	}
+
 	var CollectionView = View.extend({
+
+		/**
+		 * @event filter:change
+		 * Fired when named filters are changed
+		 * @param {Generic.CollectionView} view
+		 * @param {Object} filters map of filter names to filter descriptions
+		 */
+
+		/**
+		 * @event search:change
+		 * Fired when search query is applied
+		 * @param {Generic.CollectionView} view
+		 * @param {Number} count number of filtered items
+		 */
+
+		/**
+		 * @event more:start
+		 * Fired when next chunk starts loading in infinite mode
+		 * @param {Generic.CollectionView} view
+		 */
+
+		/**
+		 * @event more:end
+		 * Fired when next chunk is loaded or failed to load in infinite mode
+		 * @param {Generic.CollectionView} view
+		 * @param {Boolean} hasMore false if there is no more data
+		 * @param {Mixed} error reason of the failure, undefined if the chunk is loaded
+		 */
+
+		/**
+		 * @event page:change
+		 * Fired when current page, page size, page count or total number of filtered items is changed
+		 * @param {Generic.CollectionView} view
+		 * @param {Object} state paging state: page, pageSize, pageCount, total
+		 */
+
+		/**
+		 * View class which will be used for item's view
+		 * @cfg {generic.View}
+		 */
+		itemView: View,
+
+		// Search filter
+		searchFilter: "",
+
+		/**
+		 * Models which pass filters, in display order. It's updated when items are refreshed,
+		 * so it can be used instead of {@link #getFilteredModels} to not filter the whole collection again
+		 * @type {Array}
+		 * @protected
+		 */
+		filteredModels: undefined,
+
+		/**
+		 * Model's attributes used by {@link #search}, all attributes by default.
+		 * Can be a function which returns values to search in for the model.
+		 * @cfg {Array/Function}
+		 */
+		searchProperties: undefined,
+
+		/**
+		 * "text" - words of search query are matched literally, "regex" - words are regular expressions
+		 * @cfg {String}
+		 */
+		searchMode: "text",
+
+		/**
+		 * Delay in milliseconds before search query is applied, useful when search is called on each key press
+		 * @cfg {Number}
+		 */
+		searchDebounce: 0,
+
+		/**
+		 * Named filters, see "Filtering" section and {@link #addFilter}
+		 * @cfg {Object}
+		 */
+		filters: undefined,
+
+		/**
+		 * How named filters are combined: "and" - item should pass all filters, "or" - any of them
+		 * @cfg {String}
+		 */
+		filterMode: "and",
+		
+		/**
+		 * Re-apply sorting, filters and search when model is changed
+		 * @cfg {Boolean}
+		 */
+		liveUpdate: true,
+
+		/**
+		 * Names of attributes which trigger re-evaluation of item's position and visibility,
+		 * by default any attribute does
+		 * @cfg {Array}
+		 */
+		liveAttributes: null,
+
+		/**
+		 * Number of items on the page,
+		 * if page size is not specified or null, display all items.
+		 * `limit` option is supported as an alias for backward compatibility
+		 * @cfg {Number}
+		 */
+		pageSize: null,
+
+		/**
+		 * Current page number, starts from 1
+		 * @type {Number}
+		 * @readonly
+		 */
+		page: 1,
+
+		/**
+		 * Render only visible items, see "Virtual scrolling" section
+		 * @cfg {Boolean}
+		 */
+		virtual: false,
+
+		/**
+		 * Height of item in pixels for virtual mode.
+		 * If not specified, rendered items are measured and the first measured height is used as an estimate for the rest.
+		 * @cfg {Number}
+		 */
+		itemHeight: null,
+
+		/**
+		 * Number of extra items rendered above and below visible area in virtual mode
+		 * @cfg {Number}
+		 */
+		overscan: 10,
+
+		/**
+		 * Scrollable element (selector, DOM node or jQuery) for virtual mode, by default it's view's element
+		 * @cfg {String/DOMNode/jQuery}
+		 */
+		scrollContainer: null,
+
+		/**
+		 * Reuse item views for other models while scrolling in virtual mode.
+		 * Item views should render everything from the model with {@link Generic.View#bindModel}
+		 * @cfg {Boolean}
+		 */
+		recycleViews: true,
+
+		/**
+		 * Keep views of filtered out models detached instead of destroying them,
+		 * they are reused when models pass filters again
+		 * @cfg {Boolean}
+		 */
+		detachFilteredViews: false,
+
+		/**
+		 * Filter, search, sort and page the collection on the server, see "Remote mode" section
+		 * @cfg {Boolean}
+		 */
+		remote: false,
+
+		/**
+		 * Load more items when user scrolls to the end, see "Infinite scroll" section
+		 * @cfg {Boolean}
+		 */
+		infinite: false,
+
+		/**
+		 * Distance in pixels from the end of items when next chunk is loaded
+		 * @cfg {Number}
+		 */
+		infiniteThreshold: 200,
+
+		/**
+		 * Number of models requested by {@link #loadMore}
+		 * @cfg {Number}
+		 */
+		loadMoreSize: 50,
+
+		/**
+		 * True until the source reports that there is no more data
+		 * @property {Boolean}
+		 */
+		hasMore: true,
+
+		/**
+		 * View displayed when there are no items to display
+		 * @cfg {Generic.View}
+		 */
+		emptyView: undefined,
+
+		/**
+		 * View displayed while the collection is fetched
+		 * @cfg {Generic.View}
+		 */
+		loadingView: undefined,
+
+		/**
+		 * View displayed when the collection failed to fetch, it's created with `xhr` option
+		 * and can trigger "retry" event
+		 * @cfg {Generic.View}
+		 */
+		errorView: undefined,
+
+		/**
+		 * Initializate collection view 
+		 * @param  {Array} models  Array of models
+		 * @param  {Object} options extra options
+		 */
+		initialize: function (options) {
+			var self = this;
+			options = options || {};
+
+			// if page size is not specifed all collection items will be displayed
+			if (options.limit) {
+				self.pageSize = options.limit;
+			}
+
+			if (options.itemView) {
+				this.itemView = options.itemView;
+			}
+
+			_.each(viewOptions, function (name) {
+				if (options[name] !== undefined) {
+					self[name] = options[name];
+				}
+			});
+
+			View.prototype.initialize.apply(self, arguments);
+
+			self.setFilters(options.filters || self.filters, {silent: true});
+			self.searchTokens = [];
+			if (self.searchDebounce) {
+				self.applySearch = _.debounce(self.applySearch, self.searchDebounce);
+			}
+
+			/**
+			 * Initialize children view for each item in the collection
+			 */
+			if (self.collection) {
+				// views are created for filtered and sorted models of the first page,
+				// in virtual mode views are created for visible items only after rendering
+				self.refresh();
+
+				/**
+				 * Subscribe to collection events, to add/remove/sort item views
+				 */
+				self.collection.on("remove", self.removeItemView, self);
+				self.collection.on("add", self.addItemView, self);
+				self.collection.on("sort", self.onCollectionSort, self);
+				self.collection.on("change", self.onItemChange, self);
+				self.collection.on("reset", function () {
+					self.hasMore = true;
+					self.collectionUnsorted = false;
+					self.schedule("refresh");
+				}, self);
+				self.collection.on("request", self.onCollectionRequest, self);
+				self.collection.on("sync", self.onCollectionSync, self);
+				self.collection.on("error", self.onCollectionError, self);
+				if (self.remote) {
+					// after subclasses are initialized
+					self.schedule("fetchRemote");
+				}
+			}
+
+			if (self.virtual) {
+				self.virtualViews = {};
+				self.viewPool = [];
+				self.itemHeights = {};
+				self.measuredHeights = {
+					sum: 0,
+					count: 0
+				};
+				self.on("attach", self.bindScrollContainer, self);
+				self.on("detach", self.unbindScrollContainer, self);
+			}
+			if (self.infinite) {
+				self.on("attach", self.bindInfiniteScroll, self);
+				self.on("detach", self.unbindInfiniteScroll, self);
+			}
+		},
+
+		/**
+		 * Check if model should be displayed
+		 * @param  {Model} model
+		 * @return {Boolean}
+		 */
+		checkFilter: function (model) {
+			var self = this;
+			if (self.collection.checkFilter && !self.collection.checkFilter(model)) {
+				return false;
+			}
+			return self.checkNamedFilters(model) && self.checkSearchFilter(model);
+		},
+
+		/**
+		 * Check model against named filters
+		 * @param  {Model} model
+		 * @return {Boolean}
+		 * @protected
+		 */
+		checkNamedFilters: function (model) {
+			var predicates = _.values(this.compiledFilters),
+				check = function (predicate) {
+					return predicate(model);
+				};
+
+			if (predicates.length === 0) {
+				return true;
+			}
+			return this.filterMode === "or" ? _.some(predicates, check) : _.every(predicates, check);
+		},
+
+		/**
+		 * Add named filter or replace existing filter with the same name.
+		 * In remote mode throws an error if the filter can't be sent to the server, see {@link #serializeFilter}
+		 * @param {String} name
+		 * @param {Function/Object} filter predicate or filter description
+		 */
+		addFilter: function (name, filter) {
+			if (this.remote) {
+				this.serializeFilter(filter, name);
+			}
+			this.filters[name] = filter;
+			this.compiledFilters[name] = compileFilter(filter);
+			this.onFilterChange();
+		},
+
+		/**
+		 * Remove named filter
+		 * @param  {String} name
+		 */
+		removeFilter: function (name) {
+			if (!_.has(this.filters, name)) {
+				return;
+			}
+			delete this.filters[name];
+			delete this.compiledFilters[name];
+			this.onFilterChange();
+		},
+
+		/**
+		 * Replace all named filters.
+		 * In remote mode throws an error if any filter can't be sent to the server, see {@link #serializeFilter}
+		 * @param {Object} filters map of filter names to filters
+		 * @param {Object} options {optional} `silent: true` to not re-render items
+		 */
+		setFilters: function (filters, options) {
+			var self = this;
+			if (self.remote) {
+				_.each(filters, self.serializeFilter, self);
+			}
+			self.filters = {};
+			self.compiledFilters = {};
+			_.each(filters, function (filter, name) {
+				self.filters[name] = filter;
+				self.compiledFilters[name] = compileFilter(filter);
+			});
+			if (!options || !options.silent) {
+				self.onFilterChange();
+			}
+		},
+
+		/**
+		 * Remove all named filters
+		 */
+		clearFilters: function () {
+			this.setFilters({});
+		},
+
+		/**
+		 * Called when named filters are changed, returns to the first page and re-renders items
+		 * @protected
+		 */
+		onFilterChange: function () {
+			this.page = 1;
+			this.requery();
+			this.trigger("filter:change", this, this.filters);
+		},
+		
+		/*
+		 * Sets searchFilter on the collection and triggers search event.
+		 * If {@link #searchDebounce} is set, the query is applied after delay
+		 *
+		 * @param value to be set
+		 */
+		search: function(value) {
+			this.applySearch(value);
+		},
+
+		/**
+		 * Apply search query immediately
+		 * @param  {String} value
+		 * @protected
+		 */
+		applySearch: function (value) {
+			var self = this;
+			if (self.destroyed) {
+				return;
+			}
+			self.searchFilter = (value || "").trim();
+			self.searchTokens = parseSearchQuery(self.searchFilter, self.searchMode, _.bind(self.isSearchField, self));
+			self.page = 1;
+			self.requery();
+			if (self.remote) {
+				// total is known when the page is fetched
+				self.searchChanged = true;
+			} else {
+				self.trigger("search:change", self, self.getPagingState().total);
+			}
+		},
+
+		/**
+		 * Returns true if `field:value` term of search query refers to a field:
+		 * one of {@link #searchProperties}, or an attribute of collection's models
+		 * @param  {String} field attribute name or dotted path
+		 * @return {Boolean}
+		 * @protected
+		 */
+		isSearchField: function (field) {
+			var root = field.split(".")[0];
+			if (_.isArray(this.searchProperties)) {
+				return _.some(this.searchProperties, function (property) {
+					return property === field || property.split(".")[0] === root;
+				});
+			}
+			return !!this.collection && this.collection.some(function (model) {
+				return model.has(root);
+			});
+		},
+
+		/**
+		 * Returns values of the model to search in, mapped by property name
+		 * @param  {Model} model
+		 * @return {Object}
+		 * @protected
+		 */
+		getSearchValues: function (model) {
+			var self = this,
+				searchProperties = self.searchProperties || model.keys(),
+				values = {};
+
+			if (_.isFunction(searchProperties)) {
+				return _.extend({}, searchProperties(model));
+			}
+			_.each(searchProperties, function (property) {
+				values[property] = View.getModelValue(model, property);
+			});
+			return values;
+		},
+
+		checkSearchFilter: function (model) {
+			var self = this,
+				values;
+			
+			if (self.searchTokens.length === 0) {
+				return true;
+			}
+			values = self.getSearchValues(model);
+			return _.every(self.searchTokens, function (token) {
+				if (token.field) {
+					return findMatches(token.pattern, View.getModelValue(model, token.field)).length > 0;
+				}
+				return _.some(values, function (value) {
+					return findMatches(token.pattern, value).length > 0;
+				});
+			});
+		},
+
+		/**
+		 * Returns ranges of search query matches in model's values, which can be used to highlight them.
+		 * Ranges are mapped by property name, each range is an array [start, end].
+		 * @param  {Model} model
+		 * @return {Object}
+		 */
+		getSearchMatches: function (model) {
+			var self = this,
+				values = self.getSearchValues(model),
+				matches = {};
+
+			_.each(self.searchTokens, function (token) {
+				if (token.field && !_.has(values, token.field)) {
+					values[token.field] = View.getModelValue(model, token.field);
+				}
+				_.each(values, function (value, property) {
+					if (token.field && token.field !== property) {
+						return;
+					}
+					var ranges = findMatches(token.pattern, value);
+					if (ranges.length > 0) {
+						matches[property] = (matches[property] || []).concat(ranges);
+					}
+				});
+			});
+			return matches;
+		},
+
+		/**
+		 * Calls when model removed from the collection
+		 * @param  {Model} model
+		 * @param  {Collection} collection
+		 * @param  {Object} options
+		 */
+		removeItemView: function (model, collection, options) {
+			var self = this;
+
+			if (self.virtual) {
+				self.schedule("refresh");
+				return;
+			}
+
+			var view = _(self.children).find(function (view) {
+				return view.model.cid === model.cid;
+			});
+
+			if (view) {
+				self.remove(view);
+				if (self.rendered) {
+					view.destroy();
+				}
+			}
+			view = self.restoreDetachedView(model);
+			if (view) {
+				view.destroy();
+			}
+			if (self.filteredModels) {
+				self.filteredModels = _.without(self.filteredModels, model);
+			}
+			// fill the page with next items and clamp page number
+			self.schedule(self.pageSize ? "refresh" : "updatePaging");
+			self.schedule("updateStatusView");
+		},
+
+		/**
+		 * Calls when model added to the collection
+		 * @param  {Model} model
+		 * @param  {Collection} collection
+		 * @param  {Object} options
+		 */
+		addItemView: function (model, collection, options) {
+			var self = this,
+				container;
+			options = options || {};
+			if (collection && !self.canAppendItem(model)) {
+				// position of the model is known only after all models are added
+				self.schedule("refresh");
+				return;
+			}
+			// check if view already exists, to not duplicate views
+			var viewIdx = self.findViewByModel(model);
+			if (viewIdx !== -1) {
+				console.debug("view exists, don't add");
+				return;
+			}
+
+			var limit = self.pageSize || self.collection.length;
+
+			if (collection) {
+				self.schedule("updatePaging");
+				self.schedule("updateStatusView");
+			}
+			if (!self.checkFilter(model)) {
+				return;
+			}
+			if (self.filteredModels && !_.contains(self.filteredModels, model)) {
+				self.filteredModels.push(model);
+			}
+			if (self.children !== undefined && self.children.length >= limit) {
+				// don't add if rich limit
+				return;
+			}
+			
+			var view = self.add(self.createViewForModel(model));
+			self.markItemView(view);
+			if (self.displayedViews) {
+				self.displayedViews = _.union(self.displayedViews, [view]);
+			}
+			// render only if collection view is rendered
+			if (self.rendered) {
+				container = options.container || self.getItemsContainer();
+				container.insertBefore(view.el, self.getItemsEnd(container));
+				view.render();
+			}
+		},
+
+		/**
+		 * Returns true if view of the model added to the collection can be just appended to the items,
+		 * otherwise items are refreshed
+		 * @param  {Model} model
+		 * @return {Boolean}
+		 * @protected
+		 */
+		canAppendItem: function (model) {
+			return !this.virtual && !this.remote && !this.pageSize && this.collection.last() === model;
+		},
+
+		/**
+		 * Find view by mdoel
+		 * @param  {Model} model
+		 * @return {Number} index of view in children array
+		 */
+		findViewByModel: function (model) {
+			var self = this,
+				result = -1;
+
+			_(self.children).each(function (view, idx) {
+				if ((view.model.cid != null) && (view.model.cid === model.cid) || (view.model.get("id") != null) && (view.model.get("id") === model.get("id"))) {
+					result = idx;
+					return;
+				}
+			});
+			return result;
+		},
+
+		/**
+		 * Returns ItemView for model,
+		 * can be overriden to implement more complex logic
+		 * @param  {Model} model
+		 * @return {Generic.View}
+		 */
+		createViewForModel: function (model) {
+			var self = this;
+
+			return new self.itemView({
+				model: model,
+				collectionView: self
+			});
+		},
+
+		/**
+		 * Return children views container
+		 * @return {DOMNode} container for children views
+		 */
+		getItemsContainer: function () {
+			return this.el;
+		},
+
+		createDocumentFragment: function () {
+			return document.createDocumentFragment();
+		},
+
+		/**
+		 * Render children views and append them to the CollectoinView element, see {@link Generic.View#renderContent}.
+		 * CollectionView tries to minimise browser reflow/ Document tree modification will trigger reflow. 
+		 * Adding new elements to the DOM, changing the value of text nodes,
+		 * or changing various attributes will all be enough to cause a reflow. 
+		 * Making several changes one after the other, may trigger more than one reflow, 
+		 * so in general, it is best to make multiple changes in a non-displayed DOM tree fragment.
+		 * 
+		 * @protected
+		 */
+		renderContent: function () {
+			var self = this;
+			
+			View.prototype.renderContent.apply(self, arguments);
+
+			if (self.virtual) {
+				self.renderVirtualContainer();
+				self.removeStatusView();
+				self.updateStatusView();
+				return;
+			}
+
+			var fragment = self.createDocumentFragment()
+			_(self.displayedViews || self.children).each(function (childView) {
+				fragment.appendChild(childView.el);
+				childView.render();
+			});
+			self.getItemsContainer().appendChild(fragment);
+			if (self.infinite) {
+				self.renderSentinel();
+			}
+			self.updatePaging();
+			self.removeStatusView();
+			self.updateStatusView();
+		},
+
+		destroy: function () {
+			if (this.collection) {
+				this.collection.off(null, null, this);
+			}
+			this.unbindScrollContainer();
+			_.each(this.viewPool, function (view) {
+				view.destroy();
+			});
+			this.viewPool = [];
+			_.each(this.detachedViews, function (view) {
+				view.destroy();
+			});
+			this.detachedViews = {};
+			this.removeStatusView();
+			this.unbindInfiniteScroll();
+			if (this.moreIndicator) {
+				this.moreIndicator.destroy();
+			}
+			return View.prototype.destroy.apply(this, arguments);;
+		},
+
+		/*
+		 * Returns count of filtered views
+		 */
+		getFilteredCount: function() {
+			var self = this,
+				count = 0;
+
+			if (self.remote) {
+				return self.remoteTotal != null ? self.remoteTotal : self.collection.length;
+			}
+			self.collection.each(function(model) {
+				if (self.checkFilter(model)) {
+					count++;
+				}
+			})
+
+			return count;
+		},
+
+		/**
+		 * Returns models which pass filters, in display order
+		 * @return {Array}
+		 */
+		getFilteredModels: function () {
+			if (this.remote) {
+				// the server returns filtered and sorted page
+				return this.collection.toArray();
+			}
+			return this.sortModels(this.collection.filter(this.checkFilter, this));
+		},
+
+		/**
+		 * Returns models in display order. By default it's collection's order, or order by collection's comparator
+		 * when live changes of models made the collection unsorted. Subclasses override it to sort items
+		 * without changing the collection
+		 * @param  {Array} models
+		 * @return {Array}
+		 * @protected
+		 */
+		sortModels: function (models) {
+			var comparator = this.collection.comparator,
+				collection = this.collection,
+				iterator;
+
+			if (!this.collectionUnsorted || !comparator) {
+				return models;
+			}
+			// same rules as Backbone.Collection#sort, applied to view's copy of models
+			if (_.isString(comparator) || comparator.length === 1) {
+				iterator = _.isString(comparator) ? function (model) {
+					return model.get(comparator);
+				} : comparator;
+				return _.sortBy(models, iterator, collection);
+			}
+			return models.slice().sort(_.bind(comparator, collection));
+		},
+
+		onCollectionSort: function () {
+			this.collectionUnsorted = false;
+			this.refresh();
+		},
+
+		/**
+		 * Called when a model of the collection is changed,
+		 * schedules re-evaluation of item's position and visibility
+		 * @param  {Model} model
+		 * @protected
+		 */
+		onItemChange: function (model) {
+			var self = this,
+				changed = _.keys(model.changedAttributes() || {}),
+				comparator = self.collection.comparator;
+
+			if (!self.liveUpdate || (self.liveAttributes && _.intersection(changed, self.liveAttributes).length === 0)) {
+				return;
+			}
+			if (comparator && (!_.isString(comparator) || _.contains(changed, comparator))) {
+				// the collection may be shared with other views, so it isn't sorted here,
+				// the view orders its models by collection's comparator until the collection sorts itself
+				self.collectionUnsorted = true;
+			}
+			self.schedule("applyLiveChanges");
+		},
+
+		/**
+		 * Re-render items after changes of models, changed items are moved to their new positions
+		 * @protected
+		 */
+		applyLiveChanges: function () {
+			this.refresh();
+		},
+
+		/**
+		 * Re-render items according to current filters, sorting and page
+		 */
+		refresh: function () {
+			var self = this,
+				models;
+
+			if (self.virtual) {
+				self.refreshVirtual();
+				self.updatePaging(self.virtualModels ? self.virtualModels.length : undefined);
+				self.updateStatusView();
+				return;
+			}
+			models = self.filteredModels = self.getFilteredModels();
+			if (self.remote) {
+				self.renderItems(models);
+				self.updatePaging(self.getFilteredCount());
+				self.updateStatusView();
+				return;
+			}
+			self.page = Math.min(self.page, self.getPageCount(models.length));
+			if (self.pageSize) {
+				self.renderItems(models.slice((self.page - 1) * self.pageSize, self.page * self.pageSize));
+			} else {
+				self.renderItems(models);
+			}
+			self.updatePaging(models.length);
+			self.updateStatusView();
+		},
+
+		/**
+		 * Display views for given models in the same order.
+		 * Existing views are reused and moved as little as possible, so focus and scroll position are kept.
+		 * Views of other models are destroyed, or detached if {@link #detachFilteredViews} is set.
+		 * @param  {Array} models
+		 * @protected
+		 */
+		renderItems: function (models) {
+			var self = this,
+				container = self.getItemsContainer(),
+				previous = self.children || [],
+				displayed = self.displayedViews || previous,
+				existing = {},
+				created = {},
+				active = document.activeElement,
+				views,
+				elements;
+
+			_.each(previous, function (view) {
+				existing[view.model.cid] = view;
+			});
+			views = _.map(models, function (model) {
+				var view = existing[model.cid];
+				if (view) {
+					delete existing[model.cid];
+					return view;
+				}
+				view = self.restoreDetachedView(model);
+				if (!view) {
+					view = self.createViewForModel(model);
+					created[view.cid] = true;
+				}
+				return self.add(view);
+			});
+			_.each(existing, function (view) {
+				self.releaseItemView(view);
+			});
+			self.children = views;
+			_.each(views, self.markItemView, self);
+			elements = self.displayedViews = self.arrangeViews(views);
+
+			if (!self.rendered) {
+				return;
+			}
+			_.each(elements, function (view) {
+				var key = view.model && self.getItemKey(view.model),
+					prerendered = self.prerenderedItems;
+
+				if (prerendered && _.has(prerendered, key) && _.contains(views, view)) {
+					view.hydrate(prerendered[key]);
+					delete prerendered[key];
+				} else if (created[view.cid] || !view.rendered) {
+					view.render();
+				}
+			});
+			reconcileElements(container, _.filter(displayed, function (view) {
+				return view.el.parentNode === container;
+			}), elements, self.getItemsEnd(container));
+
+			// moved element loses focus
+			if (active && active !== document.activeElement && $.contains(container, active)) {
+				active.focus();
+			}
+			self.checkAttached();
+		},
+
+		/**
+		 * Returns key which identifies item's element in prerendered markup, model's id or cid
+		 * @param  {Model} model
+		 * @return {String}
+		 * @protected
+		 */
+		getItemKey: function (model) {
+			return String(model.id != null ? model.id : model.cid);
+		},
+
+		/**
+		 * Mark item view's element with model's key
+		 * @param  {Generic.View} view
+		 * @protected
+		 */
+		markItemView: function (view) {
+			if (view.el.nodeType === 1) {
+				view.el.setAttribute("data-item-key", this.getItemKey(view.model));
+			}
+		},
+
+		/**
+		 * Virtual view is rendered instead of hydration
+		 * @param  {String/DOMNode/jQuery} el
+		 * @return this
+		 */
+		hydrate: function (el) {
+			if (this.virtual) {
+				this.setElement(el);
+				this.$el.empty();
+				return this.render();
+			}
+			return View.prototype.hydrate.apply(this, arguments);
+		},
+
+		/**
+		 * Hydrate item views with prerendered items, see {@link Generic.View#hydrateContent}
+		 * @protected
+		 */
+		hydrateContent: function () {
+			var self = this,
+				container = self.getItemsContainer(),
+				prerendered = self.prerenderedItems = {};
+
+			View.prototype.hydrateContent.apply(self, arguments);
+			self.getAuxiliaryElements(container).remove();
+			$(container).children("[data-item-key]").each(function () {
+				prerendered[this.getAttribute("data-item-key")] = this;
+			});
+			self.refresh();
+			// items of models which aren't displayed anymore
+			$(_.values(prerendered)).remove();
+			self.prerenderedItems = null;
+			if (self.infinite) {
+				self.renderSentinel();
+			}
+		},
+
+		/**
+		 * Returns prerendered auxiliary elements of the items container, they are rendered again on hydration
+		 * @param  {DOMNode} container
+		 * @return {jQuery}
+		 * @protected
+		 */
+		getAuxiliaryElements: function (container) {
+			return $(container).children("[data-status], .infinite-sentinel");
+		},
+
+		/**
+		 * Returns views in order they are displayed in the items container.
+		 * Subclasses add auxiliary views here, e.g. group headers, such views are not children.
+		 * @param  {Array} views item views
+		 * @return {Array}
+		 * @protected
+		 */
+		arrangeViews: function (views) {
+			return views;
+		},
+
+		/**
+		 * Remove item view of the model which doesn't pass filters anymore
+		 * @param  {Generic.View} view
+		 * @protected
+		 */
+		releaseItemView: function (view) {
+			this.remove(view);
+			if (this.detachFilteredViews && this.collection.get(view.model.cid)) {
+				view.$el.detach();
+				this.detachedViews = this.detachedViews || {};
+				this.detachedViews[view.model.cid] = view;
+			} else {
+				view.destroy();
+			}
+		},
+
+		/**
+		 * Returns previously detached view of the model
+		 * @param  {Model} model
+		 * @return {Generic.View}
+		 * @protected
+		 */
+		restoreDetachedView: function (model) {
+			var view = this.detachedViews && this.detachedViews[model.cid];
+			if (view) {
+				delete this.detachedViews[model.cid];
+			}
+			return view;
+		},
+
+		/**
+		 * Returns current status of the view:
+		 *
+		 * * "loading" - the collection is being fetched
+		 * * "error" - the collection failed to fetch
+		 * * "empty" - the collection is empty
+		 * * "noMatches" - models of the collection don't pass filters
+		 * * null - items are displayed
+		 *
+		 * @return {String}
+		 */
+		getStatus: function () {
+			// next chunk is displayed by sentinel
+			if (this.loading && !this.loadingMore) {
+				return "loading";
+			}
+			if (this.loadError) {
+				return "error";
+			}
+			if (!this.collection) {
+				return "empty";
+			}
+			if (this.remote && this.collection.length === 0) {
+				return _.isEmpty(this.filters) && !this.searchFilter ? "empty" : "noMatches";
+			}
+			if (this.collection.length === 0) {
+				return "empty";
+			}
+			// models filtered by the last refresh, to not filter the collection again
+			return (this.filteredModels ? this.filteredModels.length : this.getFilteredCount()) === 0 ? "noMatches" : null;
+		},
+
+		/**
+		 * Returns view class displayed for the status
+		 * @param  {String} status
+		 * @return {Generic.View}
+		 * @protected
+		 */
+		getStatusViewClass: function (status) {
+			return {
+				loading: this.loadingView,
+				error: this.errorView,
+				empty: this.emptyView,
+				noMatches: this.emptyView
+			}[status];
+		},
+
+		/**
+		 * Display view of current status, or remove it if items are displayed
+		 * @protected
+		 */
+		updateStatusView: function () {
+			var self = this,
+				status = self.getStatus(),
+				container;
+
+			if (self.statusView && self.statusView.status === status) {
+				return;
+			}
+			self.removeStatusView();
+			if (!self.rendered || !self.getStatusViewClass(status)) {
+				return;
+			}
+			self.statusView = new (self.getStatusViewClass(status))({
+				collectionView: self,
+				status: status,
+				xhr: status === "error" ? self.loadError.xhr : undefined
+			});
+			self.statusView.status = status;
+			self.statusView.on("retry", self.retry, self);
+			self.statusView.render();
+			self.statusElement = self.wrapStatusView(self.statusView);
+			self.statusElement.setAttribute("data-status", status);
+			container = self.getItemsContainer();
+			container.insertBefore(self.statusElement, container.firstChild);
+			self.statusView.checkAttached();
+		},
+
+		/**
+		 * Returns element which is inserted into items container to display status view
+		 * @param  {Generic.View} view
+		 * @return {DOMNode}
+		 * @protected
+		 */
+		wrapStatusView: function (view) {
+			return view.el;
+		},
+
+		/**
+		 * Remove and destroy status view
+		 * @protected
+		 */
+		removeStatusView: function () {
+			if (!this.statusView) {
+				return;
+			}
+			this.statusView.off("retry", this.retry, this);
+			this.statusView.destroy();
+			$(this.statusElement).remove();
+			this.statusView = null;
+			this.statusElement = null;
+		},
+
+		/**
+		 * Fetch the collection again with options of the failed request
+		 */
+		retry: function () {
+			if (this.remote) {
+				this.fetchRemote();
+				return;
+			}
+			this.collection.fetch(_.omit(this.fetchOptions || {}, "success", "error", "xhr"));
+		},
+
+		/**
+		 * @param  {Collection/Model} collection
+		 * @param  {XMLHttpRequest} xhr
+		 * @param  {Object} options
+		 * @protected
+		 */
+		onCollectionRequest: function (collection, xhr, options) {
+			// requests of models bubble through the collection
+			if (collection !== this.collection) {
+				return;
+			}
+			this.loading = true;
+			this.loadError = null;
+			this.fetchOptions = options;
+			this.updateStatusView();
+		},
+
+		/**
+		 * @param  {Collection/Model} collection
+		 * @protected
+		 */
+		onCollectionSync: function (collection) {
+			if (collection !== this.collection) {
+				return;
+			}
+			this.loading = false;
+			this.updateStatusView();
+		},
+
+		/**
+		 * @param  {Collection/Model} collection
+		 * @param  {XMLHttpRequest} xhr
+		 * @protected
+		 */
+		onCollectionError: function (collection, xhr) {
+			if (collection !== this.collection) {
+				return;
+			}
+			this.loading = false;
+			this.loadError = {
+				xhr: xhr
+			};
+			this.updateStatusView();
+		},
+
+		/**
+		 * Apply changed query: fetch the collection in remote mode, or re-render items
+		 * @protected
+		 */
+		requery: function () {
+			if (this.remote) {
+				this.schedule("fetchRemote");
+			} else {
+				this.refresh();
+			}
+		},
+
+		/**
+		 * Returns query parameters of remote mode: `page` and `pageSize` if paging is used, `search` query
+		 * and attributes of named filters. Filter's array becomes multiple values, `{min, max}` range
+		 * becomes `<attribute>Min` and `<attribute>Max` parameters, see {@link #serializeFilter}.
+		 * @return {Object}
+		 */
+		getQueryParams: function () {
+			var self = this,
+				params = {};
+
+			if (self.pageSize) {
+				params.page = self.page;
+				params.pageSize = self.pageSize;
+			}
+			if (self.searchFilter) {
+				params.search = self.searchFilter;
+			}
+			_.each(self.filters, function (filter, name) {
+				_.extend(params, self.serializeFilter(filter, name));
+			});
+			return params;
+		},
+
+		/**
+		 * Returns query parameters of the named filter. Filters which are functions, `and`/`or` combinations
+		 * and functions of attributes can't be sent to the server, an error is thrown for them;
+		 * subclasses can override this method to serialize such filters.
+		 * @param  {Function/Object} filter
+		 * @param  {String} name
+		 * @return {Object}
+		 * @protected
+		 */
+		serializeFilter: function (filter, name) {
+			var params = {},
+				error = new Error("Filter \"" + name + "\" can't be sent to the server in remote mode");
+
+			if (_.isFunction(filter) || filter.and || filter.or) {
+				throw error;
+			}
+			_.each(filter, function (condition, attribute) {
+				if (_.isFunction(condition)) {
+					throw error;
+				} else if (_.isObject(condition) && !_.isArray(condition)) {
+					if (condition.min != null) {
+						params[attribute + "Min"] = condition.min;
+					}
+					if (condition.max != null) {
+						params[attribute + "Max"] = condition.max;
+					}
+				} else {
+					params[attribute] = condition;
+				}
+			});
+			return params;
+		},
+
+		/**
+		 * Fetch page of the collection for current query, previous request is aborted.
+		 * The collection is reset only with the response of the latest request, responses of previous requests
+		 * are ignored even if they can't be aborted
+		 * @protected
+		 */
+		fetchRemote: function () {
+			var self = this,
+				collection = self.collection,
+				request = self.remoteRequest = (self.remoteRequest || 0) + 1,
+				options;
+
+			if (self.remoteXhr && _.isFunction(self.remoteXhr.abort)) {
+				self.remoteXhr.abort();
+			}
+			// like collection's fetch, but the response is applied only if the query wasn't changed since the request
+			options = {
+				data: self.getQueryParams(),
+				parse: true,
+				success: function (response) {
+					if (request !== self.remoteRequest || self.destroyed) {
+						return;
+					}
+					self.remoteXhr = null;
+					collection.reset(response, options);
+					self.remoteTotal = self.getRemoteTotal(response, options.xhr);
+					collection.trigger("sync", collection, response, options);
+					self.refresh();
+					if (self.searchChanged) {
+						self.searchChanged = false;
+						self.trigger("search:change", self, self.remoteTotal);
+					}
+				},
+				error: function (xhr) {
+					if (request !== self.remoteRequest || self.destroyed) {
+						return;
+					}
+					self.remoteXhr = null;
+					collection.trigger("error", collection, xhr, options);
+				}
+			};
+			self.remoteXhr = collection.sync("read", collection, options);
+			return self.remoteXhr;
+		},
+
+		/**
+		 * Returns total number of items which match the query
+		 * @param  {Object} response
+		 * @param  {XMLHttpRequest} xhr
+		 * @return {Number}
+		 * @protected
+		 */
+		getRemoteTotal: function (response, xhr) {
+			var header = xhr && _.isFunction(xhr.getResponseHeader) ? xhr.getResponseHeader("X-Total-Count") : null;
+			if (response && response.total != null) {
+				return Number(response.total);
+			}
+			if (header != null && header !== "") {
+				return Number(header);
+			}
+			// unknown total, at least one more page if this page is full
+			return (this.page - 1) * (this.pageSize || 0) + this.collection.length +
+				(this.pageSize && this.collection.length === this.pageSize ? 1 : 0);
+		},
+
+		/**
+		 * Returns element before which items are placed, null if items are appended to the container
+		 * @param  {DOMNode} container items container
+		 * @return {DOMNode}
+		 * @protected
+		 */
+		getItemsEnd: function (container) {
+			return this.sentinel && this.sentinel.parentNode === container ? this.sentinel : null;
+		},
+
+		/**
+		 * Create element which marks the end of items in infinite mode
+		 * @return {DOMNode}
+		 * @protected
+		 */
+		createSentinel: function () {
+			var div = document.createElement("div");
+			div.className = "infinite-sentinel";
+			return div;
+		},
+
+		/**
+		 * Returns element of the sentinel which displays loading indicator
+		 * @return {DOMNode}
+		 * @protected
+		 */
+		getSentinelContent: function () {
+			return this.sentinel;
+		},
+
+		/**
+		 * Append sentinel after items
+		 * @protected
+		 */
+		renderSentinel: function () {
+			var self = this;
+			if (self.moreIndicator) {
+				self.moreIndicator.destroy();
+				self.moreIndicator = null;
+			}
+			if (self.infiniteObserver && self.sentinel) {
+				self.infiniteObserver.unobserve(self.sentinel);
+			}
+			self.sentinel = self.createSentinel();
+			self.getItemsContainer().appendChild(self.sentinel);
+			if (self.infiniteObserver) {
+				self.infiniteObserver.observe(self.sentinel);
+			}
+			self.updateSentinel();
+		},
+
+		/**
+		 * Display loading indicator in the sentinel while next chunk is loading
+		 * @protected
+		 */
+		updateSentinel: function () {
+			var self = this;
+			if (!self.sentinel) {
+				return;
+			}
+			$(self.sentinel).toggleClass("loading", !!self.loadingMore).toggleClass("no-more", !self.hasMore)
+				.toggleClass("error", self.loadMoreError !== undefined);
+			if (self.loadingMore && !self.moreIndicator && self.loadingView) {
+				self.moreIndicator = new self.loadingView({
+					collectionView: self,
+					status: "loadingMore"
+				});
+				self.getSentinelContent().appendChild(self.moreIndicator.render().el);
+			} else if (!self.loadingMore && self.moreIndicator) {
+				self.moreIndicator.destroy();
+				self.moreIndicator = null;
+			}
+		},
+
+		/**
+		 * Fetch next chunk of data, returns promise which is resolved with the response.
+		 * jQuery promise, native Promise or other thenable can be returned.
+		 * Can be replaced with constructor's option.
+		 * @return {Promise}
+		 */
+		loadMore: function () {
+			return this.collection.fetch({
+				remove: false,
+				data: this.getLoadMoreParams()
+			});
+		},
+
+		/**
+		 * Returns query parameters of the next chunk: `offset` and `limit`
+		 * @return {Object}
+		 * @protected
+		 */
+		getLoadMoreParams: function () {
+			return {
+				offset: this.collection.length,
+				limit: this.loadMoreSize
+			};
+		},
+
+		/**
+		 * Returns true if there can be more data after the chunk
+		 * @param  {Object} response response of {@link #loadMore}
+		 * @param  {Number} count number of added models
+		 * @return {Boolean}
+		 * @protected
+		 */
+		checkHasMore: function (response, count) {
+			if (response && response.hasMore != null) {
+				return !!response.hasMore;
+			}
+			return this.loadMoreSize ? count >= this.loadMoreSize : count > 0;
+		},
+
 		/**
-		 * View class which will be used for item's view
-		 * @cfg {generic.View}
+		 * Load next chunk, unless it's already loading or there is no more data.
+		 * If the chunk fails to load, the sentinel gets "error" class and loading isn't repeated
+		 * until the sentinel becomes visible again or this method is called
 		 */
-		itemView: View,
+		loadNext: function () {
+			var self = this,
+				count = self.collection.length;
+
+			if (self.loadingMore || !self.hasMore || self.destroyed) {
+				return;
+			}
+			self.loadingMore = true;
+			self.loadMoreError = undefined;
+			self.updateSentinel();
+			self.trigger("more:start", self);
+			View.when(self.loadMore()).done(function (response) {
+				self.hasMore = self.checkHasMore(response, self.collection.length - count);
+			}).fail(function (error) {
+				// rejection without reason is still a failure
+				self.loadMoreError = error === undefined ? null : error;
+			}).always(function () {
+				var failed = self.loadMoreError !== undefined;
+				self.loadingMore = false;
+				if (self.destroyed) {
+					return;
+				}
+				// place views of all added models before the event
+				self.refresh();
+				self.updateSentinel();
+				self.trigger("more:end", self, self.hasMore, failed ? self.loadMoreError : undefined);
+				if (self.hasMore && !failed) {
+					// the sentinel can be still visible
+					self.schedule("checkLoadMore");
+				}
+			});
+		},
 
-		// Search filter
-		searchFilter: "",
-		
 		/**
-		 * Limit number of items to display in CollectionView
-		 * if limit is not specified or null, display all items
-		 * @cfg {Number}
+		 * Load next chunk if the sentinel is close to visible area
+		 * @protected
 		 */
-		limit: null,
+		checkLoadMore: function () {
+			var self = this,
+				el = self.boundInfiniteContainer && self.boundInfiniteContainer.get(0);
+
+			if (!self.attached || !self.sentinel) {
+				return;
+			}
+			if (self.infiniteObserver) {
+				// observer reports current state of observed element
+				self.infiniteObserver.unobserve(self.sentinel);
+				self.infiniteObserver.observe(self.sentinel);
+			} else if (el && el.scrollHeight - el.scrollTop - el.clientHeight <= self.infiniteThreshold) {
+				self.loadNext();
+			}
+		},
 
 		/**
-		 * Initializate collection view 
-		 * @param  {Array} models  Array of models
-		 * @param  {Object} options extra options
+		 * Start watching the sentinel
+		 * @protected
 		 */
-		initialize: function (options) {
-			var self = this;
-			options = options || {};
+		bindInfiniteScroll: function () {
+			var self = this,
+				namespace = ".infinite" + self.cid;
 
-			// if limit is not specifed all collection items will be displayed
-			if (options.limit) {
-				self.limit = options.limit || null;
+			self.unbindInfiniteScroll();
+			if (window.IntersectionObserver) {
+				self.infiniteObserver = new window.IntersectionObserver(function (entries) {
+					if (_.some(entries, function (entry) {
+						return entry.isIntersecting;
+					})) {
+						self.loadNext();
+					}
+				}, {
+					rootMargin: "0px 0px " + self.infiniteThreshold + "px 0px"
+				});
+			} else {
+				self.boundInfiniteContainer = self.getScrollContainer();
+				self.boundInfiniteContainer.on("scroll" + namespace, _.throttle(_.bind(self.checkLoadMore, self), 100));
 			}
+			self.checkLoadMore();
+		},
 
-			if (options.itemView) {
-				this.itemView = options.itemView;
+		/**
+		 * Stop watching the sentinel
+		 * @protected
+		 */
+		unbindInfiniteScroll: function () {
+			if (this.infiniteObserver) {
+				this.infiniteObserver.disconnect();
+				this.infiniteObserver = null;
 			}
+			if (this.boundInfiniteContainer) {
+				this.boundInfiniteContainer.off(".infinite" + this.cid);
+				this.boundInfiniteContainer = null;
+			}
+		},
 
-			View.prototype.initialize.apply(self, arguments);
+		/**
+		 * Returns number of pages
+		 * @param  {Number} total {optional} number of filtered items, computed if not specified
+		 * @return {Number}
+		 */
+		getPageCount: function (total) {
+			if (!this.pageSize) {
+				return 1;
+			}
+			total = total == null ? this.getFilteredCount() : total;
+			return Math.max(1, Math.ceil(total / this.pageSize));
+		},
 
-			/**
-			 * Initialize children view for each item in the collection
-			 */
-			if (self.collection) {
-				// limit can be null, in this case - display all items in collection
+		/**
+		 * Returns current paging state
+		 * @return {Object} page, pageSize, pageCount and total number of filtered items
+		 */
+		getPagingState: function () {
+			return this.pagingState || this.computePagingState();
+		},
 
-				self.collection.each(function (model, i) {
-					self.addItemView(model);
-				});
+		/**
+		 * @param  {Number} total {optional} number of filtered items
+		 * @return {Object}
+		 * @protected
+		 */
+		computePagingState: function (total) {
+			total = total == null ? this.getFilteredCount() : total;
+			return {
+				page: this.page,
+				pageSize: this.pageSize,
+				pageCount: this.getPageCount(total),
+				total: total
+			};
+		},
 
-				/**
-				 * Subscribe to collection events, to add/remove/sort/toggleShowAll item views
-				 */
-				self.collection.on("remove", self.removeItemView, self);
-				self.collection.on("add", self.addItemView, self);
-				self.collection.on("sort", self.onCollectionSort, self);
+		/**
+		 * Update paging state and fire {@link #event-page_change} if it's changed
+		 * @param  {Number} total {optional} number of filtered items
+		 * @protected
+		 */
+		updatePaging: function (total) {
+			var state = this.computePagingState(total);
+			if (!_.isEqual(state, this.pagingState)) {
+				this.pagingState = state;
+				this.trigger("page:change", this, state);
 			}
 		},
 
-		checkFilter: function (model) {
-			var self = this;
-			return self.collection.checkFilter(model) && self.checkSearchFilter(model)
-		},
-		
-		/*
-		 * Sets searchFilter on the collection and triggers search event
-		 *
-		 * @param value to be set
+		/**
+		 * Display page with given number, number is clamped to existing pages, non numeric values are ignored
+		 * @param  {Number/String} page
 		 */
-		search: function(value) {
-			var self = this;
-			self.searchFilter = value.trim();
-			self.onCollectionSort();
+		goToPage: function (page) {
+			page = parseInt(page, 10);
+			if (!isFinite(page)) {
+				return;
+			}
+			page = Math.max(1, Math.min(page, this.getPageCount()));
+			if (page !== this.page) {
+				this.page = page;
+				this.requery();
+			}
 		},
 
-		checkSearchFilter: function (model) {
-			var self = this, i = 0, pattern;
-			
-			if (self.searchFilter.length > 0) {
-				pattern = RegExp(self.searchFilter, "i");
-				var searchValues;
-				var searchProperties = self.searchProperties || model.keys();
-				if (_.isFunction(searchProperties)) {
-					searchValues = searchProperties(model);
-				} else {
-					searchValues = _.map(searchProperties, function (p) { 
-						return model.get(p);
-					});
-				}
+		nextPage: function () {
+			this.goToPage(this.page + 1);
+		},
 
-				return _.some(searchValues, function (v) {
-					return pattern.test(v);
-				});
-			}
+		prevPage: function () {
+			this.goToPage(this.page - 1);
+		},
 
-			return true;
+		/**
+		 * Change number of items on the page and return to the first page
+		 * @param {Number} pageSize null to display all items
+		 */
+		setPageSize: function (pageSize) {
+			this.pageSize = pageSize || null;
+			this.page = 1;
+			this.requery();
 		},
 
 		/**
-		 * Calls when model removed from the collection
-		 * @param  {Model} model
-		 * @param  {Collection} collection
-		 * @param  {Object} options
+		 * Call view's method asynchronously, several calls in a row are batched into one call
+		 * @param  {String} method name of the method
+		 * @protected
 		 */
-		removeItemView: function (model, collection, options) {
+		schedule: function (method) {
 			var self = this;
-
-			var view = _(self.children).find(function (view) {
-				return view.model.cid === model.cid;
+			self.scheduled = self.scheduled || {};
+			if (self.scheduled[method]) {
+				return;
+			}
+			self.scheduled[method] = true;
+			_.defer(function () {
+				delete self.scheduled[method];
+				if (!self.destroyed) {
+					self[method]();
+				}
 			});
+		},
 
-			if (view) {
-				self.remove(view);
-				if (self.rendered) {
-					view.destroy();
-				}
+		/**
+		 * Called when child view is destroyed
+		 * @param  {Generic.View} childView
+		 * @protected
+		 */
+		onChildViewDestroyed: function (childView) {
+			if (this.virtualViews && childView.model && this.virtualViews[childView.model.cid] === childView) {
+				delete this.virtualViews[childView.model.cid];
 			}
-			var limit = self.limit || self.collection.length;
-			var diff = limit - self.children.length;
-			if (diff > 0) {
-				var begin = self.children.length;
-				var end = self.children.length + diff;
-				var models = self.collection.slice(begin, end);
-				_(models).each(function (model) {
-					self.addItemView(model);
-				});
+			View.prototype.onChildViewDestroyed.apply(this, arguments);
+		},
+
+		releaseChild: function (childView) {
+			if (this.displayedViews) {
+				this.displayedViews = _.without(this.displayedViews, childView);
 			}
+			View.prototype.releaseChild.apply(this, arguments);
 		},
 
 		/**
-		 * Calls when model added to the collection
-		 * @param  {Model} model
-		 * @param  {Collection} collection
-		 * @param  {Object} options
+		 * Returns scrollable element which is watched in virtual mode
+		 * @return {jQuery}
 		 */
-		addItemView: function (model, collection, options) {
-			var self = this;
-			options = options || {};
-			// check if view already exists, to not duplicate views
-			var viewIdx = self.findViewByModel(model);
-			if (viewIdx !== -1) {
-				console.debug("view exists, don't add");
-				return;
-			}
+		getScrollContainer: function () {
+			return this.scrollContainer ? $(this.scrollContainer) : this.$el;
+		},
 
-			var limit = self.limit || self.collection.length;
+		/**
+		 * Create spacer element which reserves space for not rendered items in virtual mode
+		 * @protected
+		 * @return {DOMNode}
+		 */
+		createSpacer: function () {
+			var spacer = document.createElement("div");
+			spacer.className = "virtual-spacer";
+			return spacer;
+		},
 
-			if ((self.children !== undefined && self.children.length >= limit) || !self.checkFilter(model)) {
-				// don't add if rich limit or filtered
-				return;
-			}
-			
-			var view = self.add(self.createViewForModel(model));
-			// render only if collection view is rendered
-			if (self.rendered) {
-				(options.container || self.getItemsContainer()).appendChild(view.el);
-				view.render();
-			}
+		/**
+		 * Set height of spacer element
+		 * @param {DOMNode} spacer
+		 * @param {Number} height in pixels
+		 * @protected
+		 */
+		setSpacerHeight: function (spacer, height) {
+			// spacer stays displayed even with zero height, it's used to measure scroll position of items
+			spacer.style.height = height + "px";
 		},
 
 		/**
-		 * Find view by mdoel
-		 * @param  {Model} model
-		 * @return {Number} index of view in children array
+		 * Insert spacers into items container and render visible items
+		 * @protected
 		 */
-		findViewByModel: function (model) {
+		renderVirtualContainer: function () {
 			var self = this,
-				result = -1;
+				container = self.getItemsContainer();
 
-			_(self.children).each(function (view, idx) {
-				if ((view.model.cid != null) && (view.model.cid === model.cid) || (view.model.get("id") != null) && (view.model.get("id") === model.get("id"))) {
-					result = idx;
-					return;
-				}
+			self.topSpacer = self.topSpacer || self.createSpacer();
+			self.bottomSpacer = self.bottomSpacer || self.createSpacer();
+			container.appendChild(self.topSpacer);
+			_(self.children).each(function (view) {
+				container.appendChild(view.el);
 			});
-			return result;
+			container.appendChild(self.bottomSpacer);
+			self.refreshVirtual();
 		},
 
 		/**
-		 * Returns ItemView for model,
-		 * can be overriden to implement more complex logic
-		 * @param  {Model} model
-		 * @return {Generic.View}
+		 * Apply filters and sorting to the collection and render visible items
 		 */
-		createViewForModel: function (model) {
+		refreshVirtual: function () {
 			var self = this;
+			if (!self.rendered) {
+				return;
+			}
+			self.virtualModels = self.filteredModels = self.getFilteredModels();
+			self.layoutVirtual();
+			self.renderVirtual();
+		},
 
-			return new self.itemView({
-				model: model
+		/**
+		 * Calculate items' offsets for measured heights
+		 * @protected
+		 */
+		layoutVirtual: function () {
+			var self = this,
+				offset = 0,
+				estimate = self.getEstimatedItemHeight();
+
+			if (self.itemHeight) {
+				self.virtualOffsets = null;
+				return;
+			}
+			self.virtualOffsets = [0];
+			_.each(self.virtualModels, function (model) {
+				offset += self.itemHeights[model.cid] || estimate;
+				self.virtualOffsets.push(offset);
 			});
 		},
 
 		/**
-		 * Return children views container
-		 * @return {DOMNode} container for children views
+		 * Returns known item's height: fixed {@link #itemHeight} or average of measured heights
+		 * @protected
+		 * @return {Number}
 		 */
-		getItemsContainer: function () {
-			return this.el;
+		getEstimatedItemHeight: function () {
+			return this.itemHeight || this.estimatedItemHeight || 20;
 		},
 
-		createDocumentFragment: function () {
-			return document.createDocumentFragment();
+		/**
+		 * Returns offset of item with given index from the top of the first item
+		 * @param  {Number} index
+		 * @return {Number}
+		 * @protected
+		 */
+		getItemOffset: function (index) {
+			if (this.virtualOffsets) {
+				return this.virtualOffsets[index];
+			}
+			return index * this.itemHeight;
 		},
 
 		/**
-		 * Render children views and append them to the CollectoinView element.
-		 * CollectionView tries to minimise browser reflow/ Document tree modification will trigger reflow. 
-		 * Adding new elements to the DOM, changing the value of text nodes,
-		 * or changing various attributes will all be enough to cause a reflow. 
-		 * Making several changes one after the other, may trigger more than one reflow, 
-		 * so in general, it is best to make multiple changes in a non-displayed DOM tree fragment.
-		 * 
-		 * @return this
+		 * Returns index of item located at given offset
+		 * @param  {Number} offset
+		 * @return {Number}
+		 * @protected
 		 */
-		render: function () {
-			var self = this;
-			
-			View.prototype.render.apply(self, arguments);
-
-			var fragment = self.createDocumentFragment()
-			_(this.children).each(function (childView) {
-				fragment.appendChild(childView.el);
-				childView.render();
-			});
-			self.getItemsContainer().appendChild(fragment);
+		findIndexAtOffset: function (offset) {
+			var offsets = this.virtualOffsets,
+				count = this.virtualModels.length,
+				low = 0,
+				high,
+				mid;
 
-			return this;
+			if (!offsets) {
+				return Math.max(0, Math.min(count - 1, Math.floor(offset / this.itemHeight)));
+			}
+			high = count - 1;
+			while (low < high) {
+				mid = Math.ceil((low + high) / 2);
+				if (offsets[mid] <= offset) {
+					low = mid;
+				} else {
+					high = mid - 1;
+				}
+			}
+			return Math.max(0, low);
 		},
 
-		destroy: function () {
-			if (this.collection) {
-				this.collection.off(null, null, this);
+		/**
+		 * Render items visible in scroll container, called on scroll
+		 */
+		renderVirtual: function () {
+			var self = this,
+				$scroll,
+				scrollTop,
+				viewportHeight,
+				start,
+				end;
+
+			if (!self.rendered || !self.virtualModels) {
+				return;
 			}
-			return View.prototype.destroy.apply(this, arguments);;
+			$scroll = self.getScrollContainer();
+			viewportHeight = self.attached ? $scroll.innerHeight() : 0;
+			if (viewportHeight > 0) {
+				// take into account content above items, e.g. table's header
+				scrollTop = $scroll.scrollTop() - ($(self.topSpacer).offset().top - $scroll.offset().top + $scroll.scrollTop());
+				start = self.findIndexAtOffset(scrollTop) - self.overscan;
+				end = self.findIndexAtOffset(scrollTop + viewportHeight) + 1 + self.overscan;
+			} else {
+				// dimensions are unknown until view is attached, render the first items
+				start = 0;
+				end = self.overscan * 2;
+			}
+			self.setVirtualRange(Math.max(0, start), Math.min(self.virtualModels.length, end));
 		},
 
-		/*
-		 * Returns count of filtered views
+		/**
+		 * Render items in the range, release views out of the range
+		 * @param {Number} start index of first item
+		 * @param {Number} end index after the last item
+		 * @protected
 		 */
-		getFilteredCount: function() {
+		setVirtualRange: function (start, end) {
 			var self = this,
-				count = 0;
+				container = self.getItemsContainer(),
+				models = self.virtualModels.slice(start, end),
+				visible = {},
+				views,
+				next = self.bottomSpacer,
+				i;
 
-			self.collection.each(function(model) {
-				if (self.checkFilter(model)) {
-					count++;
+			_.each(models, function (model) {
+				visible[model.cid] = true;
+			});
+			_.each(self.children, function (view) {
+				if (!visible[view.model.cid]) {
+					self.releaseVirtualView(view);
 				}
-			})
+			});
 
-			return count;
+			views = _.map(models, self.getVirtualView, self);
+			// insert views in order, views which are already in place are not moved
+			for (i = views.length - 1; i >= 0; i--) {
+				if (views[i].el.nextSibling !== next) {
+					container.insertBefore(views[i].el, next);
+				}
+				next = views[i].el;
+			}
+			self.children = views;
+			self.virtualRange = {
+				start: start,
+				end: end
+			};
+
+			if (self.measureVirtualViews(views)) {
+				self.layoutVirtual();
+			}
+			self.setSpacerHeight(self.topSpacer, self.getItemOffset(start));
+			self.setSpacerHeight(self.bottomSpacer, self.getItemOffset(self.virtualModels.length) - self.getItemOffset(end));
+			self.checkAttached();
 		},
 
+		/**
+		 * Measure heights of rendered views if {@link #itemHeight} is not fixed
+		 * @param  {Array} views
+		 * @return {Boolean} true if any height differs from the estimated one
+		 * @protected
+		 */
+		measureVirtualViews: function (views) {
+			var self = this,
+				changed = false;
 
-		onCollectionSort: function () {
-			var self = this;
+			if (self.itemHeight || !self.attached) {
+				return false;
+			}
+			_.each(views, function (view) {
+				var height = view.el.offsetHeight,
+					previous = self.itemHeights[view.model.cid];
 
-			var fragment = document.createDocumentFragment();
-
-			var models = self.collection.filter(self.checkFilter, self);
-			var limit = self.limit;
-			self.limit = self.collection.length + 1;
-			var renderedViews = 0;
-			_.each(models, function (model, idx) {
-				var viewIdx = self.findViewByModel(model);
-				var view;
-				if (limit && renderedViews >= limit) {
-					// don't add if rich limit or filtered
-					return;
+				if (height > 0 && previous !== height) {
+					self.measuredHeights.sum += height - (previous || 0);
+					if (!previous) {
+						self.measuredHeights.count++;
+					}
+					self.itemHeights[view.model.cid] = height;
+					changed = true;
 				}
-				if (viewIdx > -1) {
-					view = self.children[viewIdx];
-					view.$el.appendTo(fragment);
-				} else {
-					self.addItemView(model, self.collection, {
-						container: fragment
-					});
-				}
-				renderedViews++;
 			});
-			self.limit = limit;
-			$(self.getItemsContainer()).html(fragment);
+			if (self.measuredHeights.count > 0) {
+				self.estimatedItemHeight = self.measuredHeights.sum / self.measuredHeights.count;
+			}
+			return changed;
+		},
+
+		/**
+		 * Returns rendered view for the model, reusing released views if possible
+		 * @param  {Model} model
+		 * @return {Generic.View}
+		 * @protected
+		 */
+		getVirtualView: function (model) {
+			var self = this,
+				view = self.virtualViews[model.cid];
+
+			if (view) {
+				return view;
+			}
+			view = self.viewPool.pop();
+			if (view) {
+				view.bindModel(model);
+			} else {
+				view = self.createViewForModel(model);
+			}
+			self.add(view);
+			self.markItemView(view);
+			self.virtualViews[model.cid] = view;
+			view.render();
+			return view;
+		},
+
+		/**
+		 * Remove view from the DOM and keep it for reuse
+		 * @param  {Generic.View} view
+		 * @protected
+		 */
+		releaseVirtualView: function (view) {
+			var self = this;
+			delete self.virtualViews[view.model.cid];
+			self.remove(view);
+			if (self.recycleViews) {
+				view.unbindModel();
+				view.$el.detach();
+				self.viewPool.push(view);
+			} else {
+				view.destroy();
+			}
+		},
+
+		/**
+		 * Start listening to scroll events, called when the view is attached
+		 * @protected
+		 */
+		bindScrollContainer: function () {
+			var self = this,
+				namespace = ".virtual" + self.cid,
+				onScroll = _.throttle(_.bind(self.renderVirtual, self), 16);
+
+			self.unbindScrollContainer();
+			self.boundScrollContainer = self.getScrollContainer();
+			self.boundScrollContainer.on("scroll" + namespace, onScroll);
+			$(window).on("resize" + namespace, onScroll);
+			self.renderVirtual();
+		},
+
+		/**
+		 * Stop listening to scroll events
+		 * @protected
+		 */
+		unbindScrollContainer: function () {
+			var namespace = ".virtual" + this.cid;
+			if (this.boundScrollContainer) {
+				this.boundScrollContainer.off(namespace);
+				this.boundScrollContainer = null;
+			}
+			$(window).off(namespace);
 		}
 	});
 
+	/**
+	 * Returns escaped html of the text with matched ranges wrapped into `mark` elements
+	 * @static
+	 * @param  {String} text
+	 * @param  {Array} ranges {optional} ranges returned by {@link #getSearchMatches}
+	 * @return {String} html
+	 */
+	CollectionView.highlight = function (text, ranges) {
+		var html = "",
+			position = 0;
+
+		text = text == null ? "" : String(text);
+		ranges = _.sortBy(ranges || [], function (range) {
+			return range[0];
+		});
+		_.each(ranges, function (range) {
+			var start = Math.max(range[0], position);
+			if (start >= range[1]) {
+				return;
+			}
+			html += _.escape(text.slice(position, start)) + "<mark>" + _.escape(text.slice(start, range[1])) + "</mark>";
+			position = range[1];
+		});
+		return html + _.escape(text.slice(position));
+	};
+
 	return CollectionView;
 });
@@ -0,0 +1,105 @@
+/**
+ * @class Generic.GroupRowView
+ * @extends Generic.View
+ *
+ * Header row of rows' group in grouped {@link Generic.TableView}.
+ * Row displays group's title, value and number of models, and a link which collapses or expands the group.
+ * Columns with `groupAggregate` display aggregated values of group's models in their cells,
+ * the first cell spans columns before the first aggregated one.
+ */
+define([
+	"jquery",
+	"underscore",
+	"generic/View"
+], function (
+	$,
+	_,
+	View
+) {
+	var GroupRowView = View.extend({
+		tagName: "tr",
+		className: "group-row",
+
+		events: {
+			"click .group-toggle": "onToggleClick"
+		},
+
+		/**
+		 * Table which displays the row
+		 * @type {Generic.TableView}
+		 */
+		tableView: undefined,
+
+		/**
+		 * Displayed group, see {@link Generic.TableView#getGroups}
+		 * @type {Object}
+		 */
+		group: undefined,
+
+		initialize: function (options) {
+			options = options || {};
+			this.tableView = options.tableView;
+			this.group = options.group;
+			View.prototype.initialize.apply(this, arguments);
+		},
+
+		/**
+		 * Replace displayed group and re-render the row
+		 * @param {Object} group
+		 */
+		setGroup: function (group) {
+			this.group = group;
+			if (this.rendered) {
+				this.render();
+			}
+		},
+
+		renderContent: function () {
+			var self = this,
+				group = self.group,
+				columns = self.tableView.getVisibleColumns(),
+				collapsed = self.tableView.isGroupCollapsed(group.key),
+				span = 0,
+				td;
+
+			self.$el.empty()
+				.attr("data-group", group.key)
+				.toggleClass("collapsed", collapsed)
+				.removeClass(function (index, className) {
+					return (className.match(/\bgroup-level-\d+/g) || []).join(" ");
+				})
+				.addClass("group-level-" + group.depth);
+
+			while (span < columns.length && !columns[span].groupAggregate) {
+				span++;
+			}
+			td = document.createElement("td");
+			td.className = "group-title";
+			td.colSpan = Math.max(span, 1) + self.tableView.getControlColumnCount();
+			$(td).append(
+				$("<a href='#' class='group-toggle'></a>").attr("aria-expanded", String(!collapsed)),
+				group.title ? $("<span class='group-name'></span>").text(group.title + ": ") : null,
+				$("<span class='group-value'></span>").text(group.value == null ? "" : group.value),
+				$("<span class='group-count'></span>").text(" (" + group.models.length + ")")
+			);
+			self.el.appendChild(td);
+
+			_.each(columns.slice(Math.max(span, 1)), function (column) {
+				td = document.createElement("td");
+				td.setAttribute("data-column", column.id);
+				if (column.groupAggregate) {
+					td.className = "group-aggregate";
+					$(td).text(self.tableView.getGroupAggregate(group, column));
+				}
+				self.el.appendChild(td);
+			});
+		},
+
+		onToggleClick: function (e) {
+			e.preventDefault();
+			this.tableView.toggleGroup(this.group.key);
+		}
+	});
+
+	return GroupRowView;
+});
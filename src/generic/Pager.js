@@ -0,0 +1,120 @@
+/**
+ * @class Generic.Pager
+ * @extends Generic.View
+ *
+ * Navigation control for paged {@link Generic.CollectionView}.
+ * Pager listens to {@link Generic.CollectionView#event-page_change} and renders links to previous/next pages,
+ * numbers of nearby pages and range of displayed items.
+ *
+ * 		@example
+ *		var view = new CollectionView({
+ *			collection: collection,
+ *			pageSize: 20
+ *		});
+ *		var pager = new Pager({
+ *			collectionView: view
+ *		});
+ *		pager.render();
+ *		container.append(view.render().el, pager.el);
+ */
+define([
+	"jquery",
+	"underscore",
+	"generic/View"
+], function (
+	$,
+	_,
+	View
+) {
+	var Pager = View.extend({
+		tagName: "div",
+		className: "pager",
+
+		template: "<% if (pageCount > 1) { %>" +
+				"<a href='#' class='pager-prev<% if (page === 1) { %> disabled<% } %>' data-page='<%= page - 1 %>'>&laquo;</a>" +
+				"<% for (var i = 0; i < pages.length; i++) { var p = pages[i]; %>" +
+					"<% if (p === null) { %><span class='pager-gap'>&hellip;</span>" +
+					"<% } else { %><a href='#' class='pager-page<% if (p === page) { %> active<% } %>' data-page='<%= p %>'><%= p %></a><% } %>" +
+				"<% } %>" +
+				"<a href='#' class='pager-next<% if (page === pageCount) { %> disabled<% } %>' data-page='<%= page + 1 %>'>&raquo;</a>" +
+			"<% } %>" +
+			"<span class='pager-info'><%= from %>&ndash;<%= to %> of <%= total %></span>",
+
+		events: {
+			"click a[data-page]": "onPageClick"
+		},
+
+		/**
+		 * Collection view to navigate
+		 * @cfg {Generic.CollectionView}
+		 */
+		collectionView: undefined,
+
+		/**
+		 * Maximum number of page links
+		 * @cfg {Number}
+		 */
+		maxLinks: 7,
+
+		initialize: function (options) {
+			var self = this;
+			options = options || {};
+			self.collectionView = options.collectionView;
+			if (options.maxLinks) {
+				self.maxLinks = options.maxLinks;
+			}
+			View.prototype.initialize.apply(self, arguments);
+			self.collectionView.on("page:change", self.render, self);
+		},
+
+		/**
+		 * Returns page numbers to display, null stands for a gap
+		 * @param  {Object} state paging state
+		 * @return {Array}
+		 * @protected
+		 */
+		getPageLinks: function (state) {
+			var half = Math.floor(this.maxLinks / 2),
+				start = Math.max(1, Math.min(state.page - half, state.pageCount - this.maxLinks + 1)),
+				end = Math.min(state.pageCount, start + this.maxLinks - 1),
+				pages = _.range(start, end + 1);
+
+			// always show the first and the last pages
+			if (start > 1) {
+				pages[0] = 1;
+				pages[1] = null;
+			}
+			if (end < state.pageCount) {
+				pages[pages.length - 1] = state.pageCount;
+				pages[pages.length - 2] = null;
+			}
+			return pages;
+		},
+
+		getTemplateContext: function () {
+			var state = this.collectionView.getPagingState(),
+				from = state.pageSize ? (state.page - 1) * state.pageSize + 1 : 1;
+
+			return _.extend({}, state, {
+				pages: this.getPageLinks(state),
+				from: Math.min(from, state.total),
+				to: state.pageSize ? Math.min(state.page * state.pageSize, state.total) : state.total
+			});
+		},
+
+		onPageClick: function (e) {
+			e.preventDefault();
+			var $link = $(e.currentTarget);
+			if (!$link.hasClass("disabled")) {
+				this.collectionView.goToPage(parseInt($link.attr("data-page"), 10));
+			}
+		},
+
+		destroy: function () {
+			this.collectionView.off(null, null, this);
+			return View.prototype.destroy.apply(this, arguments);
+		}
+	});
+
+	return Pager;
+});
@@ -0,0 +1,109 @@
+/**
+ * @class Generic.StateStore
+ *
+ * Key-value store for views' state, e.g. {@link Generic.TableView} keeps columns layout, sort and page size in it.
+ * StateStore keeps values in memory, which is useful for tests, {@link Generic.StateStore.LocalStorage}
+ * persists them in browser's localStorage. Other adapters implement {@link #get}, {@link #set} and {@link #remove}.
+ *
+ * 		@example
+ * 		var LocalStorage = StateStore.LocalStorage;
+ * 		var table = new TableView({
+ * 			tableId: "instances",
+ * 			stateStore: new LocalStorage({prefix: "myapp."})
+ * 		});
+ *
+ * Values are copied on set and get, so changing returned value doesn't change the stored one.
+ */
+define([
+	"underscore",
+	"backbone"
+], function (
+	_,
+	Backbone
+) {
+	var StateStore = function (options) {
+		this.data = {};
+		this.initialize.apply(this, arguments);
+	};
+
+	_.extend(StateStore.prototype, {
+		initialize: function (options) {},
+
+		/**
+		 * Returns stored value
+		 * @param  {String} key
+		 * @return {Object} value or undefined if there is no value
+		 */
+		get: function (key) {
+			return _.has(this.data, key) ? JSON.parse(this.data[key]) : undefined;
+		},
+
+		/**
+		 * Store value
+		 * @param {String} key
+		 * @param {Object} value JSON serializable value
+		 */
+		set: function (key, value) {
+			this.data[key] = JSON.stringify(value);
+		},
+
+		/**
+		 * Remove stored value
+		 * @param  {String} key
+		 */
+		remove: function (key) {
+			delete this.data[key];
+		}
+	});
+
+	StateStore.extend = Backbone.Model.extend;
+
+	/**
+	 * @class Generic.StateStore.LocalStorage
+	 * @extends Generic.StateStore
+	 *
+	 * Keeps values in browser's localStorage. If localStorage is not available (e.g. private mode),
+	 * values are kept in memory.
+	 */
+	StateStore.LocalStorage = StateStore.extend({
+		/**
+		 * Prefix of localStorage keys
+		 * @cfg {String}
+		 */
+		prefix: "generic.",
+
+		initialize: function (options) {
+			if (options && options.prefix != null) {
+				this.prefix = options.prefix;
+			}
+		},
+
+		get: function (key) {
+			var value;
+			try {
+				value = window.localStorage.getItem(this.prefix + key);
+				return value == null ? undefined : JSON.parse(value);
+			} catch (e) {
+				return StateStore.prototype.get.apply(this, arguments);
+			}
+		},
+
+		set: function (key, value) {
+			try {
+				window.localStorage.setItem(this.prefix + key, JSON.stringify(value));
+			} catch (e) {
+				StateStore.prototype.set.apply(this, arguments);
+			}
+		},
+
+		remove: function (key) {
+			try {
+				window.localStorage.removeItem(this.prefix + key);
+			} catch (e) {
+				StateStore.prototype.remove.apply(this, arguments);
+			}
+		}
+	});
+
+	return StateStore;
+});
@@ -0,0 +1,419 @@
+/**
+ * @class Generic.TableRowView
+ * @extends Generic.View
+ *
+ * Default item view of {@link Generic.TableView}, renders a cell for each table's column.
+ *
+ * Cell's content is column's value (see {@link Generic.TableView#getColumnValue}) processed by column's options:
+ *
+ * * `formatter` - function(value, model) which returns formatted value, it's displayed as text
+ * * `renderer` - template string (see {@link Generic.templates}), function(value, model) which returns html,
+ *   or view class instantiated with `model`, `column` and `value` options
+ *
+ * 		@example
+ * 		columns: [
+ * 			{title: "Name", key: "name"},
+ * 			{title: "Memory", key: "memory", formatter: function (value) { return (value / 1024).toFixed(1) + " GB"; }},
+ * 			{title: "Status", key: "status", renderer: "<span class='status status-<%- value %>'><%- value %></span>"},
+ * 			{title: "Load", id: "load", observe: ["cpu", "memory"], renderer: LoadChartView}
+ * 		]
+ *
+ * When model is changed only cells which depend on changed attributes are re-rendered.
+ * Cells depend on column's `key`, or on attributes listed in `observe`. Cells with `accessor` and without `observe`
+ * are re-rendered on every change.
+ *
+ * Cells of editable columns (see {@link Generic.TableView#editCell}) are replaced by editors while they are edited.
+ * Built-in editors are "text", "number", "select" and "checkbox", custom editor is a view class which is created
+ * with `model`, `column` and `value` options and implements `getValue()` method.
+ */
+define([
+	"jquery",
+	"underscore",
+	"generic/View",
+	"generic/templates"
+], function (
+	$,
+	_,
+	View,
+	templates
+) {
+	/**
+	 * Built-in editors, create(value, options) returns editor's element, read(el, options) returns edited value
+	 * @private
+	 */
+	var editors = {
+		text: {
+			create: function (value) {
+				return $("<input type='text'/>").val(value == null ? "" : value);
+			},
+			read: function ($el) {
+				return $el.val();
+			}
+		},
+
+		number: {
+			create: function (value) {
+				return $("<input type='number'/>").val(value == null ? "" : value);
+			},
+			read: function ($el) {
+				var value = $el.val();
+				return value === "" ? null : Number(value);
+			}
+		},
+
+		checkbox: {
+			create: function (value) {
+				return $("<input type='checkbox'/>").prop("checked", !!value);
+			},
+			read: function ($el) {
+				return $el.prop("checked");
+			}
+		},
+
+		select: {
+			create: function (value, options) {
+				var $select = $("<select></select>");
+				_.each(options, function (option, index) {
+					$("<option></option>")
+						.attr("value", index)
+						.text(option.label)
+						.prop("selected", option.value === value)
+						.appendTo($select);
+				});
+				return $select;
+			},
+			read: function ($el, options) {
+				var option = options[parseInt($el.val(), 10)];
+				return option ? option.value : null;
+			}
+		}
+	};
+
+	/**
+	 * Returns true if column's renderer is a view class
+	 * @private
+	 */
+	function isViewRenderer(renderer) {
+		return !!renderer && !!renderer.prototype && _.isFunction(renderer.prototype.render);
+	}
+
+	var TableRowView = View.extend({
+		tagName: "tr",
+		className: "resourceMain",
+
+		/**
+		 * Table which displays the row
+		 * @type {Generic.TableView}
+		 */
+		tableView: undefined,
+
+		/**
+		 * State of the edited cell: column, editor's element or view, options of select editor
+		 * @type {Object}
+		 * @private
+		 */
+		editor: null,
+
+		initialize: function (options) {
+			options = options || {};
+			this.tableView = options.collectionView;
+			this.cellViews = {};
+			this.editor = null;
+			View.prototype.initialize.apply(this, arguments);
+		},
+
+		/**
+		 * Returns columns displayed in the row
+		 * @return {Array}
+		 * @protected
+		 */
+		getColumns: function () {
+			return this.tableView.getVisibleColumns();
+		},
+
+		renderContent: function () {
+			var self = this;
+			self.stopEditing();
+			_.each(self.cellViews, function (view) {
+				view.destroy();
+			});
+			self.cellViews = {};
+			self.$el.empty();
+			if (self.tableView.detailView) {
+				$("<td class='expand-cell'><a href='#' class='row-toggle' aria-expanded='false'></a></td>").appendTo(self.el);
+			}
+			if (self.tableView.checkboxes) {
+				$("<td class='select-cell'><input type='checkbox' class='select-row'/></td>")
+					.appendTo(self.el)
+					.find("input")
+					.prop("checked", self.tableView.isSelected(self.model));
+			}
+			_.each(self.getColumns(), function (column) {
+				var td = document.createElement("td");
+				td.setAttribute("data-column", column.id);
+				if (column.cssClass) {
+					td.className = column.cssClass;
+				}
+				if (self.tableView.isCellEditable(column, self.model)) {
+					// focusable, so Enter key starts editing
+					td.setAttribute("tabindex", "-1");
+					$(td).addClass("editable");
+				}
+				self.el.appendChild(td);
+				self.renderCell(column, td);
+			});
+		},
+
+		/**
+		 * Hydrate views of cells rendered by view renderers
+		 * @protected
+		 */
+		hydrateContent: function () {
+			var self = this;
+			View.prototype.hydrateContent.apply(self, arguments);
+			_.each(self.cellViews, function (view) {
+				view.destroy();
+			});
+			self.cellViews = {};
+			_.each(self.getColumns(), function (column) {
+				var td = self.getCell(column.id).get(0),
+					el = td && $(td).children().get(0);
+
+				if (!isViewRenderer(column.renderer) || !td) {
+					return;
+				}
+				if (!el) {
+					self.renderCell(column, td);
+					return;
+				}
+				self.cellViews[column.id] = self.add(new column.renderer({
+					model: self.model,
+					column: column,
+					value: self.tableView.getColumnValue(column, self.model)
+				}));
+				self.cellViews[column.id].hydrate(el);
+			});
+		},
+
+		/**
+		 * Returns cell's element of the column
+		 * @param  {String} columnId
+		 * @return {jQuery}
+		 */
+		getCell: function (columnId) {
+			return this.$el.children("td[data-column='" + columnId + "']");
+		},
+
+		/**
+		 * Render content of the cell
+		 * @param  {Object} column
+		 * @param  {DOMNode} td
+		 * @protected
+		 */
+		renderCell: function (column, td) {
+			var self = this,
+				renderer = column.renderer,
+				value = self.tableView.getColumnValue(column, self.model),
+				formatted = column.formatter ? column.formatter.call(self.tableView, value, self.model) : value,
+				view;
+
+			if (self.cellViews[column.id]) {
+				self.cellViews[column.id].destroy();
+				delete self.cellViews[column.id];
+			}
+			if (_.isString(renderer)) {
+				td.innerHTML = templates.render(templates.compile(renderer), {
+					value: formatted,
+					model: self.model,
+					column: column
+				});
+			} else if (isViewRenderer(renderer)) {
+				view = new renderer({
+					model: self.model,
+					column: column,
+					value: value
+				});
+				self.cellViews[column.id] = self.add(view);
+				$(td).empty().append(view.el);
+				view.render();
+			} else if (_.isFunction(renderer)) {
+				td.innerHTML = renderer.call(self.tableView, formatted, self.model);
+			} else {
+				$(td).text(formatted == null ? "" : formatted);
+			}
+		},
+
+		/**
+		 * Returns true if the cell of the column is edited, or any cell if column is not specified
+		 * @param  {String} columnId {optional}
+		 * @return {Boolean}
+		 */
+		isEditing: function (columnId) {
+			return !!this.editor && (columnId === undefined || this.editor.column.id === columnId);
+		},
+
+		/**
+		 * Returns column of the edited cell
+		 * @return {Object} column or null
+		 */
+		getEditingColumn: function () {
+			return this.editor ? this.editor.column : null;
+		},
+
+		/**
+		 * Replace cell's content with column's editor
+		 * @param  {Object} column
+		 */
+		startEditing: function (column) {
+			var self = this,
+				td = self.getCell(column.id).get(0),
+				value = self.tableView.getColumnValue(column, self.model),
+				type = column.editor || "text",
+				editor = {
+					column: column
+				};
+
+			self.stopEditing();
+			if (!td) {
+				return;
+			}
+			if (_.isString(type) && !editors[type]) {
+				console.error("Unknown editor", type);
+				return;
+			}
+			if (self.cellViews[column.id]) {
+				self.cellViews[column.id].destroy();
+				delete self.cellViews[column.id];
+			}
+			$(td).empty().addClass("editing");
+			self.editor = editor;
+			if (_.isString(type)) {
+				editor.options = type === "select" ? self.getEditorOptions(column) : null;
+				editor.type = editors[type];
+				editor.$input = editor.type.create(value, editor.options).addClass("cell-editor").appendTo(td);
+				editor.$input.focus();
+				if (editor.$input.is("input[type='text']")) {
+					editor.$input.select();
+				}
+			} else {
+				editor.view = self.add(new type({
+					model: self.model,
+					column: column,
+					value: value
+				}));
+				td.appendChild(editor.view.render().el);
+				if (_.isFunction(editor.view.focus)) {
+					editor.view.focus();
+				} else {
+					editor.view.$(":input").first().focus();
+				}
+			}
+		},
+
+		/**
+		 * Returns options of select editor: column's `editorOptions` array, or function(model) which returns it.
+		 * Option is a value or an object with `value` and `label`
+		 * @param  {Object} column
+		 * @return {Array} array of {value, label}
+		 * @protected
+		 */
+		getEditorOptions: function (column) {
+			var options = _.isFunction(column.editorOptions) ?
+				column.editorOptions.call(this.tableView, this.model) : column.editorOptions;
+			return _.map(options || [], function (option) {
+				return _.isObject(option) ? option : {
+					value: option,
+					label: String(option)
+				};
+			});
+		},
+
+		/**
+		 * Returns value of the editor
+		 * @return {Mixed}
+		 */
+		getEditorValue: function () {
+			var editor = this.editor;
+			if (!editor) {
+				return undefined;
+			}
+			return editor.view ? editor.view.getValue() : editor.type.read(editor.$input, editor.options);
+		},
+
+		/**
+		 * Display validation error on the edited cell
+		 * @param  {Mixed} error model's validationError
+		 */
+		showEditorError: function (error) {
+			var $td;
+			if (!this.editor) {
+				return;
+			}
+			$td = this.getCell(this.editor.column.id).addClass("invalid");
+			$td.children(".cell-error").remove();
+			if (error != null) {
+				$("<span class='cell-error'></span>")
+					.text(_.isString(error) ? error : (error.message || JSON.stringify(error)))
+					.appendTo($td);
+			}
+		},
+
+		/**
+		 * Remove editor and render cell's value
+		 */
+		stopEditing: function () {
+			var editor = this.editor,
+				$td;
+			if (!editor) {
+				return;
+			}
+			this.editor = null;
+			if (editor.view) {
+				editor.view.destroy();
+			}
+			$td = this.getCell(editor.column.id).removeClass("editing invalid");
+			if ($td.length) {
+				this.renderCell(editor.column, $td.get(0));
+			}
+		},
+
+		/**
+		 * Returns root attributes which the column depends on, or null if column depends on all attributes
+		 * @param  {Object} column
+		 * @return {Array}
+		 * @protected
+		 */
+		getColumnDependencies: function (column) {
+			return this.tableView.getColumnDependencies(column);
+		},
+
+		/**
+		 * Re-render cells which depend on changed attributes
+		 * @param  {Model} model
+		 * @protected
+		 */
+		onModelChange: function (model) {
+			var self = this,
+				changed;
+
+			View.prototype.onModelChange.apply(self, arguments);
+			if (!model || !self.rendered) {
+				return;
+			}
+			changed = _.keys(model.changed);
+			_.each(self.getColumns(), function (column) {
+				var dependencies = self.getColumnDependencies(column),
+					$td;
+				if (self.isEditing(column.id) || (dependencies && _.intersection(dependencies, changed).length === 0)) {
+					return;
+				}
+				$td = self.getCell(column.id);
+				if ($td.length) {
+					self.renderCell(column, $td.get(0));
+				}
+			});
+		}
+	});
+
+	return TableRowView;
+});
@@ -3,56 +3,1995 @@
  * @extends Backbone.View
  *
  * Implements generic table with sorting and filtering logic
+ *
+ * Columns
+ * -------
+ *
+ * Columns are described with {@link #columns} option. Column's value is read from model's attribute `key`
+ * (dotted paths are supported) or computed by `accessor` function. Sortable columns declare `sortable: true`
+ * and optional `comparator`: "string" (default), "number", "date", "natural" or function which compares two values.
+ *
+ * 		@example
+ * 		var table = new TableView({
+ * 			collection: instances,
+ * 			columns: [
+ * 				{title: "Name", key: "name", sortable: true, comparator: "natural"},
+ * 				{title: "CPU", key: "usage.cpu", sortable: true, comparator: "number"},
+ * 				{title: "Launched", key: "launchTime", sortable: true, comparator: "date"},
+ * 				{title: "Tags", id: "tags", accessor: function (model) { return model.get("tags").length; }, sortable: true}
+ * 			],
+ * 			defaultSort: [{column: "name", order: "asc"}]
+ * 		});
+ *
+ * Rows are rendered by {@link Generic.TableRowView} from columns' descriptions, cells can declare `formatter`
+ * and `renderer` (see {@link Generic.TableRowView}). For special cases custom {@link Generic.CollectionView#itemView}
+ * can be used, it should render `tr` element with cells matching the columns.
+ *
+ * Click on column's header sorts the table by the column, second click reverses the order,
+ * shift-click adds the column to multi-column sort. The collection itself is not sorted,
+ * sort state is kept by the view, see {@link #getSortState} and {@link #event-sort_change}.
+ *
+ * Selection
+ * ---------
+ *
+ * {@link #selectionMode} "single" allows to select one row by click, "multi" also supports ctrl-click (cmd-click)
+ * to toggle a row and shift-click to select a range of rows. {@link #checkboxes} adds a column with checkboxes
+ * and "select all" checkbox in the header, which selects all filtered rows.
+ * Selection is tracked by model's id, so it survives sorting, filtering and paging.
+ * See {@link #selectModels}, {@link #deselectAll}, {@link #getSelectedModels} and {@link #event-selection_change}.
+ *
+ * Columns layout
+ * --------------
+ *
+ * Columns can be hidden with {@link #setColumnVisible}, moved with {@link #moveColumn} and resized with
+ * {@link #setColumnWidth}. With {@link #reorderableColumns} and {@link #resizableColumns} users can drag headers
+ * and resize columns with the mouse. If {@link #tableId} is specified, columns layout, sort and page size
+ * are saved into {@link #stateStore} and restored when the table is created again.
+ *
+ * 		@example
+ * 		var table = new TableView({
+ * 			collection: instances,
+ * 			tableId: "instances",
+ * 			columns: [{title: "Name", key: "name"}, {title: "Zone", key: "zone", visible: false, width: 120}],
+ * 			reorderableColumns: true,
+ * 			resizableColumns: true
+ * 		});
+ * 		table.setColumnVisible("zone", true);
+ *
+ * Export
+ * ------
+ *
+ * {@link #exportData} serializes filtered and sorted rows (all pages) to CSV, TSV or JSON
+ * using columns' descriptions, {@link #download} saves the result as a file.
+ * In remote mode the table has only the current page, so only its rows are exported,
+ * except with `selectedOnly` option which exports selected rows of all pages:
+ *
+ * 		@example
+ * 		var csv = table.exportData("csv", {selectedOnly: true});
+ * 		table.download("tsv", {formatted: false, filename: "instances.tsv"});
+ *
+ * Aggregates
+ * ----------
+ *
+ * Columns with `aggregate` display aggregated values in the row of table's footer, e.g. total CPU of instances.
+ * Aggregate is "sum", "avg", "min", "max", "count", custom reducer function(values, models)
+ * or object with `reducer` and `formatter`, see {@link Generic.aggregates}. Aggregates are computed over
+ * all filtered rows or over displayed rows only, see {@link #aggregateScope}, and are updated when the collection
+ * or its models are changed. Columns' values are cached, so only values of changed models are read again.
+ *
+ * 		@example
+ * 		columns: [
+ * 			{title: "Name", key: "name", aggregate: "count"},
+ * 			{title: "CPU", key: "cpu", aggregate: "sum"},
+ * 			{title: "Memory", key: "memory", aggregate: {reducer: "max", formatter: formatMemory}}
+ * 		]
+ * 		table.getAggregate("cpu"); // 42
+ *
+ * Detail rows
+ * -----------
+ *
+ * If {@link #detailView} is specified, rows have a toggle which expands a full-width detail row below the row.
+ * Detail view is created with row's `model` when the row is expanded and destroyed when it's collapsed,
+ * or when the model is removed. Expanded rows are tracked by model's id, so they stay expanded after sorting,
+ * filtering and paging. {@link #expandMode} "single" keeps only one row expanded.
+ *
+ * 		@example
+ * 		var table = new TableView({
+ * 			collection: instances,
+ * 			columns: ["Name", "Status"],
+ * 			detailView: InstanceDetailsView,
+ * 			expandMode: "single"
+ * 		});
+ * 		table.expandRow(instances.first());
+ *
+ * Editing
+ * -------
+ *
+ * Cells of columns with `editable: true` (or function(model) which returns true for editable cells) are edited
+ * on double-click or Enter key. Enter or leaving the cell commits the value with model's `set` and `validate: true`,
+ * Escape cancels editing, Tab and Shift-Tab commit and move to the next or previous editable cell.
+ * Validation error is displayed in the cell and editor stays open. Column's `editor` is "text" (default), "number",
+ * "select" with `editorOptions`, "checkbox" or a view class, see {@link Generic.TableRowView}.
+ * Edited value is converted by column's `parse` function(value, model) and is set to column's `key`,
+ * columns with `accessor` should provide `setter` function(model, value, options) instead.
+ *
+ * 		@example
+ * 		columns: [
+ * 			{title: "Name", key: "name", editable: true},
+ * 			{title: "Size", key: "size", editable: true, editor: "number"},
+ * 			{title: "Type", key: "type", editable: true, editor: "select", editorOptions: ["small", "large"]}
+ * 		]
+ * 		table.on("edit:commit", function (table, model) {
+ * 			model.save();
+ * 		});
+ *
+ * Grouping
+ * --------
+ *
+ * {@link #groupBy} groups rows by one or more levels, e.g. by provider and then by region. Each group starts
+ * with a header row (see {@link Generic.GroupRowView}) with group's value and number of rows, the link in the header
+ * collapses or expands the group. Columns with `groupAggregate` display aggregated value of group's rows in the header,
+ * see {@link Generic.aggregates} for possible values.
+ *
+ * 		@example
+ * 		var table = new TableView({
+ * 			collection: instances,
+ * 			columns: [
+ * 				{title: "Name", key: "name", sortable: true},
+ * 				{title: "Provider", key: "provider"},
+ * 				{title: "CPU", key: "cpu", groupAggregate: "sum"},
+ * 				{title: "Memory", key: "memory", groupAggregate: {reducer: "avg", formatter: formatMemory}}
+ * 			],
+ * 			groupBy: ["provider", {key: "region", title: "Region"}]
+ * 		});
+ * 		table.collapseGroup(table.getGroups()[0].key);
+ *
+ * Groups are computed from filtered models, so they follow filters, search and changes of the collection.
+ * Rows are ordered by groups first and then by table's sort state. Paging counts rows, not groups: a page displays
+ * headers of groups which have rows on the page, and rows of collapsed groups take their places on the page.
+ * Grouping and detail rows are not supported in virtual mode.
+ *
+ * Paging is configured with {@link Generic.CollectionView#pageSize}, {@link #pager} option renders navigation in the footer.
+ *
+ * Large tables can use virtual scrolling (see {@link Generic.CollectionView#virtual}):
+ * rows are rendered only for the visible part of the table's parent element, which should be scrollable.
+ * Rows have fixed height if {@link Generic.CollectionView#itemHeight} is specified, otherwise rendered rows are measured.
+ *
+ * 		@example
+ * 		var table = new TableView({
+ * 			collection: instances,
+ * 			columns: ["Name", "Status"],
+ * 			itemView: InstanceRowView,
+ * 			virtual: true,
+ * 			itemHeight: 32
+ * 		});
+ * 		table.render();
+ * 		table.open($(".table-wrapper").css({height: 600, overflow: "auto"}));
+ *
+ * Prerendered table is hydrated with {@link Generic.CollectionView#hydrate}: header is reused if it displays
+ * the same columns, rows of models are hydrated, group headers, detail rows and status rows are rendered again.
  */
 define([
 	"jquery",
 	"underscore",
-	"generic/CollectionView"
+	"generic/View",
+	"generic/CollectionView",
+	"generic/TableRowView",
+	"generic/GroupRowView",
+	"generic/Pager",
+	"generic/StateStore",
+	"generic/aggregates"
 ], function (
 	$,
 	_,
-	CollectionView
+	View,
+	CollectionView,
+	TableRowView,
+	GroupRowView,
+	Pager,
+	StateStore,
+	aggregates
 ) {
+	/**
+	 * Options which are copied from constructor's options to the view
+	 * @private
+	 */
+	var tableOptions = ["pager", "checkboxes", "tableId", "stateStore", "reorderableColumns", "resizableColumns",
+		"groupView", "aggregateScope", "detailView", "expandMode"];
+
+	/**
+	 * Compare values which are not empty, see isEmptyValue
+	 * @private
+	 */
+	var comparators = {
+		string: function (a, b) {
+			a = String(a).toLowerCase();
+			b = String(b).toLowerCase();
+			return a < b ? -1 : (a > b ? 1 : 0);
+		},
+
+		number: function (a, b) {
+			return Number(a) - Number(b);
+		},
+
+		date: function (a, b) {
+			return new Date(a).getTime() - new Date(b).getTime();
+		},
+
+		/**
+		 * Compare strings with numbers in natural order: "web-2" < "web-10"
+		 */
+		natural: function (a, b) {
+			var re = /(\d+)|(\D+)/g,
+				partsA = String(a).toLowerCase().match(re) || [],
+				partsB = String(b).toLowerCase().match(re) || [],
+				i,
+				result;
+
+			for (i = 0; i < Math.min(partsA.length, partsB.length); i++) {
+				if (/^\d/.test(partsA[i]) && /^\d/.test(partsB[i])) {
+					result = parseInt(partsA[i], 10) - parseInt(partsB[i], 10);
+				} else {
+					result = comparators.string(partsA[i], partsB[i]);
+				}
+				if (result !== 0) {
+					return result;
+				}
+			}
+			return partsA.length - partsB.length;
+		}
+	};
+
+	/**
+	 * Check if value can't be ordered by the comparator: null, or empty and invalid numbers and dates.
+	 * Such values are always placed at the end
+	 * @private
+	 */
+	function isEmptyValue(value, compare) {
+		if (value == null) {
+			return true;
+		}
+		if (compare === comparators.number) {
+			return value === "" || isNaN(Number(value));
+		}
+		if (compare === comparators.date) {
+			return value === "" || isNaN(new Date(value).getTime());
+		}
+		return false;
+	}
+
+	/**
+	 * Mime types of export formats
+	 * @private
+	 */
+	var exportTypes = {
+		csv: "text/csv",
+		tsv: "text/tab-separated-values",
+		json: "application/json"
+	};
+
+	/**
+	 * Convert value to string for delimited formats
+	 * @private
+	 */
+	function stringifyValue(value) {
+		if (value == null) {
+			return "";
+		}
+		if (_.isDate(value)) {
+			return value.toISOString();
+		}
+		return _.isObject(value) ? JSON.stringify(value) : String(value);
+	}
+
+	/**
+	 * Quote field of delimited format if it contains delimiter, quotes, line breaks or surrounding spaces
+	 * @private
+	 */
+	function quoteField(value, delimiter) {
+		var text = stringifyValue(value);
+		if (text.indexOf(delimiter) !== -1 || /["\r\n]|^\s|\s$/.test(text)) {
+			return "\"" + text.replace(/"/g, "\"\"") + "\"";
+		}
+		return text;
+	}
+
+	/**
+	 * Convert column description to object with id
+	 * @private
+	 */
+	function normalizeColumn(column, index) {
+		if (_.isString(column)) {
+			column = {
+				title: column
+			};
+		} else {
+			column = _.clone(column);
+		}
+		column.id = column.id || column.key || column.title || "column" + index;
+		column.attrs = column.attrs || {};
+		column.visible = column.visible !== false;
+		return column;
+	}
+
+	/**
+	 * Full-width row which displays detail view of expanded row
+	 * @private
+	 */
+	var DetailRowView = View.extend({
+		tagName: "tr",
+		className: "resourceDetail",
+
+		initialize: function (options) {
+			this.tableView = options.tableView;
+			this.detailView = this.add(options.detailView);
+			View.prototype.initialize.apply(this, arguments);
+		},
+
+		renderContent: function () {
+			var td = document.createElement("td");
+			td.colSpan = this.tableView.getColumnCount();
+			this.$el.empty().append(td);
+			td.appendChild(this.detailView.el);
+			if (!this.detailView.rendered) {
+				this.detailView.render();
+			}
+		}
+	});
+
 	var TableView = CollectionView.extend({
 		tagName: "table",
 		itemsContainer: "tbody",
 		className: "data-table",
 
 		/**
-		 * Array with columns descriptions, each entry can be a string, that will be used as column title,
-		 * or it can be an object, e.g: {title: "Status", cssClass: "column-status"}
-		 * @type {Array}
+		 * Rows are rendered from columns' descriptions by default
+		 * @cfg {Generic.View}
+		 */
+		itemView: TableRowView,
+
+		/**
+		 * @event selection:change
+		 * Fired when selected rows are changed
+		 * @param {Generic.TableView} view
+		 * @param {Array} models selected models
+		 */
+
+		/**
+		 * @event columns:change
+		 * Fired when columns are shown, hidden, moved or resized
+		 * @param {Generic.TableView} view
+		 * @param {Array} columns columns' descriptions
+		 */
+
+		/**
+		 * @event group:toggle
+		 * Fired when a group is collapsed or expanded
+		 * @param {Generic.TableView} view
+		 * @param {String} key group's key
+		 * @param {Boolean} collapsed
+		 */
+
+		/**
+		 * @event row:expand
+		 * Fired when a row is expanded
+		 * @param {Generic.TableView} view
+		 * @param {Model} model
+		 */
+
+		/**
+		 * @event row:collapse
+		 * Fired when a row is collapsed
+		 * @param {Generic.TableView} view
+		 * @param {Model} model
+		 */
+
+		/**
+		 * @event edit:start
+		 * Fired when cell's editor is opened
+		 * @param {Generic.TableView} view
+		 * @param {Model} model
+		 * @param {String} columnId
+		 */
+
+		/**
+		 * @event edit:commit
+		 * Fired when edited value is set to the model
+		 * @param {Generic.TableView} view
+		 * @param {Model} model
+		 * @param {String} columnId
+		 * @param {Mixed} value new value
+		 * @param {Mixed} previousValue
+		 */
+
+		/**
+		 * @event edit:cancel
+		 * Fired when editing is cancelled
+		 * @param {Generic.TableView} view
+		 * @param {Model} model
+		 * @param {String} columnId
+		 */
+
+		/**
+		 * @event edit:invalid
+		 * Fired when edited value doesn't pass model's validation
+		 * @param {Generic.TableView} view
+		 * @param {Model} model
+		 * @param {String} columnId
+		 * @param {Mixed} error model's validationError
+		 */
+
+		/**
+		 * @event sort:change
+		 * Fired when table's sort state is changed
+		 * @param {Generic.TableView} view
+		 * @param {Array} sortState see {@link #getSortState}
+		 */
+
+		/**
+		 * Array with columns descriptions, each entry can be a string, that will be used as column title,
+		 * or it can be an object with properties:
+		 *
+		 * * `title` - header's text
+		 * * `id` - column identifier, by default it's `key` or `title`
+		 * * `key` - model's attribute or dotted path
+		 * * `accessor` - function which returns column's value for the model
+		 * * `sortable` - column can be sorted
+		 * * `sortKey` - field name used by the server in remote mode, `key` or `id` by default
+		 * * `comparator` - "string", "number", "date", "natural" or function(a, b);
+		 *   empty values, non numeric values of "number" and invalid dates of "date" columns are always at the end
+		 * * `formatter`, `renderer`, `observe` - cell's rendering options, see {@link Generic.TableRowView}
+		 * * `visible` - false to hide the column
+		 * * `width` - column's width in pixels
+		 * * `cssClass` - CSS class of header's cell
+		 * * `attrs` - attributes of header's cell
+		 * * `editable`, `editor`, `editorOptions`, `parse`, `setter` - cell's editing options, see {@link #editCell}
+		 * * `aggregate` - aggregate displayed in table's footer, see {@link #aggregateScope}
+		 * * `groupAggregate` - aggregate displayed in group's header, see {@link #groupBy}
+		 *
+		 * @cfg {Array}
+		 */
+		columns: undefined,
+
+		/**
+		 * Initial sort state, array of {column: columnId, order: "asc"/"desc"}
+		 * @cfg {Array}
+		 */
+		defaultSort: undefined,
+
+		/**
+		 * Render {@link Generic.Pager} in table's footer
+		 * @cfg {Boolean}
+		 */
+		pager: false,
+
+		/**
+		 * Identifier of the table used to save its state, state is not saved if it's not specified
+		 * @cfg {String}
+		 */
+		tableId: undefined,
+
+		/**
+		 * Store for table's state, {@link Generic.StateStore.LocalStorage} is used by default
+		 * @cfg {Generic.StateStore}
+		 */
+		stateStore: undefined,
+
+		/**
+		 * Allow to reorder columns by dragging headers
+		 * @cfg {Boolean}
+		 */
+		reorderableColumns: false,
+
+		/**
+		 * Allow to resize columns by dragging header's border
+		 * @cfg {Boolean}
+		 */
+		resizableColumns: false,
+
+		/**
+		 * View displayed in expanded row's detail row, it's created with `model` and `tableView` options
+		 * @cfg {Generic.View}
+		 */
+		detailView: undefined,
+
+		/**
+		 * Rows expanding mode: "multi" - any number of rows can be expanded, "single" - only one row
+		 * @cfg {String}
+		 */
+		expandMode: "multi",
+
+		/**
+		 * Models which columns' aggregates are computed over: "filtered" - all filtered models,
+		 * "page" - models of displayed rows
+		 * @cfg {String}
+		 */
+		aggregateScope: "filtered",
+
+		/**
+		 * Group rows by levels. Each level is column's id, model's attribute (dotted path),
+		 * function(model) which returns group's value, or object with properties:
+		 *
+		 * * `id` - level's identifier, used in groups' keys
+		 * * `key` or `column` - attribute or column which value is group's value
+		 * * `accessor` - function(model) which returns group's value
+		 * * `title` - displayed before group's value, column's title by default
+		 * * `comparator` - order of groups, column's comparator or "natural" by default
+		 *
+		 * @cfg {String/Function/Array}
+		 */
+		groupBy: undefined,
+
+		/**
+		 * View of group's header row
+		 * @cfg {Generic.View}
+		 */
+		groupView: GroupRowView,
+
+		/**
+		 * Rows selection mode: "none", "single" or "multi".
+		 * `multipleSelection: true` option is supported for backward compatibility
+		 * @cfg {String}
+		 */
+		selectionMode: "none",
+
+		/**
+		 * Render column with checkboxes to select rows
+		 * @cfg {Boolean}
+		 */
+		checkboxes: false,
+
+		/*
+		 * Attach click listener for <a> tag in table header
+		 */
+		events: {
+			"click th a": "sort", 
+			"click tr.resourceMain>td": "select",
+			"click th input.select-all": "onSelectAllClick",
+			"dragstart th[data-column]": "onHeaderDragStart",
+			"dragover th[data-column]": "onHeaderDragOver",
+			"drop th[data-column]": "onHeaderDrop",
+			"mousedown th .column-resizer": "onResizerMouseDown",
+			"click tr.resourceMain>td.expand-cell .row-toggle": "onRowToggleClick",
+			"dblclick tr.resourceMain>td.editable": "onCellDblClick",
+			"keydown tr.resourceMain>td.editable": "onCellKeyDown",
+			"focusout tr.resourceMain>td.editing": "onCellFocusOut"
+		},
+
+		initialize: function (options) {
+			options = options || {};
+			var self = this,
+				state;
+			if (options.columns) {
+				self.columns = options.columns;
+			}
+			if (self.columns) {
+				self.columns = _.map(self.columns, normalizeColumn);
+			}
+			self.sortState = _.map(options.defaultSort || self.defaultSort || [], _.clone);
+			self.collapsedGroups = {};
+			self.aggregateCache = {};
+			self.expandedRows = {};
+			self.detailRows = {};
+			self.groupViews = {};
+			self.groupLevels = self.normalizeGroupLevels(options.groupBy || self.groupBy);
+			_.each(tableOptions, function (name) {
+				if (options[name] !== undefined) {
+					self[name] = options[name];
+				}
+			});
+			if (self.tableId && !self.stateStore) {
+				self.stateStore = new StateStore.LocalStorage();
+			}
+			state = self.loadState();
+			if (state) {
+				self.applyState(state);
+				if (state.pageSize !== undefined) {
+					options = _.extend({}, options, {
+						pageSize: state.pageSize
+					});
+				}
+			}
+			// By defaut multiple selection is not actived
+			if (options.multipleSelection) {
+				self.selectionMode = "multi";
+			}
+			if (options.selectionMode) {
+				self.selectionMode = options.selectionMode;
+			}
+			self.selection = {};
+			// item views are added during initialization
+			self.on("add", self.updateRowSelection, self);
+
+			CollectionView.prototype.initialize.call(this, options);
+
+			self.savedPageSize = self.pageSize;
+			self.on("sort:change columns:change", self.saveState, self);
+			self.on("page:change", function (view, paging) {
+				if (paging.pageSize !== self.savedPageSize) {
+					self.saveState();
+				}
+			}, self);
+			self.collection.on("remove", self.onSelectedModelRemove, self);
+			self.collection.on("reset", self.onCollectionReset, self);
+			self.collection.on("change", self.onAggregateModelChange, self);
+		},
+
+		/**
+		 * Returns number of table's columns, including columns with checkboxes and rows' toggles
+		 * @return {Number}
+		 */
+		getColumnCount: function () {
+			return (this.columns ? this.getVisibleColumns().length : 1) + this.getControlColumnCount();
+		},
+
+		/**
+		 * Returns number of columns before data columns: rows' toggles and checkboxes
+		 * @return {Number}
+		 * @protected
+		 */
+		getControlColumnCount: function () {
+			return (this.detailView ? 1 : 0) + (this.checkboxes ? 1 : 0);
+		},
+
+		/**
+		 * Returns true if the element belongs to the table and not to a nested table, e.g. in detail row
+		 * @param  {DOMNode} el
+		 * @return {Boolean}
+		 * @protected
+		 */
+		ownsTableElement: function (el) {
+			return $(el).closest("table").get(0) === this.el;
+		},
+
+		/**
+		 * Returns displayed columns in their order
+		 * @return {Array}
+		 */
+		getVisibleColumns: function () {
+			return _.filter(this.columns || [], function (column) {
+				return column.visible;
+			});
+		},
+
+		/**
+		 * Show or hide the column
+		 * @param {String} columnId
+		 * @param {Boolean} visible
+		 */
+		setColumnVisible: function (columnId, visible) {
+			var column = this.getColumn(columnId);
+			if (column && column.visible !== !!visible) {
+				column.visible = !!visible;
+				this.onColumnsChange();
+			}
+		},
+
+		/**
+		 * Show hidden column or hide visible one
+		 * @param  {String} columnId
+		 */
+		toggleColumn: function (columnId) {
+			var column = this.getColumn(columnId);
+			if (column) {
+				this.setColumnVisible(columnId, !column.visible);
+			}
+		},
+
+		/**
+		 * Move column to the new position
+		 * @param  {String} columnId
+		 * @param  {Number} index new index of the column among all columns
+		 */
+		moveColumn: function (columnId, index) {
+			var column = this.getColumn(columnId),
+				columns;
+
+			if (!column || _.indexOf(this.columns, column) === index) {
+				return;
+			}
+			columns = _.without(this.columns, column);
+			columns.splice(Math.max(0, Math.min(index, columns.length)), 0, column);
+			this.columns = columns;
+			this.onColumnsChange();
+		},
+
+		/**
+		 * Set column's width
+		 * @param {String} columnId
+		 * @param {Number} width in pixels, null to reset the width
+		 */
+		setColumnWidth: function (columnId, width) {
+			var column = this.getColumn(columnId);
+			if (column) {
+				column.width = width == null ? undefined : Math.max(0, Math.round(width));
+				this.$el.children("thead").find("th[data-column='" + columnId + "']").css("width", column.width == null ? "" : column.width);
+				this.trigger("columns:change", this, this.columns);
+			}
+		},
+
+		/**
+		 * Re-render header, rows and footer after columns are changed
+		 * @protected
+		 */
+		onColumnsChange: function () {
+			var self = this;
+			self.cancelEdit();
+			if (self.rendered) {
+				self.renderTableHeader();
+				_.each(self.children, function (view) {
+					view.render();
+					self.updateRowSelection(view);
+				});
+				_.each(self.children, self.updateRowToggle, self);
+				_.invoke(self.groupViews, "render");
+				_.invoke(self.detailRows, "render");
+				_.each([self.topSpacer, self.bottomSpacer, self.statusElement, self.sentinel], function (spacer) {
+					if (spacer) {
+						spacer.firstChild.colSpan = self.getColumnCount();
+					}
+				});
+				self.$el.children("tfoot").remove();
+				self.renderTableFooter();
+			}
+			self.trigger("columns:change", self, self.columns);
+		},
+
+		/**
+		 * Returns table's state: columns layout, sort and page size
+		 * @return {Object}
+		 */
+		getState: function () {
+			return {
+				columns: _.map(this.columns || [], function (column) {
+					return {
+						id: column.id,
+						visible: column.visible,
+						width: column.width
+					};
+				}),
+				sort: this.getSortState(),
+				pageSize: this.pageSize
+			};
+		},
+
+		/**
+		 * Apply columns layout and sort from the state, without rendering
+		 * @param  {Object} state
+		 * @protected
+		 */
+		applyState: function (state) {
+			var self = this,
+				ordered;
+
+			if (state.columns && self.columns) {
+				ordered = _.compact(_.map(state.columns, function (saved) {
+					var column = self.getColumn(saved.id);
+					if (column) {
+						column.visible = saved.visible !== false;
+						column.width = saved.width;
+					}
+					return column;
+				}));
+				// columns which are not in saved state keep their place at the end
+				self.columns = ordered.concat(_.difference(self.columns, ordered));
+			}
+			if (state.sort) {
+				self.sortState = _.filter(state.sort, function (entry) {
+					return !!self.getColumn(entry.column);
+				});
+			}
+		},
+
+		/**
+		 * Read saved state from the store
+		 * @return {Object}
+		 * @protected
+		 */
+		loadState: function () {
+			return this.tableId && this.stateStore ? this.stateStore.get(this.tableId) : undefined;
+		},
+
+		/**
+		 * Save table's state into the store
+		 */
+		saveState: function () {
+			if (this.tableId && this.stateStore) {
+				this.stateStore.set(this.tableId, this.getState());
+				this.savedPageSize = this.pageSize;
+			}
+		},
+
+		/**
+		 * Restore saved state and re-render the table
+		 */
+		restoreState: function () {
+			var state = this.loadState();
+			if (!state) {
+				return;
+			}
+			this.applyState(state);
+			if (state.pageSize !== undefined) {
+				this.pageSize = state.pageSize;
+				this.page = 1;
+			}
+			this.onColumnsChange();
+			this.refresh();
+		},
+
+		/**
+		 * Export filtered and sorted rows, in remote mode rows of the current page
+		 * @param  {String} format "csv", "tsv" or "json"
+		 * @param  {Object} options {optional}
+		 * @param  {Boolean} options.visibleOnly export only visible columns, true by default
+		 * @param  {Boolean} options.selectedOnly export only selected rows
+		 * @param  {Boolean} options.formatted use columns' formatters, true by default
+		 * @param  {Boolean} options.header include columns' titles into CSV/TSV, true by default
+		 * @return {String}
+		 */
+		exportData: function (format, options) {
+			var self = this,
+				columns,
+				rows,
+				delimiter;
+
+			options = _.defaults({}, options, {
+				visibleOnly: true,
+				selectedOnly: false,
+				formatted: true,
+				header: true
+			});
+			columns = options.visibleOnly ? self.getVisibleColumns() : (self.columns || []);
+			rows = _.map(self.getExportModels(options), function (model) {
+				return _.map(columns, function (column) {
+					return self.getExportValue(column, model, options.formatted);
+				});
+			});
+
+			if (format === "json") {
+				return JSON.stringify(_.map(rows, function (values) {
+					return _.object(_.pluck(columns, "id"), values);
+				}), null, 2);
+			}
+			if (!_.has(exportTypes, format)) {
+				throw new Error("Unknown export format: " + format);
+			}
+			delimiter = format === "tsv" ? "\t" : ",";
+			if (options.header) {
+				rows.unshift(_.pluck(columns, "title"));
+			}
+			return _.map(rows, function (values) {
+				return _.map(values, function (value) {
+					return quoteField(value, delimiter);
+				}).join(delimiter);
+			}).join("\r\n");
+		},
+
+		/**
+		 * Returns models to export: filtered and sorted, optionally only selected ones.
+		 * In remote mode only the loaded page is available, but selected models of all pages are exported
+		 * with `selectedOnly` option
+		 * @param  {Object} options export options
+		 * @return {Array}
+		 * @protected
+		 */
+		getExportModels: function (options) {
+			var models = this.getFilteredModels();
+			if (options.selectedOnly && this.remote) {
+				// selected models of the page in display order, then selected models of other pages
+				models = _.filter(models, this.isSelected, this);
+				return models.concat(_.difference(this.getSelectedModels(), models));
+			}
+			return options.selectedOnly ? _.filter(models, this.isSelected, this) : models;
+		},
+
+		/**
+		 * Returns column's value for export
+		 * @param  {Object} column
+		 * @param  {Model} model
+		 * @param  {Boolean} formatted apply column's formatter
+		 * @return {Mixed}
+		 * @protected
+		 */
+		getExportValue: function (column, model, formatted) {
+			var value = this.getColumnValue(column, model);
+			return formatted && column.formatter ? column.formatter.call(this, value, model) : value;
+		},
+
+		/**
+		 * Export rows and save them as a file in the browser
+		 * @param  {String} format "csv", "tsv" or "json"
+		 * @param  {Object} options {optional} {@link #exportData} options and `filename`
+		 */
+		download: function (format, options) {
+			var filename = (options && options.filename) || (this.tableId || "table") + "." + format,
+				blob = new Blob([this.exportData(format, options)], {
+					type: exportTypes[format] + ";charset=utf-8"
+				}),
+				url,
+				link;
+
+			if (window.navigator.msSaveBlob) {
+				window.navigator.msSaveBlob(blob, filename);
+				return;
+			}
+			url = window.URL.createObjectURL(blob);
+			link = document.createElement("a");
+			link.href = url;
+			link.download = filename;
+			link.style.display = "none";
+			document.body.appendChild(link);
+			link.click();
+			document.body.removeChild(link);
+			setTimeout(function () {
+				window.URL.revokeObjectURL(url);
+			}, 0);
+		},
+
+		/**
+		 * Returns true if the cell of the column can be edited
+		 * @param  {Object} column
+		 * @param  {Model} model
+		 * @return {Boolean}
+		 */
+		isCellEditable: function (column, model) {
+			return _.isFunction(column.editable) ? !!column.editable.call(this, model) : !!column.editable;
+		},
+
+		/**
+		 * Returns row view with opened editor
+		 * @return {Generic.TableRowView} view or undefined
+		 * @protected
+		 */
+		getEditingRow: function () {
+			return _.find(this.children, function (view) {
+				return _.isFunction(view.isEditing) && view.isEditing();
+			});
+		},
+
+		/**
+		 * Open editor in the cell, previously edited cell is committed
+		 * @param  {Model} model
+		 * @param  {String} columnId
+		 * @return {Boolean} true if editor is opened
+		 */
+		editCell: function (model, columnId) {
+			var self = this,
+				column = self.getColumn(columnId),
+				row = model && self.children[self.findViewByModel(model)];
+
+			if (!row || !column || !column.visible || !self.isCellEditable(column, model)) {
+				return false;
+			}
+			if (self.getEditingRow() && !self.commitEdit()) {
+				return false;
+			}
+			row.startEditing(column);
+			if (!row.isEditing(columnId)) {
+				return false;
+			}
+			self.trigger("edit:start", self, model, columnId);
+			return true;
+		},
+
+		/**
+		 * Set edited value to the model and close the editor.
+		 * If value doesn't pass validation, error is displayed and the editor stays open
+		 * @return {Boolean} false if value is invalid
+		 */
+		commitEdit: function () {
+			var self = this,
+				row = self.getEditingRow(),
+				column = row && row.getEditingColumn(),
+				model,
+				value,
+				previous,
+				result;
+
+			if (!row) {
+				return true;
+			}
+			model = row.model;
+			value = row.getEditorValue();
+			if (column.parse) {
+				value = column.parse.call(self, value, model);
+			}
+			previous = self.getColumnValue(column, model);
+			if (_.isEqual(value, previous)) {
+				row.stopEditing();
+				return true;
+			}
+			if (column.setter) {
+				result = column.setter.call(self, model, value, {validate: true});
+			} else if (column.key) {
+				result = View.setModelValue(model, column.key, value, {validate: true});
+			} else {
+				console.error("Column has neither key nor setter", column.id);
+				row.stopEditing();
+				return true;
+			}
+			if (result === false) {
+				row.showEditorError(model.validationError);
+				self.trigger("edit:invalid", self, model, column.id, model.validationError);
+				return false;
+			}
+			row.stopEditing();
+			self.trigger("edit:commit", self, model, column.id, value, previous);
+			return true;
+		},
+
+		/**
+		 * Close the editor without changing the model
+		 */
+		cancelEdit: function () {
+			var row = this.getEditingRow(),
+				column = row && row.getEditingColumn();
+			if (row) {
+				row.stopEditing();
+				this.trigger("edit:cancel", this, row.model, column.id);
+			}
+		},
+
+		/**
+		 * Commit edited cell and open editor in the next or previous editable cell
+		 * @param  {Number} direction 1 - next cell, -1 - previous cell
+		 * @protected
+		 */
+		moveEdit: function (direction) {
+			var self = this,
+				row = self.getEditingRow(),
+				columns = self.getVisibleColumns(),
+				rowIndex,
+				columnIndex,
+				view;
+
+			if (!row) {
+				return;
+			}
+			rowIndex = _.indexOf(self.children, row);
+			columnIndex = _.indexOf(columns, row.getEditingColumn());
+			if (!self.commitEdit()) {
+				return;
+			}
+			for (columnIndex += direction; rowIndex >= 0 && rowIndex < self.children.length; columnIndex += direction) {
+				if (columnIndex < 0 || columnIndex >= columns.length) {
+					rowIndex += direction;
+					columnIndex = direction > 0 ? -1 : columns.length;
+					continue;
+				}
+				view = self.children[rowIndex];
+				if (self.isCellEditable(columns[columnIndex], view.model)) {
+					self.editCell(view.model, columns[columnIndex].id);
+					return;
+				}
+			}
+		},
+
+		onCellDblClick: function (e) {
+			var $td = $(e.currentTarget);
+			if (!$td.hasClass("editing") && this.ownsTableElement(e.currentTarget)) {
+				this.editCell(this.getRowModel($td), $td.attr("data-column"));
+			}
+		},
+
+		onCellKeyDown: function (e) {
+			var $td = $(e.currentTarget);
+
+			if (!this.ownsTableElement(e.currentTarget)) {
+				return;
+			}
+			if (!$td.hasClass("editing")) {
+				if (e.which === 13 && e.target === e.currentTarget) {
+					e.preventDefault();
+					this.editCell(this.getRowModel($td), $td.attr("data-column"));
+				}
+				return;
+			}
+			if (e.which === 13) {
+				e.preventDefault();
+				if (this.commitEdit()) {
+					$td.focus();
+				}
+			} else if (e.which === 27) {
+				e.preventDefault();
+				this.cancelEdit();
+				$td.focus();
+			} else if (e.which === 9) {
+				e.preventDefault();
+				this.moveEdit(e.shiftKey ? -1 : 1);
+			}
+		},
+
+		onCellFocusOut: function (e) {
+			// focus moved inside of the editor
+			if (!this.ownsTableElement(e.currentTarget) || (e.relatedTarget && $.contains(e.currentTarget, e.relatedTarget))) {
+				return;
+			}
+			this.commitEdit();
+		},
+
+		/**
+		 * Returns model of the row which contains the element
+		 * @param  {jQuery} $el
+		 * @return {Model}
+		 * @protected
+		 */
+		getRowModel: function ($el) {
+			var tr = $el.closest("tr").get(0),
+				view = _.find(this.children, function (view) {
+					return view.el === tr;
+				});
+			return view && view.model;
+		},
+
+		onHeaderDragStart: function (e) {
+			var columnId = $(e.currentTarget).attr("data-column"),
+				dataTransfer = e.originalEvent && e.originalEvent.dataTransfer;
+
+			if (!this.reorderableColumns || !this.ownsTableElement(e.currentTarget)) {
+				return;
+			}
+			this.draggedColumn = columnId;
+			if (dataTransfer) {
+				dataTransfer.effectAllowed = "move";
+				// Firefox doesn't start dragging without data
+				dataTransfer.setData("text", columnId);
+			}
+		},
+
+		onHeaderDragOver: function (e) {
+			if (this.draggedColumn) {
+				// allow drop
+				e.preventDefault();
+			}
+		},
+
+		onHeaderDrop: function (e) {
+			var target = this.getColumn($(e.currentTarget).attr("data-column"));
+			if (!this.ownsTableElement(e.currentTarget)) {
+				return;
+			}
+			e.preventDefault();
+			if (this.draggedColumn && target) {
+				this.moveColumn(this.draggedColumn, _.indexOf(this.columns, target));
+			}
+			this.draggedColumn = null;
+		},
+
+		onResizerMouseDown: function (e) {
+			var self = this,
+				$th = $(e.currentTarget).closest("th"),
+				columnId = $th.attr("data-column"),
+				startX = e.pageX,
+				startWidth = $th.width(),
+				namespace = ".resize" + self.cid;
+
+			if (!self.ownsTableElement(e.currentTarget)) {
+				return;
+			}
+			e.preventDefault();
+			e.stopPropagation();
+			$(document).on("mousemove" + namespace, function (e) {
+				$th.css("width", Math.max(0, startWidth + e.pageX - startX));
+			});
+			$(document).on("mouseup" + namespace, function (e) {
+				$(document).off(namespace);
+				self.setColumnWidth(columnId, startWidth + e.pageX - startX);
+			});
+		},
+
+		/**
+		 * Returns columns configuration
+		 * 
+		 * @protected
+		 * @return {Array} array with columns description
+		 */
+		getColumnsConfig: function () {
+			return this.columns;
+		},
+
+		/**
+		 * Returns column by id
+		 * @param  {String} columnId
+		 * @return {Object}
+		 */
+		getColumn: function (columnId) {
+			return _.find(this.columns || [], function (column) {
+				return column.id === columnId;
+			});
+		},
+
+		/**
+		 * Returns column's value for the model
+		 * @param  {Object} column
+		 * @param  {Model} model
+		 * @return {Mixed}
+		 */
+		getColumnValue: function (column, model) {
+			if (column.accessor) {
+				return column.accessor.call(this, model);
+			}
+			return column.key ? CollectionView.getModelValue(model, column.key) : undefined;
+		},
+
+		/**
+		 * Returns comparator function for the column's values
+		 * @param  {Object} column
+		 * @return {Function}
+		 * @protected
+		 */
+		getColumnComparator: function (column) {
+			if (_.isFunction(column.comparator)) {
+				return column.comparator;
+			}
+			return comparators[column.comparator || "string"] || comparators.string;
+		},
+
+		/**
+		 * Returns current sort state
+		 * @return {Array} array of {column: columnId, order: "asc"/"desc"}, the first entry has the highest priority
+		 */
+		getSortState: function () {
+			return _.map(this.sortState, _.clone);
+		},
+
+		/**
+		 * Replace sort state and re-render rows
+		 * @param {Array} sortState array of {column: columnId, order: "asc"/"desc"}
+		 */
+		setSortState: function (sortState) {
+			var self = this;
+			self.sortState = _.filter(_.map(sortState || [], _.clone), function (entry) {
+				return !!self.getColumn(entry.column);
+			});
+			self.updateHeaderSortState();
+			self.requery();
+			self.trigger("sort:change", self, self.getSortState());
+		},
+
+		/**
+		 * Sort table by the column
+		 * @param  {String} columnId
+		 * @param  {String} order {optional} "asc" or "desc", by default ascending order or reversed current order
+		 * @param  {Boolean} multiple {optional} add column to current sort state instead of replacing it
+		 */
+		sortByColumn: function (columnId, order, multiple) {
+			var state = multiple ? this.getSortState() : [],
+				current = _.find(this.sortState, function (entry) {
+					return entry.column === columnId;
+				}),
+				entry = _.find(state, function (entry) {
+					return entry.column === columnId;
+				});
+
+			order = order || (current && current.order === "asc" ? "desc" : "asc");
+			if (entry) {
+				entry.order = order;
+			} else {
+				state.push({
+					column: columnId,
+					order: order
+				});
+			}
+			this.setSortState(state);
+		},
+
+		/**
+		 * Remote mode also sends sort state as `sort` parameter: comma separated fields,
+		 * descending ones are prefixed with "-", e.g. "-cpu,name"
+		 * @return {Object}
+		 */
+		getQueryParams: function () {
+			var self = this,
+				params = CollectionView.prototype.getQueryParams.apply(self, arguments),
+				sort = _.compact(_.map(self.sortState, function (entry) {
+					var column = self.getColumn(entry.column);
+					return column && (entry.order === "desc" ? "-" : "") + (column.sortKey || column.key || column.id);
+				}));
+
+			if (sort.length) {
+				params.sort = sort.join(",");
+			}
+			return params;
+		},
+
+		/**
+		 * Sort models according to groups and table's sort state
+		 * @param  {Array} models
+		 * @return {Array}
+		 * @protected
+		 */
+		sortModels: function (models) {
+			var self = this,
+				criteria = _.map(self.groupLevels, function (level) {
+					var entry = level.column && _.find(self.sortState, function (entry) {
+						return entry.column === level.column.id;
+					});
+					return {
+						value: level.getValue,
+						compare: level.compare,
+						direction: entry && entry.order === "desc" ? -1 : 1
+					};
+				}).concat(_.filter(_.map(self.sortState, function (entry) {
+					var column = self.getColumn(entry.column);
+					return column && {
+						value: function (model) {
+							return self.getColumnValue(column, model);
+						},
+						compare: self.getColumnComparator(column),
+						direction: entry.order === "desc" ? -1 : 1
+					};
+				}), _.identity));
+
+			if (criteria.length === 0) {
+				return CollectionView.prototype.sortModels.call(self, models);
+			}
+			// compute values once, original index keeps sorting stable
+			return _.pluck(_.map(models, function (model, index) {
+				return {
+					model: model,
+					index: index,
+					values: _.map(criteria, function (criterion) {
+						var value = criterion.value(model);
+						// empty and invalid values are replaced with null, so they are sorted to the end
+						return isEmptyValue(value, criterion.compare) ? null : value;
+					})
+				};
+			}).sort(function (a, b) {
+				var i, valueA, valueB, result;
+				for (i = 0; i < criteria.length; i++) {
+					valueA = a.values[i];
+					valueB = b.values[i];
+					if (valueA == null || valueB == null) {
+						// empty values are always at the end
+						result = valueA == null ? (valueB == null ? 0 : 1) : -1;
+					} else {
+						result = criteria[i].compare(valueA, valueB) * criteria[i].direction;
+					}
+					if (result !== 0) {
+						return result;
+					}
+				}
+				return a.index - b.index;
+			}), "model");
+		},
+
+		/**
+		 * Convert {@link #groupBy} option to levels with `id`, `title`, `column`, `getValue` and `compare`
+		 * @param  {String/Function/Array} groupBy
+		 * @return {Array}
+		 * @protected
+		 */
+		normalizeGroupLevels: function (groupBy) {
+			var self = this;
+			if (!groupBy) {
+				return [];
+			}
+			return _.map(_.isArray(groupBy) ? groupBy : [groupBy], function (level, index) {
+				var options = _.isString(level) ? {column: level} : (_.isFunction(level) ? {accessor: level} : level),
+					column = self.getColumn(options.column || options.key),
+					key = options.key || options.column,
+					comparator = options.comparator || (column ? column.comparator : "natural");
+
+				return {
+					id: options.id || key || "level" + index,
+					title: options.title !== undefined ? options.title : (column ? column.title : key),
+					column: column,
+					getValue: function (model) {
+						if (options.accessor) {
+							return options.accessor.call(self, model);
+						}
+						return column ? self.getColumnValue(column, model) : CollectionView.getModelValue(model, key);
+					},
+					compare: self.getColumnComparator({comparator: comparator})
+				};
+			});
+		},
+
+		/**
+		 * Change grouping of rows
+		 * @param {String/Function/Array} groupBy see {@link #groupBy}, empty value removes grouping
+		 */
+		setGroupBy: function (groupBy) {
+			this.groupBy = groupBy;
+			this.groupLevels = this.normalizeGroupLevels(groupBy);
+			this.refresh();
+		},
+
+		/**
+		 * Returns groups of filtered models. Group is an object with properties:
+		 *
+		 * * `key` - unique key of the group, includes keys of parent groups
+		 * * `value` - group's value
+		 * * `title` - level's title
+		 * * `depth` - nesting level, 0 for top level groups
+		 * * `models` - group's models in displayed order
+		 * * `groups` - nested groups, or null for the last level
+		 * * `parent` - parent group or null
+		 *
+		 * @return {Array} top level groups, empty if table isn't grouped
+		 */
+		getGroups: function () {
+			var self = this;
+			if (!self.groupLevels.length) {
+				return [];
+			}
+			if (!self.groups) {
+				self.groups = self.buildGroups(self.filteredModels || self.getFilteredModels(), null);
+			}
+			return self.groups;
+		},
+
+		/**
+		 * Split models to groups of the next level
+		 * @param  {Array} models
+		 * @param  {Object} parent parent group, null for top level
+		 * @return {Array}
+		 * @protected
+		 */
+		buildGroups: function (models, parent) {
+			var self = this,
+				depth = parent ? parent.depth + 1 : 0,
+				level = self.groupLevels[depth],
+				groups = [],
+				byKey = {};
+
+			_.each(models, function (model) {
+				var value = level.getValue(model),
+					key = (parent ? parent.key + "/" : "") + level.id + ":" + (value == null ? "" : value),
+					group = byKey[key];
+
+				if (!group) {
+					group = byKey[key] = {
+						key: key,
+						value: value,
+						title: level.title,
+						depth: depth,
+						models: [],
+						groups: null,
+						parent: parent
+					};
+					groups.push(group);
+				}
+				group.models.push(model);
+			});
+			if (depth < self.groupLevels.length - 1) {
+				_.each(groups, function (group) {
+					group.groups = self.buildGroups(group.models, group);
+				});
+			}
+			return groups;
+		},
+
+		/**
+		 * Returns aggregated value of column's `groupAggregate` for the group, formatted for display
+		 * @param  {Object} group
+		 * @param  {Object} column
+		 * @return {Mixed}
+		 */
+		getGroupAggregate: function (group, column) {
+			var value = this.computeAggregate(column, column.groupAggregate, group.models);
+			return this.formatAggregate(column, column.groupAggregate, value, group.models);
+		},
+
+		/**
+		 * Returns root attributes which the column depends on, or null if column depends on all attributes
+		 * @param  {Object} column
+		 * @return {Array}
+		 * @protected
+		 */
+		getColumnDependencies: function (column) {
+			var paths = column.observe || (column.accessor ? null : [column.key]);
+			return paths && _.map(_.compact(paths), function (path) {
+				return path.split(".")[0];
+			});
+		},
+
+		/**
+		 * Returns column's value for aggregates, values are cached until the model is changed
+		 * @param  {Object} column
+		 * @param  {Model} model
+		 * @return {Mixed}
+		 * @protected
+		 */
+		getAggregateValue: function (column, model) {
+			var values = this.aggregateCache[model.cid] = this.aggregateCache[model.cid] || {};
+			if (!_.has(values, column.id)) {
+				values[column.id] = this.getColumnValue(column, model);
+			}
+			return values[column.id];
+		},
+
+		/**
+		 * Compute aggregated value of the column over the models
+		 * @param  {Object} column
+		 * @param  {String/Function/Object} aggregate
+		 * @param  {Array} models
+		 * @return {Mixed}
+		 * @protected
+		 */
+		computeAggregate: function (column, aggregate, models) {
+			var self = this;
+			return aggregates.compute(aggregate, _.map(models, function (model) {
+				return self.getAggregateValue(column, model);
+			}), models);
+		},
+
+		/**
+		 * Format aggregated value for display with aggregate's formatter or column's formatter
+		 * @param  {Object} column
+		 * @param  {String/Function/Object} aggregate
+		 * @param  {Mixed} value
+		 * @param  {Array} models
+		 * @return {Mixed}
+		 * @protected
+		 */
+		formatAggregate: function (column, aggregate, value, models) {
+			aggregate = aggregates.normalize(aggregate);
+			if (aggregate.formatter) {
+				return aggregate.formatter.call(this, value, models);
+			}
+			// count is not a value of the column
+			if (column.formatter && aggregate.name !== "count" && value != null) {
+				return column.formatter.call(this, value);
+			}
+			return value;
+		},
+
+		/**
+		 * Returns models which aggregates are computed over, see {@link #aggregateScope}
+		 * @return {Array}
+		 * @protected
+		 */
+		getAggregateModels: function () {
+			if (this.aggregateScope === "page") {
+				return _.pluck(this.children, "model");
+			}
+			return this.filteredModels || this.getFilteredModels();
+		},
+
+		/**
+		 * Returns aggregated value of column's `aggregate`
+		 * @param  {String} columnId
+		 * @param  {Boolean} formatted {optional} format value for display
+		 * @return {Mixed} value or undefined if the column doesn't declare aggregate
+		 */
+		getAggregate: function (columnId, formatted) {
+			var column = this.getColumn(columnId),
+				models,
+				value;
+
+			if (!column || !column.aggregate) {
+				return undefined;
+			}
+			models = this.getAggregateModels();
+			value = this.computeAggregate(column, column.aggregate, models);
+			return formatted ? this.formatAggregate(column, column.aggregate, value, models) : value;
+		},
+
+		/**
+		 * Returns true if any visible column declares aggregate
+		 * @return {Boolean}
+		 * @protected
+		 */
+		hasAggregates: function () {
+			return _.some(this.getVisibleColumns(), function (column) {
+				return !!column.aggregate;
+			});
+		},
+
+		/**
+		 * Update cells of footer's aggregate row
+		 * @protected
+		 */
+		renderAggregates: function () {
+			var self = this;
+			if (!self.rendered) {
+				return;
+			}
+			self.$el.children("tfoot").children("tr.aggregate-row").children("td[data-column]").each(function () {
+				var value = self.getAggregate(this.getAttribute("data-column"), true);
+				$(this).text(value == null ? "" : value);
+			});
+		},
+
+		/**
+		 * Forget cached values of changed model and update aggregates
+		 * @param  {Model} model
+		 * @protected
+		 */
+		onAggregateModelChange: function (model) {
+			var self = this,
+				values = self.aggregateCache[model.cid],
+				changed = _.keys(model.changedAttributes() || {});
+
+			if (!values) {
+				return;
+			}
+			_.each(_.keys(values), function (columnId) {
+				var column = self.getColumn(columnId),
+					dependencies = column && self.getColumnDependencies(column);
+				if (!dependencies || _.intersection(dependencies, changed).length) {
+					delete values[columnId];
+				}
+			});
+			self.schedule("renderAggregates");
+		},
+
+		/**
+		 * Returns true if the group is collapsed
+		 * @param  {String} key group's key
+		 * @return {Boolean}
+		 */
+		isGroupCollapsed: function (key) {
+			return !!this.collapsedGroups[key];
+		},
+
+		/**
+		 * Hide rows of the group
+		 * @param  {String} key group's key
+		 */
+		collapseGroup: function (key) {
+			this.setGroupCollapsed(key, true);
+		},
+
+		/**
+		 * Show rows of the group
+		 * @param  {String} key group's key
+		 */
+		expandGroup: function (key) {
+			this.setGroupCollapsed(key, false);
+		},
+
+		/**
+		 * Collapse expanded group or expand collapsed one
+		 * @param  {String} key group's key
+		 */
+		toggleGroup: function (key) {
+			this.setGroupCollapsed(key, !this.isGroupCollapsed(key));
+		},
+
+		/**
+		 * @param {String} key
+		 * @param {Boolean} collapsed
+		 * @protected
+		 */
+		setGroupCollapsed: function (key, collapsed) {
+			if (this.isGroupCollapsed(key) === collapsed) {
+				return;
+			}
+			if (collapsed) {
+				this.collapsedGroups[key] = true;
+			} else {
+				delete this.collapsedGroups[key];
+			}
+			this.refresh();
+			this.trigger("group:toggle", this, key, collapsed);
+		},
+
+		/**
+		 * Collapse all top level groups
+		 */
+		collapseAllGroups: function () {
+			var self = this;
+			_.each(self.getGroups(), function (group) {
+				self.collapsedGroups[group.key] = true;
+			});
+			self.refresh();
+		},
+
+		/**
+		 * Expand all groups
+		 */
+		expandAllGroups: function () {
+			this.collapsedGroups = {};
+			this.refresh();
+		},
+
+		/**
+		 * Returns true if the group or any of its parents is collapsed
+		 * @param  {Object} group
+		 * @return {Boolean}
+		 * @protected
+		 */
+		isGroupHidden: function (group) {
+			for (; group; group = group.parent) {
+				if (this.isGroupCollapsed(group.key)) {
+					return true;
+				}
+			}
+			return false;
+		},
+
+		/**
+		 * Skip rows of collapsed groups
+		 * @param  {Array} models models of the page
+		 * @protected
+		 */
+		renderItems: function (models) {
+			var self = this,
+				groupOf = {};
+
+			self.groups = null;
+			self.pageModels = models;
+			if (!self.groupLevels.length) {
+				return CollectionView.prototype.renderItems.apply(self, arguments);
+			}
+			(function collect(groups) {
+				_.each(groups, function (group) {
+					if (group.groups) {
+						collect(group.groups);
+					} else {
+						_.each(group.models, function (model) {
+							groupOf[model.cid] = group;
+						});
+					}
+				});
+			})(self.getGroups());
+			return CollectionView.prototype.renderItems.call(self, _.reject(models, function (model) {
+				return self.isGroupHidden(groupOf[model.cid]);
+			}));
+		},
+
+		/**
+		 * Insert groups' header rows and detail rows of expanded rows
+		 * @param  {Array} views
+		 * @return {Array}
+		 * @protected
+		 */
+		arrangeViews: function (views) {
+			return this.insertDetailRows(this.insertGroupRows(views));
+		},
+
+		/**
+		 * Insert groups' header rows before groups' rows
+		 * @param  {Array} views
+		 * @return {Array}
+		 * @protected
+		 */
+		insertGroupRows: function (views) {
+			var self = this,
+				viewsByModel = {},
+				onPage = {},
+				groupViews = {},
+				result = [];
+
+			if (!self.groupLevels.length) {
+				self.releaseGroupViews(self.groupViews);
+				self.groupViews = {};
+				return views;
+			}
+			_.each(views, function (view) {
+				viewsByModel[view.model.cid] = view;
+			});
+			_.each(self.pageModels, function (model) {
+				onPage[model.cid] = true;
+			});
+			(function arrange(groups) {
+				_.each(groups, function (group) {
+					var view;
+					if (!_.some(group.models, function (model) {
+						return onPage[model.cid];
+					})) {
+						return;
+					}
+					view = groupViews[group.key] = self.groupViews[group.key] ||
+						new self.groupView({tableView: self, group: group});
+					delete self.groupViews[group.key];
+					view.setGroup(group);
+					result.push(view);
+					if (self.isGroupCollapsed(group.key)) {
+						return;
+					}
+					if (group.groups) {
+						arrange(group.groups);
+					} else {
+						_.each(group.models, function (model) {
+							if (viewsByModel[model.cid]) {
+								result.push(viewsByModel[model.cid]);
+							}
+						});
+					}
+				});
+			})(self.getGroups());
+
+			self.releaseGroupViews(self.groupViews);
+			self.groupViews = groupViews;
+			return result;
+		},
+
+		/**
+		 * Returns true if the row of the model is expanded
+		 * @param  {Model} model
+		 * @return {Boolean}
+		 */
+		isExpanded: function (model) {
+			return _.has(this.expandedRows, this.getSelectionKey(model));
+		},
+
+		/**
+		 * Show detail row of the model
+		 * @param  {Model} model
+		 */
+		expandRow: function (model) {
+			var self = this;
+			if (!self.detailView || self.isExpanded(model)) {
+				return;
+			}
+			if (self.expandMode === "single") {
+				_.each(_.values(self.expandedRows), function (expanded) {
+					self.setRowExpanded(expanded, false);
+				});
+			}
+			self.setRowExpanded(model, true);
+			self.refresh();
+		},
+
+		/**
+		 * Hide detail row of the model, its detail view is destroyed
+		 * @param  {Model} model
+		 */
+		collapseRow: function (model) {
+			if (this.isExpanded(model)) {
+				this.setRowExpanded(model, false);
+				this.refresh();
+			}
+		},
+
+		/**
+		 * Expand collapsed row or collapse expanded one
+		 * @param  {Model} model
+		 */
+		toggleRow: function (model) {
+			if (this.isExpanded(model)) {
+				this.collapseRow(model);
+			} else {
+				this.expandRow(model);
+			}
+		},
+
+		/**
+		 * Collapse all expanded rows
+		 */
+		collapseAllRows: function () {
+			var self = this;
+			_.each(_.values(self.expandedRows), function (model) {
+				self.setRowExpanded(model, false);
+			});
+			self.refresh();
+		},
+
+		/**
+		 * Update expansion state without re-rendering rows
+		 * @param {Model} model
+		 * @param {Boolean} expanded
+		 * @protected
+		 */
+		setRowExpanded: function (model, expanded) {
+			var key = this.getSelectionKey(model);
+			if (expanded) {
+				this.expandedRows[key] = model;
+			} else {
+				delete this.expandedRows[key];
+				this.releaseDetailRow(key);
+			}
+			this.trigger(expanded ? "row:expand" : "row:collapse", this, model);
+		},
+
+		/**
+		 * Insert detail rows after expanded rows
+		 * @param  {Array} views
+		 * @return {Array}
+		 * @protected
+		 */
+		insertDetailRows: function (views) {
+			var self = this,
+				detailRows = {},
+				result = [];
+
+			_.each(views, function (view) {
+				var key;
+				result.push(view);
+				if (!view.model || !self.isExpanded(view.model)) {
+					return;
+				}
+				key = self.getSelectionKey(view.model);
+				detailRows[key] = self.detailRows[key] || new DetailRowView({
+					tableView: self,
+					detailView: new self.detailView({
+						model: view.model,
+						tableView: self
+					})
+				});
+				delete self.detailRows[key];
+				result.push(detailRows[key]);
+			});
+			// detail views are created again when rows are displayed
+			_.each(_.keys(self.detailRows), self.releaseDetailRow, self);
+			self.detailRows = detailRows;
+			_.each(views, self.updateRowToggle, self);
+			return result;
+		},
+
+		/**
+		 * Destroy detail row and its detail view
+		 * @param  {String} key model's key
+		 * @protected
+		 */
+		releaseDetailRow: function (key) {
+			if (this.detailRows[key]) {
+				this.detailRows[key].destroy();
+				delete this.detailRows[key];
+			}
+		},
+
+		/**
+		 * Reflect expansion state in row's class and toggle
+		 * @param  {Generic.View} view
+		 * @protected
+		 */
+		updateRowToggle: function (view) {
+			var expanded;
+			if (!view.model) {
+				return;
+			}
+			expanded = this.isExpanded(view.model);
+			view.$el.toggleClass("expanded", expanded);
+			view.$el.children("td.expand-cell").children(".row-toggle").attr("aria-expanded", String(expanded));
+		},
+
+		onRowToggleClick: function (e) {
+			var model = this.getRowModel($(e.currentTarget));
+			if (model) {
+				e.preventDefault();
+				this.toggleRow(model);
+			}
+		},
+
+		/**
+		 * Destroy header views of groups which are not displayed anymore
+		 * @param  {Object} groupViews
+		 * @protected
 		 */
-		columns: undefined,
+		releaseGroupViews: function (groupViews) {
+			_.each(groupViews, function (view) {
+				view.destroy();
+			});
+		},
 
-		/*
-		 * Attach click listener for <a> tag in table header
+		/**
+		 * Update groups and aggregates when a model is removed from the collection
+		 * @protected
 		 */
-		events: {
-			"click th a": "sort", 
-			"click tr.resourceMain>td": "select"
+		removeItemView: function (model) {
+			var key = this.getSelectionKey(model);
+			CollectionView.prototype.removeItemView.apply(this, arguments);
+			delete this.aggregateCache[model.cid];
+			delete this.expandedRows[key];
+			this.releaseDetailRow(key);
+			this.schedule(this.groupLevels.length ? "refresh" : "renderAggregates");
 		},
 
-		initialize: function (options) {
-			options = options || {};
-			var self = this;
-			self.columns = options.columns;
-			CollectionView.prototype.initialize.apply(this, arguments);
-
-			self.collection.on("toggleShowAll", self.toggleShowAll, self);
-
-			// By defaut multiple selection is not actived
-			self.multipleSelection = options.multipleSelection || false;
+		/**
+		 * Update aggregates when a model is added to the collection
+		 * @protected
+		 */
+		addItemView: function (model, collection) {
+			CollectionView.prototype.addItemView.apply(this, arguments);
+			if (collection) {
+				this.schedule("renderAggregates");
+			}
 		},
 
 		/**
-		 * Returns columns configuration
-		 * 
+		 * Rows of sorted or grouped table are refreshed to place added model in order
+		 * @param  {Model} model
+		 * @return {Boolean}
 		 * @protected
-		 * @return {Array} array with columns description
 		 */
-		getColumnsConfig: function () {
-			return this.columns;
+		canAppendItem: function (model) {
+			return CollectionView.prototype.canAppendItem.apply(this, arguments) &&
+				this.sortState.length === 0 && this.groupLevels.length === 0;
 		},
 
 		/**
@@ -60,7 +1999,8 @@ define([
 		 * @return {DOMNode}
 		 */
 		getItemsContainer: function () {
-			var tbody = this.$("tbody").get(0);
+			// not this.$("tbody"), detail rows can contain tables
+			var tbody = this.$el.children("tbody").get(0);
 			if (!tbody) {
 				tbody = document.createElement("tbody");
 				this.el.appendChild(tbody);
@@ -68,40 +2008,270 @@ define([
 			return tbody;
 		},
 
+		/**
+		 * Table element can't be scrolled, in virtual mode table's parent element is used by default
+		 * @return {jQuery}
+		 */
+		getScrollContainer: function () {
+			if (this.scrollContainer) {
+				return CollectionView.prototype.getScrollContainer.apply(this, arguments);
+			}
+			return this.$el.parent();
+		},
+
+		/**
+		 * Spacer for virtual mode is an empty row
+		 * @protected
+		 * @return {DOMNode}
+		 */
+		createSpacer: function () {
+			var tr = document.createElement("tr"),
+				td = document.createElement("td");
+			tr.className = "virtual-spacer";
+			td.colSpan = this.getColumnCount();
+			td.style.padding = "0";
+			td.style.border = "0";
+			tr.appendChild(td);
+			return tr;
+		},
+
+		/**
+		 * Sentinel of infinite mode is a full-width row
+		 * @return {DOMNode}
+		 * @protected
+		 */
+		createSentinel: function () {
+			var tr = document.createElement("tr"),
+				td = document.createElement("td");
+			tr.className = "infinite-sentinel";
+			td.colSpan = this.getColumnCount();
+			tr.appendChild(td);
+			return tr;
+		},
+
+		/**
+		 * @return {DOMNode}
+		 * @protected
+		 */
+		getSentinelContent: function () {
+			return this.sentinel.firstChild;
+		},
+
+		/**
+		 * Status views are displayed in a full-width row
+		 * @param  {Generic.View} view
+		 * @return {DOMNode}
+		 * @protected
+		 */
+		wrapStatusView: function (view) {
+			var tr = document.createElement("tr"),
+				td = document.createElement("td");
+			tr.className = "status-row status-" + view.status;
+			td.colSpan = this.getColumnCount();
+			td.appendChild(view.el);
+			tr.appendChild(td);
+			return tr;
+		},
+
+		/**
+		 * Returns key used to track model's selection
+		 * @param  {Model} model
+		 * @return {String}
+		 * @protected
+		 */
+		getSelectionKey: function (model) {
+			return model.id != null ? model.id : model.cid;
+		},
+
+		/**
+		 * Returns selected models, including models which are not displayed at the moment
+		 * @return {Array}
+		 */
 		getSelectedModels: function () {
-			var self = this;
-			var models = [];
-			_(self.children).each(function (view, idx) {
-				if (view.$el.hasClass("selected")) {
-					models.push(view.model);
-				}
+			return _.values(this.selection);
+		},
+
+		/**
+		 * Check if model is selected
+		 * @param  {Model} model
+		 * @return {Boolean}
+		 */
+		isSelected: function (model) {
+			return _.has(this.selection, this.getSelectionKey(model));
+		},
+
+		/**
+		 * Select models
+		 * @param  {Array} models
+		 * @param  {Object} options {optional} `replace: true` to deselect other models, `silent: true` to not fire event
+		 */
+		selectModels: function (models, options) {
+			var self = this,
+				selection = options && options.replace ? {} : _.clone(self.selection);
+
+			if (self.selectionMode === "single") {
+				selection = {};
+				models = _.last(models, 1);
+			}
+			_.each(models, function (model) {
+				selection[self.getSelectionKey(model)] = model;
 			});
-			return models;
+			self.setSelection(selection, options);
 		},
 
-		clearSelection: function () {
-			var self = this;
-			_(self.children).each(function (view, idx) {
-				view.$el.removeClass("selected");
+		/**
+		 * Deselect models
+		 * @param  {Array} models
+		 * @param  {Object} options {optional} `silent: true` to not fire event
+		 */
+		deselectModels: function (models, options) {
+			var self = this,
+				selection = _.clone(self.selection);
+
+			_.each(models, function (model) {
+				delete selection[self.getSelectionKey(model)];
 			});
+			self.setSelection(selection, options);
 		},
 
-		/*
-		 * Displays or removes extra rows depending on this.showAll property
+		/**
+		 * Select all models which pass filters
+		 * @param  {Object} options {optional} `silent: true` to not fire event
 		 */
-		toggleShowAll: function() {
-			var self = this;
-			// var limit = self.limit || self.collection.length; 
-			console.debug("toggleShowAll");
-			if (self.showAll) {
-				self.limit = self._limit;
-				delete self._limit;
+		selectAll: function (options) {
+			this.selectModels(this.filteredModels || this.getFilteredModels(), options);
+		},
+
+		/**
+		 * Deselect all models
+		 * @param  {Object} options {optional} `silent: true` to not fire event
+		 */
+		deselectAll: function (options) {
+			this.setSelection({}, options);
+		},
+
+		clearSelection: function () {
+			this.deselectAll();
+		},
+
+		/**
+		 * Replace selection, update rows and fire {@link #event-selection_change} if selection is changed
+		 * @param {Object} selection map of selection keys to models
+		 * @param {Object} options {optional} `silent: true` to not fire event
+		 * @protected
+		 */
+		setSelection: function (selection, options) {
+			var self = this,
+				changed = !_.isEqual(_.keys(selection).sort(), _.keys(self.selection).sort()),
+				models;
+
+			self.selection = selection;
+			if (!changed) {
+				return;
+			}
+			_.each(self.children, self.updateRowSelection, self);
+			self.updateSelectAllState();
+			if (!options || !options.silent) {
+				models = self.getSelectedModels();
+				self.trigger("selection:change", self, models);
+				// backward compatibility
+				self.trigger(models.length > 0 ? "selected" : "unselected");
+			}
+		},
+
+		/**
+		 * Reflect selection state of row's model in the row
+		 * @param  {Generic.View} view row view
+		 * @protected
+		 */
+		updateRowSelection: function (view) {
+			var selected = !!view.model && this.isSelected(view.model);
+			view.$el.toggleClass("selected", selected);
+			view.$el.children("td.select-cell").find("input.select-row").prop("checked", selected);
+		},
+
+		/**
+		 * Update "select all" checkbox in the header: checked if all filtered models are selected,
+		 * indeterminate if some of them
+		 * @protected
+		 */
+		updateSelectAllState: function () {
+			var self = this,
+				checkbox = self.$el.children("thead").find("input.select-all").get(0),
+				models,
+				selectedCount;
+
+			if (!checkbox) {
+				return;
+			}
+			models = self.filteredModels || self.getFilteredModels();
+			selectedCount = _.filter(models, self.isSelected, self).length;
+			checkbox.checked = models.length > 0 && selectedCount === models.length;
+			checkbox.indeterminate = selectedCount > 0 && selectedCount < models.length;
+		},
+
+		onSelectAllClick: function (e) {
+			if (!this.ownsTableElement(e.currentTarget)) {
+				return;
+			}
+			if (e.currentTarget.checked) {
+				this.selectAll();
 			} else {
-				self._limit = self.limit;
-				self.limit = null;
+				this.deselectModels(this.filteredModels || this.getFilteredModels());
+			}
+		},
+
+		/**
+		 * Removed models are deselected
+		 * @param  {Model} model
+		 * @protected
+		 */
+		onSelectedModelRemove: function (model) {
+			if (this.isSelected(model)) {
+				this.deselectModels([model]);
 			}
-			self.showAll = !self.showAll;
-			self.onCollectionSort();
+		},
+
+		/**
+		 * Keep selected and expanded only models which are in the collection after reset.
+		 * In remote mode the collection contains the current page, so rows of other pages stay selected and expanded
+		 * @protected
+		 */
+		onCollectionReset: function () {
+			var self = this,
+				selection = {};
+
+			self.aggregateCache = {};
+			_.each(self.expandedRows, function (model, key) {
+				var current = self.collection.get(key);
+				if (current) {
+					if (current !== model) {
+						// detail view is created again for the new instance
+						self.releaseDetailRow(key);
+					}
+					self.expandedRows[key] = current;
+				} else if (!self.remote) {
+					delete self.expandedRows[key];
+					self.releaseDetailRow(key);
+				}
+			});
+			_.each(self.selection, function (model, key) {
+				var current = self.collection.get(model.id != null ? model.id : model.cid);
+				if (current || self.remote) {
+					selection[key] = current || model;
+				}
+			});
+			self.setSelection(selection);
+		},
+
+		/**
+		 * Update selection state of rows after they are re-rendered
+		 */
+		refresh: function () {
+			CollectionView.prototype.refresh.apply(this, arguments);
+			_.each(this.children, this.updateRowSelection, this);
+			this.updateSelectAllState();
+			this.renderAggregates();
 		},
 
 		/**
@@ -111,6 +2281,7 @@ define([
 		renderTableHeader: function () {
 			var self = this;
 
+			self.$el.children("thead").remove();
 			if (!self.columns) {
 				return;
 			}
@@ -118,136 +2289,308 @@ define([
 			var tr = document.createElement("tr");
 			thead.appendChild(tr);
 
-			_.each(self.columns, function (column) {
+			if (self.detailView) {
+				$(tr).append("<th class='expand-cell'></th>");
+			}
+			if (self.checkboxes) {
+				$(tr).append("<th class='select-cell'>" +
+					(self.selectionMode === "multi" ? "<input type='checkbox' class='select-all'/>" : "") + "</th>");
+			}
+
+			_.each(self.getVisibleColumns(), function (column) {
 				var th = document.createElement("th");
 				tr.appendChild(th);
 				var $th = $(th);
-				if (_.isString(column)) {
-					column = {
-						title: column,
-						attrs: {}
-					};
-				}
 
-				// check if if collection is already sorted, if so display appropriate icon
-				if (self.sortable(column.title) && self.collection.length > 1) {
-					if (self.collection.sortColumn == column.title.toLowerCase()) {
-						if (self.collection.sortOrder == "asc")
-							$th.html("<a href='#'>" + column.title + "<i class='icon-sort'></i><i class='icon-sort-up' style='display:inline'></i></a>");
-						else
-							$th.html("<a href='#'>" + column.title + "<i class='icon-sort'></i><i class='icon-sort-down' style='display:inline'></i></a>");
-					}
-					else {
-						$th.html("<a href='#'>" + column.title + "<i class='icon-sort'></i><i></i></a>");
-					}
-				}
-				else {
+				$th.attr("data-column", column.id);
+				if (column.sortable) {
+					$th.addClass("sortable").append($("<a href='#'></a>").text(column.title));
+				} else {
 					$th.text(column.title);
 				}
+				if (column.cssClass) {
+					$th.addClass(column.cssClass);
+				}
+				if (column.width != null) {
+					$th.css("width", column.width);
+				}
+				if (self.reorderableColumns) {
+					$th.attr("draggable", "true");
+				}
+				if (self.resizableColumns) {
+					$th.append("<span class='column-resizer'></span>");
+				}
 
 				// assign attributes to the header column if defined
-				column.attrs && $th.attr(column.attrs);
+				$th.attr(column.attrs);
 			});
 			
-			this.el.appendChild(thead);
+			self.el.insertBefore(thead, self.el.firstChild);
+			self.updateHeaderSortState();
+			self.updateSelectAllState();
+		},
+
+		/**
+		 * Reflect sort state in header's cells: "sorted-asc"/"sorted-desc" classes,
+		 * `aria-sort` and `data-sort-priority` attributes for multi-column sort
+		 * @protected
+		 */
+		updateHeaderSortState: function () {
+			var self = this;
+			self.$el.children("thead").find("th[data-column]").each(function () {
+				var $th = $(this),
+					columnId = $th.attr("data-column"),
+					priority = -1,
+					entry = _.find(self.sortState, function (entry, idx) {
+						priority = idx;
+						return entry.column === columnId;
+					});
+
+				$th.toggleClass("sorted-asc", !!entry && entry.order === "asc");
+				$th.toggleClass("sorted-desc", !!entry && entry.order === "desc");
+				if (entry) {
+					$th.attr("aria-sort", entry.order === "asc" ? "ascending" : "descending");
+				} else {
+					$th.removeAttr("aria-sort");
+				}
+				if (entry && self.sortState.length > 1) {
+					$th.attr("data-sort-priority", priority + 1);
+				} else {
+					$th.removeAttr("data-sort-priority");
+				}
+			});
+		},
+
+		/**
+		 * Reuse prerendered header and footer if they match table's columns
+		 * @protected
+		 */
+		hydrateContent: function () {
+			var self = this,
+				$thead = self.$el.children("thead");
+
+			if ($thead.length && self.canReuseTableHeader($thead)) {
+				self.updateHeaderSortState();
+				self.updateSelectAllState();
+			} else {
+				self.renderTableHeader();
+			}
+			CollectionView.prototype.hydrateContent.apply(self, arguments);
+			self.hydrateTableFooter();
+		},
+
+		/**
+		 * Check that prerendered header displays visible columns in the same order
+		 * @param  {jQuery} $thead
+		 * @return {Boolean}
+		 * @protected
+		 */
+		canReuseTableHeader: function ($thead) {
+			var $cells = $thead.children("tr").first().children("th"),
+				ids = $cells.filter("[data-column]").map(function () {
+					return this.getAttribute("data-column");
+				}).get();
+
+			return !!this.columns && $cells.length === ids.length + this.getControlColumnCount() &&
+				_.isEqual(ids, _.pluck(this.getVisibleColumns(), "id"));
+		},
+
+		/**
+		 * Hydrate pager in prerendered footer, footer is rendered again if it doesn't match table's options
+		 * @protected
+		 */
+		hydrateTableFooter: function () {
+			var self = this,
+				$tfoot = self.$el.children("tfoot"),
+				pagerEl = $tfoot.children("tr.pager-row").children("td").children().get(0),
+				hasAggregates = self.hasAggregates();
+
+			if (!!self.pager !== !!pagerEl || hasAggregates !== $tfoot.children("tr.aggregate-row").length > 0) {
+				$tfoot.remove();
+				self.renderTableFooter();
+				return;
+			}
+			if (pagerEl) {
+				if (self.pagerView) {
+					self.pagerView.destroy();
+				}
+				self.pagerView = new Pager({
+					collectionView: self
+				});
+				self.pagerView.hydrate(pagerEl);
+			}
+			self.renderAggregates();
+		},
+
+		/**
+		 * All rows except rows of models are rendered again on hydration
+		 * @param  {DOMNode} container
+		 * @return {jQuery}
+		 * @protected
+		 */
+		getAuxiliaryElements: function (container) {
+			return $(container).children(":not([data-item-key])");
 		},
 
 		/**
 		 * Table view also render header automaticaly
-		 * @return {[type]} [description]
+		 * @protected
 		 */
-		render: function () {
+		renderContent: function () {
 			// construct header
 			
 			this.renderTableHeader();
 			
-			CollectionView.prototype.render.apply(this, arguments);
+			CollectionView.prototype.renderContent.apply(this, arguments);
 
-			return this;
+			this.renderTableFooter();
 		},
 
-
-		/*
-		 * Calls sortByColumn method on collection
-		 * Updates table header icons
-		 *
-		 * @return self
+		/**
+		 * Render table's footer with aggregates of columns and pager if {@link #pager} is enabled
+		 * @protected
 		 */
-		sort: function(e) {
+		renderTableFooter: function () {
 			var self = this,
-					a = $(e.currentTarget),
-					column = a.text().toLowerCase(),
-					order = "asc";
-
-			e.preventDefault();
-			
-			if (self.collection.length > 1) {
-				// update icons in table header
-				self.updateHeaderIcons(a);
-
-				// asign sort order
-				a.find("i:last").hasClass("icon-sort-up") ? order = "asc" : order = "desc";
+				tfoot,
+				tr,
+				td;
 
-				// delegate sorting to common/Collection.js
-				self.collection.sortByColumn(column, order);
+			if (!self.pager && !self.hasAggregates()) {
+				return;
+			}
+			tfoot = document.createElement("tfoot");
+			self.el.appendChild(tfoot);
+			if (self.hasAggregates()) {
+				self.renderAggregateRow(tfoot);
 			}
+			if (!self.pager) {
+				return;
+			}
+			tr = document.createElement("tr");
+			td = document.createElement("td");
+			tr.className = "pager-row";
+			td.colSpan = self.getColumnCount();
+			tr.appendChild(td);
+			tfoot.appendChild(tr);
 
-			return self;
+			if (self.pagerView) {
+				self.pagerView.destroy();
+			}
+			self.pagerView = new Pager({
+				collectionView: self
+			});
+			td.appendChild(self.pagerView.render().el);
 		},
 
-		select: function(eventElement) {
-			var self = this;
-			if (self.multipleSelection) {
-				var $td = $(eventElement.target);
-				if( $td.prop("tagName") == "TD") {
-					$td.parent("tr.resourceMain").toggleClass("selected");
-				}
-				var selected = self.$("tr.resourceMain.selected").length;
-				var all = self.$("tr.resourceMain").length;
-				
-				if(selected){
-					self.trigger("selected");
-				} else if (!selected){
-					self.trigger("unselected");
+		/**
+		 * Render footer's row with aggregates of columns
+		 * @param  {DOMNode} tfoot
+		 * @protected
+		 */
+		renderAggregateRow: function (tfoot) {
+			var self = this,
+				tr = document.createElement("tr");
+
+			tr.className = "aggregate-row";
+			_.times(self.getControlColumnCount(), function () {
+				tr.appendChild(document.createElement("td"));
+			});
+			_.each(self.getVisibleColumns(), function (column) {
+				var td = document.createElement("td");
+				if (column.aggregate) {
+					td.setAttribute("data-column", column.id);
+					td.className = "aggregate-cell" + (column.cssClass ? " " + column.cssClass : "");
 				}
+				tr.appendChild(td);
+			});
+			tfoot.appendChild(tr);
+			self.renderAggregates();
+		},
+
+		destroy: function () {
+			if (this.pagerView) {
+				this.pagerView.destroy();
 			}
+			_.each(_.keys(this.detailRows), this.releaseDetailRow, this);
+			this.releaseGroupViews(this.groupViews);
+			this.groupViews = {};
+			return CollectionView.prototype.destroy.apply(this, arguments);
 		},
 
+
 		/*
-		 * Checks if column is sortable
+		 * Sort by clicked column, shift-click adds column to multi-column sort
 		 *
-		 * @return bolean
+		 * @return self
 		 */
-		sortable: function(column) {
-			return [ "status", "name", "provider", "compute platform", "type", "zone", "sensor", "region"].indexOf(column.toLowerCase()) >= 0;
+		sort: function(e) {
+			var self = this,
+				columnId = $(e.currentTarget).closest("th").attr("data-column");
+
+			if (!self.ownsTableElement(e.currentTarget)) {
+				return self;
+			}
+			e.preventDefault();
+			self.sortByColumn(columnId, null, e.shiftKey);
+
+			return self;
 		},
 
-		/*
-		 * Updates icons in table header
-		 *
-		 * @param DOMnode (currentTarget)
+		/**
+		 * Handle click on row's cell: select the row, toggle it with ctrl/cmd key or checkbox,
+		 * select range of rows with shift key
+		 * @param  {jQuery.Event} eventElement
 		 */
-		updateHeaderIcons: function(a) {
-			// loop through each <a> tag in table header and reset icons
-			this.$("tr th a").each(function () {
-				var el = $(this);
-				if (el.text() != a.text()) {
-					el.find("i:last").hide().removeClass("icon-sort-up icon-sort-down");
-				}
-			});
+		select: function(eventElement) {
+			var self = this,
+				$target = $(eventElement.target),
+				tr = eventElement.currentTarget.parentNode,
+				view,
+				model,
+				models,
+				from,
+				to;
 
-			// asign proper icon
-			if (a.find("i:last").hasClass("icon-sort-down")) {
-				a.find("i:last").toggleClass("icon-sort-up icon-sort-down");
+			if (self.selectionMode === "none") {
+				return;
+			}
+			// don't select when user interacts with links and controls inside the row
+			if ($target.closest("a, button, input, select, textarea").length && !$target.is("input.select-row")) {
+				return;
 			}
-			else if (a.find("i:last").hasClass("icon-sort-up")) {
-				a.find("i:last").toggleClass("icon-sort-up icon-sort-down");
+			view = _.find(self.children, function (view) {
+				return view.el === tr;
+			});
+			if (!view || !view.model) {
+				return;
+			}
+			model = view.model;
+
+			if (self.selectionMode === "multi" && eventElement.shiftKey && self.selectionAnchor) {
+				models = self.filteredModels || self.getFilteredModels();
+				from = _.indexOf(models, self.selectionAnchor);
+				to = _.indexOf(models, model);
+				if (from !== -1) {
+					self.selectModels(models.slice(Math.min(from, to), Math.max(from, to) + 1), {
+						replace: !(eventElement.ctrlKey || eventElement.metaKey)
+					});
+					return;
+				}
 			}
-			else {
-				a.find("i:last").toggleClass("icon-sort-up").css("display", "inline");
+			self.selectionAnchor = model;
+			if (eventElement.ctrlKey || eventElement.metaKey || $target.is("input.select-row")) {
+				if (self.isSelected(model)) {
+					self.deselectModels([model]);
+				} else {
+					self.selectModels([model]);
+				}
+			} else {
+				self.selectModels([model], {
+					replace: true
+				});
 			}
 		}
-
 	});
 
 	return TableView;
@@ -0,0 +1,1051 @@
+/**
+ * @class Generic.TreeView
+ * @extends Generic.CollectionView
+ *
+ * Displays hierarchical data as a tree. Each node's children are displayed by a nested TreeView,
+ * so filtering, sorting and adding/removing models work at every level the same way as in {@link Generic.CollectionView}.
+ *
+ * 		@example
+ *		var tree = new TreeView({
+ *			collection: regions,
+ *			nodeChildren: "zones",
+ *			checkboxes: true
+ *		});
+ *		tree.open(container);
+ *
+ * Children
+ * --------
+ *
+ * Children of a node are taken from {@link #nodeChildren}: name of model's attribute which contains
+ * a collection or an array of children's data, or function(model) which returns collection or array.
+ * If node has no children yet, they are loaded when the node is expanded: with {@link #loadChildren}
+ * function or by fetching the children collection if it has `url`. Nodes with `hasChildren` attribute
+ * equal to false are leafs, see {@link #hasChildrenAttribute}.
+ *
+ * 		@example
+ *		var tree = new TreeView({
+ *			collection: regions,
+ *			nodeChildren: function (model) {
+ *				return new Zones([], {region: model.id});
+ *			},
+ *			loadChildren: function (model, collection) {
+ *				return collection.fetch();
+ *			}
+ *		});
+ *
+ * Nodes are indented by {@link #indent} pixels per level, node's element has "tree-level-N" class and `aria-level` attribute.
+ *
+ * Keyboard
+ * --------
+ *
+ * Tree follows WAI-ARIA tree pattern: Up/Down keys move focus to previous/next visible node,
+ * Right expands collapsed node or moves to its first child, Left collapses expanded node or moves to its parent,
+ * Home/End move to the first/last node, Space toggles node's checkbox, Enter fires {@link #event-node_activate}.
+ *
+ * Search and filters
+ * ------------------
+ *
+ * {@link Generic.CollectionView#search} and named filters of the root tree are applied at every level.
+ * Node is displayed if it matches, or if any of its loaded descendants matches, such ancestors are expanded
+ * while search or filters are active. User can collapse them, they stay collapsed until search or filters are changed.
+ *
+ * Checkboxes
+ * ----------
+ *
+ * With {@link #checkboxes} option nodes have tri-state checkboxes. Checking a node checks all its descendants,
+ * node whose children are all checked becomes checked, node with some checked descendants is displayed as "mixed".
+ * See {@link #getCheckedModels}, {@link #setChecked}.
+ */
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/View",
+	"generic/CollectionView"
+], function (
+	$,
+	_,
+	Backbone,
+	View,
+	CollectionView
+) {
+	/**
+	 * Options which are copied from constructor's options to the root tree, nested trees use options of the root
+	 * @private
+	 */
+	var treeOptions = ["nodeChildren", "hasChildrenAttribute", "loadChildren", "labelAttribute", "nodeView", "indent", "checkboxes"];
+
+	/**
+	 * Key codes used by keyboard navigation
+	 * @private
+	 */
+	var keys = {
+		enter: 13,
+		space: 32,
+		end: 35,
+		home: 36,
+		left: 37,
+		up: 38,
+		right: 39,
+		down: 40
+	};
+
+	/**
+	 * Tree's node: row with toggle, checkbox and label, and nested tree of children when the node is expanded
+	 * @private
+	 */
+	var TreeNodeView = View.extend({
+		tagName: "li",
+		className: "tree-node",
+
+		attributes: {
+			role: "treeitem",
+			tabindex: "-1"
+		},
+
+		events: {
+			"click .tree-toggle": "onToggleClick",
+			"click .tree-check": "onCheckClick",
+			"click .tree-node-row": "onRowClick"
+		},
+
+		initialize: function (options) {
+			var self = this;
+			self.treeView = options.collectionView;
+			self.root = self.treeView.root;
+			self.level = self.treeView.level;
+			self.childTree = null;
+			self.contentView = null;
+			View.prototype.initialize.apply(self, arguments);
+			self.root.nodeViews[self.model.cid] = self;
+			self.el.setAttribute("data-node-cid", self.model.cid);
+			self.childCollection = self.root.getChildCollection(self.model);
+			self.childCollection.on("add remove reset", self.updateState, self);
+			if (!self.root.nodeView) {
+				self.root.on("search:change", self.renderLabel, self);
+			}
+		},
+
+		/**
+		 * Returns true if the event belongs to this node, not to nested nodes
+		 * @param  {jQuery.Event} e
+		 * @return {Boolean}
+		 * @protected
+		 */
+		ownsEvent: function (e) {
+			return $(e.currentTarget).closest("li.tree-node").get(0) === this.el;
+		},
+
+		renderContent: function () {
+			var self = this,
+				root = self.root,
+				row = document.createElement("div");
+
+			if (self.contentView) {
+				self.contentView.destroy();
+				self.contentView = null;
+			}
+			self.$el.children(".tree-node-row").remove();
+			row.className = "tree-node-row";
+			row.style.paddingLeft = (self.level * root.indent) + "px";
+			$(row).append("<a href='#' class='tree-toggle' tabindex='-1' aria-hidden='true'></a>");
+			if (root.checkboxes) {
+				$(row).append("<input type='checkbox' class='tree-check' tabindex='-1'/>");
+			}
+			if (root.nodeView) {
+				self.contentView = self.add(new root.nodeView({
+					model: self.model,
+					treeView: root
+				}));
+				$("<span class='tree-label'></span>").append(self.contentView.el).appendTo(row);
+				self.contentView.render();
+			} else {
+				$(row).append("<span class='tree-label'></span>");
+			}
+			self.el.insertBefore(row, self.el.firstChild);
+			self.renderLabel();
+			self.$el.addClass("tree-level-" + self.level).attr("aria-level", self.level + 1);
+			self.updateCheckbox();
+			self.updateChildren();
+		},
+
+		/**
+		 * Render node's label with highlighted search matches
+		 * @protected
+		 */
+		renderLabel: function () {
+			var root = this.root,
+				label = this.model.get(root.labelAttribute);
+
+			if (!this.rendered || root.nodeView) {
+				return;
+			}
+			this.$el.children(".tree-node-row").children(".tree-label").html(CollectionView.highlight(
+				label == null ? "" : String(label),
+				root.getSearchMatches(this.model)[root.labelAttribute]
+			));
+		},
+
+		/**
+		 * Bind nested tree to prerendered children
+		 * @protected
+		 */
+		hydrateContent: function () {
+			var self = this,
+				el = self.$el.children("ul").get(0);
+
+			// prerendered element is marked with cid of the server's model
+			self.el.setAttribute("data-node-cid", self.model.cid);
+			View.prototype.hydrateContent.apply(self, arguments);
+			if (self.root.nodeView) {
+				self.contentView = self.add(new self.root.nodeView({
+					model: self.model,
+					treeView: self.root
+				}));
+				self.contentView.hydrate(self.$el.children(".tree-node-row").children(".tree-label").children().get(0));
+			}
+			if (el && self.isExpanded()) {
+				self.childTree = self.add(self.root.createChildTree(self.model));
+				self.childTree.hydrate(el);
+			} else {
+				$(el).remove();
+			}
+			// indeterminate state isn't kept in html
+			self.updateCheckbox();
+			self.updateChildren();
+		},
+
+		/**
+		 * Returns true if node's children are displayed
+		 * @return {Boolean}
+		 */
+		isExpanded: function () {
+			return this.root.isExpanded(this.model) && this.root.hasChildren(this.model);
+		},
+
+		/**
+		 * Reflect node's state in classes and aria attributes
+		 * @protected
+		 */
+		updateState: function () {
+			var self = this,
+				root = self.root,
+				leaf = !root.hasChildren(self.model),
+				expanded = !leaf && root.isExpanded(self.model);
+
+			self.$el
+				.toggleClass("tree-leaf", leaf)
+				.toggleClass("expanded", expanded)
+				.toggleClass("collapsed", !leaf && !expanded)
+				.toggleClass("loading", root.isLoading(self.model));
+			if (leaf) {
+				self.$el.removeAttr("aria-expanded");
+			} else {
+				self.$el.attr("aria-expanded", String(expanded));
+			}
+		},
+
+		/**
+		 * Create, refresh or destroy nested tree of children depending on node's state
+		 */
+		updateChildren: function () {
+			var self = this;
+			if (!self.rendered) {
+				return;
+			}
+			self.updateState();
+			if (!self.isExpanded()) {
+				if (self.childTree) {
+					self.childTree.destroy();
+					self.childTree = null;
+				}
+				return;
+			}
+			if (self.childTree) {
+				self.childTree.refresh();
+				return;
+			}
+			self.childTree = self.add(self.root.createChildTree(self.model));
+			self.el.appendChild(self.childTree.el);
+			self.childTree.render();
+		},
+
+		/**
+		 * Reflect check state of the node in its checkbox
+		 * @param  {String} state {optional} check state if it's already known, see {@link Generic.TreeView#getCheckState}
+		 * @protected
+		 */
+		updateCheckbox: function (state) {
+			if (!this.root.checkboxes) {
+				return;
+			}
+			state = state || this.root.getCheckState(this.model);
+			this.$el.children(".tree-node-row").children(".tree-check").prop({
+				checked: state === "checked",
+				indeterminate: state === "mixed"
+			});
+			this.$el.attr("aria-checked", state === "mixed" ? "mixed" : String(state === "checked"));
+		},
+
+		onToggleClick: function (e) {
+			if (!this.ownsEvent(e)) {
+				return;
+			}
+			e.preventDefault();
+			this.root.toggleNode(this.model);
+		},
+
+		onCheckClick: function (e) {
+			if (!this.ownsEvent(e)) {
+				return;
+			}
+			this.root.setChecked(this.model, e.currentTarget.checked);
+		},
+
+		onRowClick: function (e) {
+			if (this.ownsEvent(e)) {
+				this.root.focusNode(this.model);
+			}
+		},
+
+		destroy: function () {
+			if (this.root.nodeViews[this.model.cid] === this) {
+				delete this.root.nodeViews[this.model.cid];
+			}
+			this.childCollection.off(null, null, this);
+			this.root.off(null, null, this);
+			return View.prototype.destroy.apply(this, arguments);
+		}
+	});
+
+	var TreeView = CollectionView.extend({
+		tagName: "ul",
+		className: "tree-nodes",
+
+		/**
+		 * @event node:expand
+		 * Fired when node is expanded
+		 * @param {Generic.TreeView} view root tree
+		 * @param {Backbone.Model} model
+		 */
+
+		/**
+		 * @event node:collapse
+		 * Fired when node is collapsed
+		 * @param {Generic.TreeView} view root tree
+		 * @param {Backbone.Model} model
+		 */
+
+		/**
+		 * @event node:load
+		 * Fired when children of the node are loaded or failed to load
+		 * @param {Generic.TreeView} view root tree
+		 * @param {Backbone.Model} model
+		 * @param {Boolean} success
+		 * @param {Mixed} error reason of the failure, undefined if children are loaded
+		 */
+
+		/**
+		 * @event node:activate
+		 * Fired when user presses Enter on the node
+		 * @param {Generic.TreeView} view root tree
+		 * @param {Backbone.Model} model
+		 */
+
+		/**
+		 * @event check:change
+		 * Fired when nodes are checked or unchecked
+		 * @param {Generic.TreeView} view root tree
+		 * @param {Array} models checked models
+		 */
+
+		events: {
+			"keydown": "onKeyDown"
+		},
+
+		/**
+		 * Node's view, renders node's row and nested tree of its children
+		 * @cfg {Generic.View}
+		 */
+		itemView: TreeNodeView,
+
+		/**
+		 * Name of model's attribute with children (collection or array of data),
+		 * or function(model) which returns collection or array of children
+		 * @cfg {String/Function}
+		 */
+		nodeChildren: "children",
+
+		/**
+		 * Name of model's attribute which tells if node has children before they are loaded
+		 * @cfg {String}
+		 */
+		hasChildrenAttribute: "hasChildren",
+
+		/**
+		 * Function(model, collection) which loads children of the node into collection.
+		 * It returns a promise, or an array of children (or a promise of it) which is set to the collection.
+		 * jQuery promise, native Promise or other thenable can be returned, node isn't marked as loaded
+		 * if the promise is rejected. By default collection with `url` is fetched
+		 * @cfg {Function}
+		 */
+		loadChildren: null,
+
+		/**
+		 * Model's attribute displayed as node's label
+		 * @cfg {String}
+		 */
+		labelAttribute: "name",
+
+		/**
+		 * View class which renders node's label instead of {@link #labelAttribute},
+		 * created with `model` and `treeView` options
+		 * @cfg {Generic.View}
+		 */
+		nodeView: null,
+
+		/**
+		 * Indentation of each level in pixels
+		 * @cfg {Number}
+		 */
+		indent: 16,
+
+		/**
+		 * Display tri-state checkboxes, see "Checkboxes" section
+		 * @cfg {Boolean}
+		 */
+		checkboxes: false,
+
+		/**
+		 * Root tree, nested trees share its options and state
+		 * @type {Generic.TreeView}
+		 * @readonly
+		 */
+		root: undefined,
+
+		/**
+		 * Depth of the tree's nodes, 0 for the root tree
+		 * @type {Number}
+		 * @readonly
+		 */
+		level: 0,
+
+		/**
+		 * Node which children are displayed by nested tree
+		 * @type {Backbone.Model}
+		 * @readonly
+		 */
+		parentModel: null,
+
+		initialize: function (options) {
+			var self = this;
+			options = options || {};
+
+			self.root = options.rootView || self;
+			self.level = options.level || 0;
+			self.parentModel = options.parentModel || null;
+			if (self.root === self) {
+				_.each(treeOptions, function (name) {
+					if (options[name] !== undefined) {
+						self[name] = options[name];
+					}
+				});
+				self.expandedNodes = {};
+				self.collapsedNodes = {};
+				self.loadingNodes = {};
+				self.loadedNodes = {};
+				self.checkedNodes = {};
+				self.childCollections = {};
+				self.parentModels = {};
+				self.nodeViews = {};
+			} else {
+				_.each(treeOptions.concat(["itemView", "searchProperties", "searchMode"]), function (name) {
+					self[name] = self.root[name];
+				});
+			}
+			CollectionView.prototype.initialize.apply(self, arguments);
+			self.$el.attr("role", self.root === self ? "tree" : "group");
+			if (self.root === self && self.checkboxes) {
+				self.$el.attr("aria-multiselectable", "true");
+			}
+		},
+
+		/**
+		 * Create nested tree which displays children of the node
+		 * @param  {Backbone.Model} model
+		 * @return {Generic.TreeView}
+		 * @protected
+		 */
+		createChildTree: function (model) {
+			return new this.root.constructor({
+				collection: this.getChildCollection(model),
+				rootView: this.root,
+				parentModel: model,
+				level: this.root.getLevel(model) + 1
+			});
+		},
+
+		/**
+		 * Returns collection of node's children, it's created on first call
+		 * @param  {Backbone.Model} model
+		 * @return {Backbone.Collection}
+		 */
+		getChildCollection: function (model) {
+			var root = this.root,
+				children = root.childCollections[model.cid],
+				registerParent;
+
+			if (children) {
+				return children;
+			}
+			children = _.isFunction(root.nodeChildren) ? root.nodeChildren(model) : model.get(root.nodeChildren);
+			if (_.isArray(children)) {
+				// children are provided by the data, there is nothing to load
+				root.loadedNodes[root.getItemKey(model)] = true;
+			}
+			if (!(children instanceof Backbone.Collection)) {
+				children = new Backbone.Collection(children || []);
+			}
+			registerParent = function () {
+				children.each(function (child) {
+					root.parentModels[child.cid] = model;
+				});
+			};
+			registerParent();
+			children.on("add reset", registerParent, root);
+			root.childCollections[model.cid] = children;
+			return children;
+		},
+
+		/**
+		 * Returns parent of the node, parents are known for nodes which were loaded
+		 * @param  {Backbone.Model} model
+		 * @return {Backbone.Model} parent or null for root nodes
+		 */
+		getParentModel: function (model) {
+			return this.root.parentModels[model.cid] || null;
+		},
+
+		/**
+		 * Returns depth of the node, 0 for nodes of the root collection
+		 * @param  {Backbone.Model} model
+		 * @return {Number}
+		 */
+		getLevel: function (model) {
+			var level = 0;
+			while ((model = this.getParentModel(model))) {
+				level++;
+			}
+			return level;
+		},
+
+		/**
+		 * Returns true if node has children or they can be loaded
+		 * @param  {Backbone.Model} model
+		 * @return {Boolean}
+		 */
+		hasChildren: function (model) {
+			var root = this.root,
+				children = root.getChildCollection(model),
+				flag = model.get(root.hasChildrenAttribute);
+
+			if (children.length > 0 || root.loadedNodes[root.getItemKey(model)]) {
+				return children.length > 0;
+			}
+			if (flag !== undefined) {
+				return !!flag;
+			}
+			return root.canLoadChildren(model);
+		},
+
+		/**
+		 * Returns true if children of the node can be loaded
+		 * @param  {Backbone.Model} model
+		 * @return {Boolean}
+		 * @protected
+		 */
+		canLoadChildren: function (model) {
+			return !!this.root.loadChildren || !!this.root.getChildCollection(model).url;
+		},
+
+		/**
+		 * Calls iterator for the node and its descendants which are loaded or provided by model's data
+		 * @param  {Backbone.Model} model
+		 * @param  {Function} iterator function(model)
+		 * @protected
+		 */
+		walk: function (model, iterator) {
+			var root = this.root;
+			iterator(model);
+			root.getChildCollection(model).each(function (child) {
+				root.walk(child, iterator);
+			});
+		},
+
+		/**
+		 * Returns true if node is expanded by user, or if it's an ancestor of matched nodes while filtering
+		 * and user didn't collapse it
+		 * @param  {Backbone.Model} model
+		 * @return {Boolean}
+		 */
+		isExpanded: function (model) {
+			var root = this.root,
+				key = root.getItemKey(model);
+
+			if (root.expandedNodes[key]) {
+				return true;
+			}
+			return !root.collapsedNodes[key] && root.isFiltering() && root.hasMatchingDescendant(model);
+		},
+
+		/**
+		 * Returns true if children of the node are loading
+		 * @param  {Backbone.Model} model
+		 * @return {Boolean}
+		 */
+		isLoading: function (model) {
+			return !!this.root.loadingNodes[this.root.getItemKey(model)];
+		},
+
+		/**
+		 * Expand the node, its children are loaded if needed
+		 * @param  {Backbone.Model} model
+		 */
+		expandNode: function (model) {
+			var root = this.root,
+				key = root.getItemKey(model);
+
+			if (root.expandedNodes[key]) {
+				return;
+			}
+			delete root.collapsedNodes[key];
+			root.expandedNodes[key] = true;
+			if (!root.loadedNodes[key] && root.getChildCollection(model).length === 0 && root.canLoadChildren(model)) {
+				root.loadNode(model);
+			}
+			root.updateNode(model);
+			root.trigger("node:expand", root, model);
+		},
+
+		/**
+		 * Collapse the node. Node expanded because of search or filters stays collapsed until they are changed
+		 * @param  {Backbone.Model} model
+		 */
+		collapseNode: function (model) {
+			var root = this.root,
+				key = root.getItemKey(model);
+
+			if (!root.isExpanded(model)) {
+				return;
+			}
+			delete root.expandedNodes[key];
+			if (root.isExpanded(model)) {
+				root.collapsedNodes[key] = true;
+			}
+			root.updateNode(model);
+			root.trigger("node:collapse", root, model);
+		},
+
+		/**
+		 * Expand collapsed node or collapse expanded one
+		 * @param  {Backbone.Model} model
+		 */
+		toggleNode: function (model) {
+			if (this.root.isExpanded(model)) {
+				this.root.collapseNode(model);
+			} else {
+				this.root.expandNode(model);
+			}
+		},
+
+		/**
+		 * Expand the node and all its ancestors
+		 * @param  {Backbone.Model} model
+		 */
+		revealNode: function (model) {
+			var root = this.root,
+				parents = [],
+				parent = model;
+
+			while ((parent = root.getParentModel(parent))) {
+				parents.unshift(parent);
+			}
+			_.each(parents, root.expandNode, root);
+		},
+
+		/**
+		 * Load children of the node, see {@link #loadChildren}. The promise is rejected with an Error
+		 * if {@link #loadChildren} returns neither a promise nor an array
+		 * @param  {Backbone.Model} model
+		 * @return {Promise}
+		 */
+		loadNode: function (model) {
+			var root = this.root,
+				key = root.getItemKey(model),
+				children = root.getChildCollection(model),
+				result,
+				promise;
+
+			if (root.loadingNodes[key]) {
+				return root.loadingNodes[key];
+			}
+			result = root.loadChildren ? root.loadChildren(model, children) : children.fetch();
+			if (!_.isArray(result) && !(result && _.isFunction(result.then))) {
+				result = $.Deferred().reject(new Error("loadChildren should return a promise or an array of children")).promise();
+			}
+			// stored before callbacks are added, they are called at once if result isn't pending
+			promise = root.loadingNodes[key] = View.when(result);
+			promise.done(function (models) {
+				if (root.loadChildren && _.isArray(models)) {
+					children.set(models);
+				}
+				root.loadedNodes[key] = true;
+				if (root.checkedNodes[key]) {
+					// children of checked node are checked
+					root.walk(model, function (node) {
+						root.checkedNodes[root.getItemKey(node)] = node;
+					});
+				}
+			}).always(function () {
+				delete root.loadingNodes[key];
+				if (root.destroyed) {
+					return;
+				}
+				root.updateNode(model);
+				root.updateCheckboxes();
+			}).done(function () {
+				root.trigger("node:load", root, model, true);
+			}).fail(function (error) {
+				root.trigger("node:load", root, model, false, error);
+			});
+			root.updateNode(model);
+			return promise;
+		},
+
+		/**
+		 * Update displayed state and children of the node
+		 * @param  {Backbone.Model} model
+		 * @protected
+		 */
+		updateNode: function (model) {
+			var view = this.root.nodeViews[model.cid];
+			if (view) {
+				view.updateChildren();
+			}
+		},
+
+		/**
+		 * Update nested trees after items are re-rendered
+		 */
+		refresh: function () {
+			CollectionView.prototype.refresh.apply(this, arguments);
+			_.invoke(this.children, "updateChildren");
+			if (this.root === this && this.rendered) {
+				this.updateTabStop();
+			}
+		},
+
+		/**
+		 * Ancestors of matches are expanded again when search or filters are changed,
+		 * even if user collapsed them
+		 * @protected
+		 */
+		requery: function () {
+			if (this.root === this) {
+				this.collapsedNodes = {};
+			}
+			CollectionView.prototype.requery.apply(this, arguments);
+		},
+
+		/**
+		 * First node of the root tree is reachable with Tab key
+		 * @protected
+		 */
+		renderContent: function () {
+			CollectionView.prototype.renderContent.apply(this, arguments);
+			if (this.root === this) {
+				this.updateTabStop();
+			}
+		},
+
+		/**
+		 * Returns true if search or named filters are applied
+		 * @return {Boolean}
+		 */
+		isFiltering: function () {
+			var root = this.root;
+			return root.searchTokens.length > 0 || _.size(root.compiledFilters) > 0;
+		},
+
+		/**
+		 * Check node against filters and search of the root tree, ignoring its descendants
+		 * @param  {Backbone.Model} model
+		 * @return {Boolean}
+		 * @protected
+		 */
+		matchesNode: function (model) {
+			var root = this.root;
+			return CollectionView.prototype.checkNamedFilters.call(root, model) &&
+				CollectionView.prototype.checkSearchFilter.call(root, model);
+		},
+
+		/**
+		 * Returns true if any loaded descendant of the node passes filters and search
+		 * @param  {Backbone.Model} model
+		 * @return {Boolean}
+		 */
+		hasMatchingDescendant: function (model) {
+			var root = this.root;
+			return root.getChildCollection(model).some(function (child) {
+				return root.matchesNode(child) || root.hasMatchingDescendant(child);
+			});
+		},
+
+		/**
+		 * Node is displayed if it matches or one of its descendants matches
+		 * @param  {Backbone.Model} model
+		 * @return {Boolean}
+		 */
+		checkFilter: function (model) {
+			var root = this.root;
+			if (this.collection.checkFilter && !this.collection.checkFilter(model)) {
+				return false;
+			}
+			return !root.isFiltering() || root.matchesNode(model) || root.hasMatchingDescendant(model);
+		},
+
+		/**
+		 * Matches are computed by the root tree
+		 * @param  {Backbone.Model} model
+		 * @return {Object}
+		 */
+		getSearchMatches: function (model) {
+			return this.root === this ? CollectionView.prototype.getSearchMatches.apply(this, arguments) :
+				this.root.getSearchMatches(model);
+		},
+
+		/**
+		 * Returns check state of the node: "checked", "unchecked" or "mixed"
+		 * @param  {Backbone.Model} model
+		 * @return {String}
+		 */
+		getCheckState: function (model) {
+			return this.root.collectCheckStates(model, {});
+		},
+
+		/**
+		 * Compute check states of the node and its loaded descendants in one pass, children before parents
+		 * @param  {Backbone.Model} model
+		 * @param  {Object} states map of node's key to its check state, filled by this method
+		 * @return {String} check state of the node
+		 * @protected
+		 */
+		collectCheckStates: function (model, states) {
+			var root = this.root,
+				key = root.getItemKey(model),
+				mixed = false;
+
+			root.getChildCollection(model).each(function (child) {
+				mixed = root.collectCheckStates(child, states) !== "unchecked" || mixed;
+			});
+			states[key] = root.checkedNodes[key] ? "checked" : (mixed ? "mixed" : "unchecked");
+			return states[key];
+		},
+
+		/**
+		 * Check or uncheck the node with its loaded descendants, ancestors are updated accordingly
+		 * @param  {Backbone.Model} model
+		 * @param  {Boolean} checked
+		 */
+		setChecked: function (model, checked) {
+			var root = this.root,
+				parent = model;
+
+			root.walk(model, function (node) {
+				if (checked) {
+					root.checkedNodes[root.getItemKey(node)] = node;
+				} else {
+					delete root.checkedNodes[root.getItemKey(node)];
+				}
+			});
+			while ((parent = root.getParentModel(parent))) {
+				if (root.getChildCollection(parent).every(function (child) {
+					return !!root.checkedNodes[root.getItemKey(child)];
+				})) {
+					root.checkedNodes[root.getItemKey(parent)] = parent;
+				} else {
+					delete root.checkedNodes[root.getItemKey(parent)];
+				}
+			}
+			root.updateCheckboxes();
+			root.trigger("check:change", root, root.getCheckedModels());
+		},
+
+		/**
+		 * Returns checked nodes
+		 * @return {Array}
+		 */
+		getCheckedModels: function () {
+			return _.values(this.root.checkedNodes);
+		},
+
+		/**
+		 * Uncheck all nodes
+		 */
+		clearChecked: function () {
+			this.root.checkedNodes = {};
+			this.root.updateCheckboxes();
+			this.root.trigger("check:change", this.root, []);
+		},
+
+		/**
+		 * Reflect check state in checkboxes of all displayed nodes
+		 * @protected
+		 */
+		updateCheckboxes: function () {
+			var root = this.root,
+				states = {};
+
+			if (!root.checkboxes) {
+				return;
+			}
+			root.collection.each(function (model) {
+				root.collectCheckStates(model, states);
+			});
+			_.each(root.nodeViews, function (view) {
+				view.updateCheckbox(states[root.getItemKey(view.model)]);
+			});
+		},
+
+		/**
+		 * Returns elements of displayed nodes in document order
+		 * @return {jQuery}
+		 * @protected
+		 */
+		getNodeElements: function () {
+			return this.root.$("li.tree-node");
+		},
+
+		/**
+		 * Returns model of the node's element
+		 * @param  {DOMNode} el
+		 * @return {Backbone.Model}
+		 * @protected
+		 */
+		getNodeModel: function (el) {
+			var view = this.root.nodeViews[el.getAttribute("data-node-cid")];
+			return view && view.el === el ? view.model : null;
+		},
+
+		/**
+		 * Move keyboard focus to the node
+		 * @param  {Backbone.Model} model
+		 */
+		focusNode: function (model) {
+			var root = this.root,
+				view = root.nodeViews[model.cid];
+
+			if (!view) {
+				return;
+			}
+			root.focusedNode = model;
+			root.updateTabStop();
+			view.el.focus();
+		},
+
+		/**
+		 * Only focused node (or the first one) is reachable with Tab key
+		 * @protected
+		 */
+		updateTabStop: function () {
+			var root = this.root,
+				view = root.focusedNode && root.nodeViews[root.focusedNode.cid],
+				$nodes = root.getNodeElements();
+
+			$nodes.attr("tabindex", "-1");
+			$(view ? view.el : $nodes.get(0)).attr("tabindex", "0");
+		},
+
+		/**
+		 * Keyboard navigation, see "Keyboard" section
+		 * @param  {jQuery.Event} e
+		 * @protected
+		 */
+		onKeyDown: function (e) {
+			var self = this,
+				$nodes,
+				index,
+				model,
+				view,
+				target;
+
+			if (self.root !== self || !$(e.target).is("li.tree-node")) {
+				return;
+			}
+			model = self.getNodeModel(e.target);
+			if (!model) {
+				return;
+			}
+			view = self.nodeViews[model.cid];
+			$nodes = self.getNodeElements();
+			index = $nodes.index(e.target);
+
+			switch (e.which) {
+			case keys.up:
+				target = index > 0 ? $nodes.get(index - 1) : null;
+				break;
+			case keys.down:
+				target = $nodes.get(index + 1);
+				break;
+			case keys.home:
+				target = $nodes.get(0);
+				break;
+			case keys.end:
+				target = $nodes.get($nodes.length - 1);
+				break;
+			case keys.right:
+				if (!self.hasChildren(model)) {
+					break;
+				}
+				if (view.isExpanded()) {
+					target = view.$el.children("ul").children("li.tree-node").get(0);
+				} else {
+					self.expandNode(model);
+				}
+				break;
+			case keys.left:
+				if (view.isExpanded()) {
+					self.collapseNode(model);
+				} else {
+					target = view.$el.parent().closest("li.tree-node").get(0);
+				}
+				break;
+			case keys.space:
+				if (self.checkboxes) {
+					self.setChecked(model, self.getCheckState(model) !== "checked");
+				}
+				break;
+			case keys.enter:
+				self.trigger("node:activate", self, model);
+				break;
+			default:
+				return;
+			}
+			e.preventDefault();
+			if (target) {
+				self.focusNode(self.getNodeModel(target));
+			}
+		},
+
+		destroy: function () {
+			if (this.root === this) {
+				_.each(this.childCollections, function (collection) {
+					collection.off(null, null, this);
+				}, this);
+			}
+			return CollectionView.prototype.destroy.apply(this, arguments);
+		}
+	});
+
+	return TreeView;
+});
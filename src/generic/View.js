@@ -26,6 +26,19 @@
 		$("body").append(view.el);
 	});
 *
+ * Templates are compiled by {@link Generic.templates}, Underscore's templates by default, and compiled templates
+ * are cached per view class. Instead of {@link #template} source view can refer to a named template
+ * with {@link #templateName}. Template's context is {@link #getTemplateContext} merged over
+ * global helpers and view's {@link #templateHelpers}.
+ *
+ * 		@example
+ * 		var ItemView = View.extend({
+ * 			templateName: "instance-item",
+ * 			templateHelpers: {
+ * 				formatMemory: function (value) { return (value / 1024).toFixed(1) + " GB"; }
+ * 			}
+ * 		});
+ *
  * DOM Element
  * -----------
  *
@@ -46,24 +59,243 @@
  * Model binding
  * -------------
  *
- * TBD
+ * Elements marked with `data-bind` attribute are bound to the model's attribute with the same name.
+ * Bound elements are populated on {@link #render} and updated on every model change.
+ * Form controls (input, select, textarea) are bound both ways: user's edits are written back
+ * to the model with `validate` option, so invalid values never reach the model.
+ *
+ * 		@example
+ * 		var EditView = View.extend({
+ * 			template: "<h1 data-bind='name'></h1><input data-bind='name'/><input type='checkbox' data-bind='monitored'/>"
+ * 		});
+ * 		var view = new EditView({
+ * 			model: new Model({name: "web-01", monitored: true})
+ * 		});
+ * 		view.render();
+ *
+ * Bindings are removed in {@link #destroy} or when other model is bound with {@link #bindModel}.
+ *
+ * `data-bind` accepts dotted path to read nested attributes, e.g. `data-bind="address.city"`.
+ *
+ * More complex bindings are declared with {@link #bindings} property. Each key is a selector,
+ * each value describes which model attributes are observed and what is updated:
+ *
+ * 		@example
+ * 		bindings: {
+ * 			".name": "name",
+ * 			"a.console": {observe: "consoleUrl", attribute: "href"},
+ * 			"button.stop": {observe: "status", attribute: "disabled", onGet: function (status) { return status !== "running"; }},
+ * 			".status": [
+ * 				{observe: "status", "class": "running", onGet: function (status) { return status === "running"; }},
+ * 				{observe: "status", visible: true}
+ * 			],
+ * 			".usage": {observe: ["used", "total"], html: true, onGet: "formatUsage"},
+ * 			":el": {observe: "location.region", attribute: "data-region"}
+ * 		}
+ *
+ * Declarative bindings are one-way: from model to DOM.
  *
  * Children views
  * --------------
  *
- * TBD
+ * Child views are registered with {@link #add}, they are destroyed together with the parent view.
+ * To place child views into the parent's DOM declare named {@link #regions} and use {@link #show}:
+ *
+ * 		@example
+ * 		var LayoutView = View.extend({
+ * 			template: "<div class='side'></div><div class='main'></div>",
+ * 			regions: {
+ * 				sidebar: ".side",
+ * 				main: ".main"
+ * 			}
+ * 		});
+ * 		var layout = new LayoutView();
+ * 		layout.render();
+ * 		layout.show("main", new DetailsView({model: model}));
+ *
+ * Region's views survive re-rendering of the parent view, they are re-attached after template is rendered.
+ *
+ * Lifecycle
+ * ---------
+ *
+ * * {@link #beforeRender}, {@link #afterRender} are called around every {@link #render}
+ * * {@link #onAttach} is called when view's element enters the document, {@link #onDetach} when it leaves it.
+ *   Both are propagated to children views, so widgets which need real dimensions can be initialized in {@link #onAttach}
+ * * {@link #open} renders the view (if needed) and mounts it into container, {@link #close} unmounts it without destroying
+ * * {@link #destroy} unmounts the view and releases all resources
+ *
+ * 		@example
+ * 		var ChartView = View.extend({
+ * 			onAttach: function () {
+ * 				this.chart = new Chart(this.el, {width: this.$el.width()});
+ * 			}
+ * 		});
+ * 		new ChartView().open(".dashboard");
+ *
+ * Server rendering
+ * ----------------
+ *
+ * With a DOM implementation (e.g. jsdom in Node) views can be rendered on the server with {@link #renderToString}.
+ * In the browser {@link #hydrate} attaches the view to the prerendered markup: DOM events, model bindings
+ * and regions' views are bound to existing elements, content is not rendered again.
+ * Regions' views should be shown before the parent view is hydrated, so they are hydrated too.
+ *
+ * 		@example
+ * 		// server
+ * 		html = new LayoutView({model: model}).renderToString();
+ * 		// browser
+ * 		var layout = new LayoutView({model: model});
+ * 		layout.show("main", new DetailsView({model: model}));
+ * 		layout.hydrate($("#layout"));
  * 
  */
 define([
 	"jquery",
 	"underscore",
-	"backbone"
+	"backbone",
+	"generic/templates"
 ], function (
 	$,
 	_,
-	Backbone
+	Backbone,
+	templates
 ) {
 
+	/**
+	 * Returns true if element is a form control editable by user
+	 * @private
+	 */
+	function isFormControl(el) {
+		return (/^(INPUT|SELECT|TEXTAREA)$/).test(el.tagName);
+	}
+
+	/**
+	 * Read value from bound element.
+	 * Returns undefined if element doesn't provide a value (e.g. unchecked radio button)
+	 * @private
+	 */
+	function readElementValue(el) {
+		var $el = $(el), value;
+		switch (el.type) {
+		case "checkbox":
+			return el.checked;
+		case "radio":
+			return el.checked ? $el.val() : undefined;
+		case "number":
+		case "range":
+			value = $el.val();
+			return value === "" ? null : Number(value);
+		}
+		return $el.val();
+	}
+
+	/**
+	 * Write value into bound element
+	 * @private
+	 */
+	function writeElementValue(el, value) {
+		var $el = $(el);
+		if (!isFormControl(el)) {
+			$el.text(value == null ? "" : value);
+			return;
+		}
+		switch (el.type) {
+		case "checkbox":
+			el.checked = !!value;
+			return;
+		case "radio":
+			el.checked = value != null && String(value) === el.value;
+			return;
+		}
+		if (_.isArray(value)) {
+			$el.val(value);
+		} else if ($el.val() !== (value == null ? "" : String(value))) {
+			// don't touch element's value if it's the same, to keep caret position while user is typing
+			$el.val(value == null ? "" : value);
+		}
+	}
+
+	/**
+	 * Copy state of form controls to their attributes, so it's kept in serialized html
+	 * @private
+	 */
+	function reflectFormState(el) {
+		$(el).find("input, select, textarea").each(function () {
+			if (this.tagName === "SELECT") {
+				$(this).find("option").each(function () {
+					$(this).attr("selected", this.selected ? "selected" : null);
+				});
+			} else if (this.tagName === "TEXTAREA") {
+				this.textContent = this.value;
+			} else if (this.type === "checkbox" || this.type === "radio") {
+				$(this).attr("checked", this.checked ? "checked" : null);
+			} else {
+				this.setAttribute("value", this.value);
+			}
+		});
+	}
+
+	/**
+	 * Get model's value by attribute name or dotted path to nested attributes, e.g. "location.region"
+	 * @private
+	 */
+	function getModelValue(model, path) {
+		var parts = path.split("."),
+			value = model.get(parts[0]),
+			i;
+		for (i = 1; i < parts.length; i++) {
+			if (value == null) {
+				return undefined;
+			}
+			value = value instanceof Backbone.Model ? value.get(parts[i]) : value[parts[i]];
+		}
+		return value;
+	}
+
+	/**
+	 * Set model's value by attribute name or dotted path.
+	 * Nested objects are cloned, so the model sees changed root attribute.
+	 * @private
+	 */
+	function setModelValue(model, path, value, options) {
+		var parts = path.split("."),
+			attrs,
+			obj,
+			i;
+		if (parts.length === 1) {
+			return model.set(path, value, options);
+		}
+		attrs = obj = _.clone(model.get(parts[0])) || {};
+		for (i = 1; i < parts.length - 1; i++) {
+			obj = obj[parts[i]] = _.clone(obj[parts[i]]) || {};
+		}
+		obj[parts[parts.length - 1]] = value;
+		return model.set(parts[0], attrs, options);
+	}
+
+	/**
+	 * Returns jQuery promise of the value. `$.when` treats native Promises and other thenables
+	 * as resolved values, so they are adapted with their `then`.
+	 * @private
+	 */
+	function when(value) {
+		var deferred;
+		if (value && _.isFunction(value.then) && !_.isFunction(value.promise)) {
+			deferred = $.Deferred();
+			value.then(deferred.resolve, deferred.reject);
+			return deferred.promise();
+		}
+		return $.when(value);
+	}
+
+	/**
+	 * Returns root attribute name of dotted path
+	 * @private
+	 */
+	function rootAttribute(path) {
+		return path.split(".")[0];
+	}
+
 	var View = Backbone.View.extend({
 
 		/**
@@ -84,6 +316,57 @@ define([
 		 * @param {Generic.View} instance of the view
 		 */
 
+		/**
+		 * @event before:render
+		 * Fired before the view is rendered
+		 * @param {Generic.View} view instance of the view
+		 */
+
+		/**
+		 * @event render
+		 * Fired when the view is rendered
+		 * @param {Generic.View} view instance of the view
+		 */
+
+		/**
+		 * @event hydrate
+		 * Fired when the view is attached to prerendered markup, see {@link #hydrate}
+		 * @param {Generic.View} view instance of the view
+		 */
+
+		/**
+		 * @event attach
+		 * Fired when view's element enters the document
+		 * @param {Generic.View} view instance of the view
+		 */
+
+		/**
+		 * @event detach
+		 * Fired when view's element leaves the document
+		 * @param {Generic.View} view instance of the view
+		 */
+
+		/**
+		 * @event open
+		 * Fired when the view is mounted with {@link #open}
+		 * @param {Generic.View} view instance of the view
+		 */
+
+		/**
+		 * @event close
+		 * Fired when the view is unmounted with {@link #close}
+		 * @param {Generic.View} view instance of the view
+		 */
+
+		/**
+		 * @event edit:invalid
+		 * Fired when value entered into bound form control didn't pass model validation
+		 * @param {Generic.View} view instance of the view
+		 * @param {Backbone.Model} model
+		 * @param {String} property model's attribute name
+		 * @param {Object} error model's validation error
+		 */
+
 		/**
 		 * Children views
 		 * @type {Array}
@@ -91,6 +374,56 @@ define([
 		 */
 		children: undefined,
 
+		/**
+		 * Declarative model bindings, map of selector to binding description (or array of descriptions).
+		 * Binding description is an attribute path or an object with properties:
+		 *
+		 * * `observe` - attribute name or path, or array of them for derived values
+		 * * `onGet` - formatter function or view's method name, receives observed values as arguments
+		 * * `attribute` - name of element's attribute to set, boolean values add/remove attribute
+		 * * `class` - CSS class name toggled by truthy value
+		 * * `visible` - show/hide element depending on value
+		 * * `html` - set value as element's html
+		 *
+		 * Without `attribute`, `class`, `visible` or `html` value is set as element's text or form control's value.
+		 * Selector `:el` refers to the view's element.
+		 * @cfg {Object}
+		 */
+		bindings: undefined,
+
+		/**
+		 * Template's source, or compiled template function(context) which returns html
+		 * @cfg {String/Function}
+		 */
+		template: undefined,
+
+		/**
+		 * Name of the template registered in {@link Generic.templates}, or id of `<script type="text/template">` element.
+		 * Used when {@link #template} is not set
+		 * @cfg {String}
+		 */
+		templateName: undefined,
+
+		/**
+		 * Functions and values available in view's template, or function which returns them
+		 * @cfg {Object/Function}
+		 */
+		templateHelpers: undefined,
+
+		/**
+		 * Named regions, map of region name to selector of the element inside the view.
+		 * See {@link #show}
+		 * @cfg {Object}
+		 */
+		regions: undefined,
+
+		/**
+		 * Views displayed in regions, map of region name to view
+		 * @type {Object}
+		 * @protected
+		 */
+		regionViews: undefined,
+
 		/**
 		 * Indicate if view is rendered
 		 * @type {Boolean}
@@ -98,6 +431,13 @@ define([
 		 */
 		rendered: false,
 
+		/**
+		 * Indicate if view's element is in the document
+		 * @type {Boolean}
+		 * @readonly
+		 */
+		attached: false,
+
 		// experimental support for fragment rendering
 		_ensureElement: function () {
 			if (this.el === "fragment" || this.tagName == null) {
@@ -115,44 +455,301 @@ define([
 		initialize: function (options) {
 			var self = this;
 			Backbone.View.prototype.initialize.apply(self, arguments);
+			if (options && options.bindings) {
+				self.bindings = options.bindings;
+			}
+			if (options && options.regions) {
+				self.regions = options.regions;
+			}
+			_.extend(self, _.pick(options || {}, "template", "templateName", "templateHelpers"));
 			if (self.model) {
 				self.bindModel(self.model);
 			}
 		},
 
 		/**
-		 * Bind model to the View
-		 * @param {Generic.View} model
+		 * Bind model to the View.
+		 * Subscribes to model's events and listens to user's input in bound form controls.
+		 * If the view is already rendered, bound elements are populated with model's values.
+		 * @param {Backbone.Model} model
 		 */
 		bindModel: function (model) {
-			this.model = model;
-			model.on("destroy", this.destroy, this);
-			model.on("change", this.onModelChange, this);
+			var self = this;
+			if (self.model) {
+				self.unbindModel();
+			}
+			self.model = model;
+			model.on("destroy", self.destroy, self);
+			model.on("change", self.onModelChange, self);
+			self.delegateBindings();
+			if (self.rendered) {
+				self.renderBindings();
+			}
 		},
 
-		onModelChange: function (model) {
+		/**
+		 * Listen to user's input in bound form controls
+		 * @protected
+		 */
+		delegateBindings: function () {
+			this.$el.off(".bindings").on("input.bindings change.bindings", "[data-bind]", _.bind(this.onBoundElementChange, this));
+		},
+
+		/**
+		 * Unsubscribe from model's events and remove listeners from bound form controls
+		 */
+		unbindModel: function () {
+			if (this.model) {
+				this.model.off(null, null, this);
+			}
+			this.$el.off(".bindings");
+		},
+
+		/**
+		 * Same as {@link #$}, but skips elements which belong to children views
+		 * @param  {String} selector
+		 * @return {jQuery}
+		 */
+		$own: function (selector) {
+			var self = this;
+			return self.$(selector).filter(function () {
+				return self.ownsElement(this);
+			});
+		},
+
+		/**
+		 * Check that DOM element is not a part of a child view
+		 * @param  {DOMNode} el
+		 * @return {Boolean}
+		 */
+		ownsElement: function (el) {
+			return !_.some(this.children, function (view) {
+				return view.el === el || $.contains(view.el, el);
+			});
+		},
+
+		/**
+		 * Populate all bound elements with model's values
+		 * @protected
+		 */
+		renderBindings: function () {
+			this.updateBindings();
+		},
+
+		/**
+		 * Update bound elements which depend on given attributes
+		 * @param  {Array} attributes {optional} changed attribute names, if omitted all bindings are updated
+		 * @protected
+		 */
+		updateBindings: function (attributes) {
 			var self = this;
+			if (!self.model) {
+				return;
+			}
+			self.$own("[data-bind]").each(function () {
+				var path = $(this).attr("data-bind");
+				if (!attributes || _.contains(attributes, rootAttribute(path))) {
+					writeElementValue(this, getModelValue(self.model, path));
+				}
+			});
+			_.each(self.getBindings(), function (binding) {
+				if (!attributes || _.intersection(binding.dependencies, attributes).length > 0) {
+					self.applyBinding(binding);
+				}
+			});
+		},
+
+		/**
+		 * Returns normalized {@link #bindings} declarations
+		 * @protected
+		 * @return {Array}
+		 */
+		getBindings: function () {
+			var self = this;
+			if (self._bindings && self._bindings.source === self.bindings) {
+				return self._bindings.list;
+			}
+			var list = [];
+			_.each(self.bindings, function (specs, selector) {
+				_.each(_.isArray(specs) ? specs : [specs], function (spec) {
+					var binding = _.extend({}, _.isString(spec) ? {observe: spec} : spec, {
+						selector: selector
+					});
+					binding.observe = _.isArray(binding.observe) ? binding.observe : [binding.observe];
+					binding.dependencies = _.uniq(_.map(binding.observe, rootAttribute));
+					list.push(binding);
+				});
+			});
+			self._bindings = {
+				source: self.bindings,
+				list: list
+			};
+			return list;
+		},
+
+		/**
+		 * Update elements of declarative binding with current model's values
+		 * @param  {Object} binding normalized binding
+		 * @protected
+		 */
+		applyBinding: function (binding) {
+			var self = this,
+				$els = binding.selector === ":el" ? self.$el : self.$own(binding.selector),
+				onGet = _.isString(binding.onGet) ? self[binding.onGet] : binding.onGet,
+				values = _.map(binding.observe, function (path) {
+					return getModelValue(self.model, path);
+				}),
+				value = onGet ? onGet.apply(self, values) : (values.length > 1 ? values : values[0]);
+
+			if (binding.attribute) {
+				if (value === false || value == null) {
+					$els.removeAttr(binding.attribute);
+				} else {
+					$els.attr(binding.attribute, value === true ? binding.attribute : value);
+				}
+			} else if (binding["class"]) {
+				$els.toggleClass(binding["class"], !!value);
+			} else if (binding.visible) {
+				$els.toggle(!!value);
+			} else if (binding.html) {
+				$els.html(value == null ? "" : value);
+			} else {
+				$els.each(function () {
+					writeElementValue(this, value);
+				});
+			}
+		},
+
+		onModelChange: function (model) {
 			if (!model) {
 				return console.error("Model should be passed as an argument with change event");
 			}
-			_(model.changed).each(function (value, property) {
-				self.$("[data-bind=" + property +"]").text(value);
+			this.updateBindings(_.keys(model.changed));
+		},
+
+		/**
+		 * Called when user changes value of bound form control.
+		 * Sets new value to the model, if the value is invalid model is not changed and {@link #event-edit_invalid} is fired.
+		 * @param  {jQuery.Event} e
+		 * @protected
+		 */
+		onBoundElementChange: function (e) {
+			var self = this,
+				el = e.currentTarget,
+				property = $(el).attr("data-bind"),
+				value = readElementValue(el),
+				valid;
+
+			if (!self.model || value === undefined || !self.ownsElement(el)) {
+				return;
+			}
+			valid = setModelValue(self.model, property, value, {validate: true}) !== false;
+			$(el).toggleClass("invalid", !valid);
+			if (!valid) {
+				self.trigger("edit:invalid", self, self.model, property, self.model.validationError);
+			}
+		},
+
+		/**
+		 * Render the view if it's not rendered yet and append it to the container
+		 * @param  {String/DOMNode/jQuery} container
+		 * @return this
+		 */
+		open: function (container) {
+			if (!this.rendered) {
+				this.render();
+			}
+			$(container).append(this.el);
+			this.checkAttached();
+			this.trigger("open", this);
+			return this;
+		},
+
+		/**
+		 * Remove view's element from the DOM without destroying the view.
+		 * View can be mounted again with {@link #open}
+		 * @return this
+		 */
+		close: function () {
+			this.$el.detach();
+			this.checkAttached();
+			this.trigger("close", this);
+			return this;
+		},
+
+		/**
+		 * Check if view's element is in the document
+		 * @return {Boolean}
+		 */
+		isInDocument: function () {
+			return $.contains(document.documentElement, this.el);
+		},
+
+		/**
+		 * Synchronize {@link #attached} flag with the DOM and call {@link #onAttach}/{@link #onDetach} if it changed.
+		 * Children views are checked as well.
+		 * Should be called after view's element (or one of its ancestors) is inserted or removed from the DOM.
+		 */
+		checkAttached: function () {
+			var inDocument = this.isInDocument(),
+				changed = inDocument !== this.attached;
+
+			this.attached = inDocument;
+			if (changed && inDocument) {
+				this.onAttach();
+				this.trigger("attach", this);
+			}
+			_(this.children).each(function (view) {
+				if (view.checkAttached) {
+					view.checkAttached();
+				}
 			});
+			if (changed && !inDocument) {
+				this.onDetach();
+				this.trigger("detach", this);
+			}
 		},
 
-		// TODO: open/close ? 
+		/**
+		 * Called when view's element enters the document, override to initialize DOM dependent widgets
+		 * @protected
+		 */
+		onAttach: function () {},
 
 		/**
-		 * Rename Backbone.View method "remove" to destroy
+		 * Called when view's element leaves the document
+		 * @protected
+		 */
+		onDetach: function () {},
+
+		/**
+		 * Called before view's template is rendered
+		 * @protected
+		 */
+		beforeRender: function () {},
+
+		/**
+		 * Called after the view is rendered
+		 * @protected
+		 */
+		afterRender: function () {},
+
+		/**
+		 * Rename Backbone.View method "remove" to destroy, repeated calls are ignored
 		 * @param  {Generic.View} view subview
 		 */
 		destroy: function () {
+			// view can be destroyed by its model and by its parent
+			if (this.destroyed) {
+				return;
+			}
 			Backbone.View.prototype.remove.apply(this, arguments);
+			this.checkAttached();
 			this.destroyed = true;
 			if (this.model) {
 				this.model.off("close", this);
-				this.model.off(null, null, this);
 			}
+			this.unbindModel();
 			if (this.collection) {
 				this.collection.off("close", this);
 				this.collection.off(null, null, this);
@@ -168,7 +765,7 @@ define([
 		/**
 		 * Add new subview to the view. 
 		 * It's only used to store all children views in one place and susbscribe to thier events. 
-		 * It doesn't render or place child view into DOM. It should be done manually.
+		 * It doesn't render or place child view into DOM, use {@link #show} to display child view in a region.
 		 *
 		 * @param {String} {optional} child view identificator
 		 * @param {Generic.View} view
@@ -180,10 +777,12 @@ define([
 			}
 			if (!this.children) {
 				this.children = []; // Initialize empty array for children view
+			}
+			if (!this.childrenMap) {
 				this.childrenMap = {}; // children map used to find view's by id or cid
 			}
 			this.children.push(childView);
-			this.childrenMap[childId] = this.children.length - 1;
+			this.childrenMap[childId] = childView;
 			childView.on("destroy", this.onChildViewDestroyed, this);
 			this.trigger("add", childView);
 			return childView;
@@ -198,8 +797,7 @@ define([
 			if (!this.childrenMap) {
 				return undefined;
 			}
-			var idx = this.childrenMap[childId];
-			return this.children[idx];
+			return this.childrenMap[childId];
 		},
 
 		/**
@@ -208,9 +806,8 @@ define([
 		 * @return {Generic.View}
 		 */
 		remove: function (childView) {
-			this.children = _(this.children).reject(function (view) {
-				return view.cid === childView.cid;
-			});
+			childView.off("destroy", this.onChildViewDestroyed, this);
+			this.releaseChild(childView);
 			this.trigger("remove", childView);
 		},
 
@@ -220,10 +817,116 @@ define([
 		 * @protected
 		 */
 		onChildViewDestroyed: function (childView) {
+			this.releaseChild(childView);
+		},
+
+		/**
+		 * Remove all references to the child view
+		 * @param  {Generic.View} childView
+		 * @protected
+		 */
+		releaseChild: function (childView) {
 			var self = this;
 			self.children = _(self.children).reject(function (view) {
 				return view.cid === childView.cid;
 			});
+			_.each([self.childrenMap, self.regionViews], function (map) {
+				_.each(_.keys(map || {}), function (key) {
+					if (map[key] === childView) {
+						delete map[key];
+					}
+				});
+			});
+		},
+
+		/**
+		 * Return region's element
+		 * @param  {String} regionName
+		 * @return {jQuery}
+		 */
+		getRegion: function (regionName) {
+			if (!this.regions || !this.regions[regionName]) {
+				return $();
+			}
+			return this.$own(this.regions[regionName]).first();
+		},
+
+		/**
+		 * Return view displayed in the region
+		 * @param  {String} regionName
+		 * @return {Generic.View}
+		 */
+		getRegionView: function (regionName) {
+			return this.regionViews ? this.regionViews[regionName] : undefined;
+		},
+
+		/**
+		 * Display child view in the region.
+		 * Child view is added to the children, rendered and placed into region's element.
+		 * View previously displayed in the region is destroyed.
+		 * If the view is not rendered yet, child view will be placed on {@link #render}.
+		 *
+		 * @param  {String} regionName
+		 * @param  {Generic.View} childView
+		 * @return {Generic.View} child view
+		 */
+		show: function (regionName, childView) {
+			var self = this,
+				current;
+
+			if (!self.regions || !self.regions[regionName]) {
+				return console.error("Region \"" + regionName + "\" is not defined");
+			}
+			self.regionViews = self.regionViews || {};
+			current = self.regionViews[regionName];
+			if (current === childView) {
+				return childView;
+			}
+			if (current) {
+				current.destroy();
+			}
+			self.add(childView);
+			self.regionViews[regionName] = childView;
+			childView.render();
+			self.attachRegion(regionName);
+			childView.checkAttached();
+			return childView;
+		},
+
+		/**
+		 * Destroy view displayed in the region
+		 * @param  {String} regionName
+		 */
+		clearRegion: function (regionName) {
+			var view = this.getRegionView(regionName);
+			if (view) {
+				view.destroy();
+			}
+		},
+
+		/**
+		 * Place region's view into region's element, if it's not there yet
+		 * @param  {String} regionName
+		 * @protected
+		 */
+		attachRegion: function (regionName) {
+			var view = this.getRegionView(regionName),
+				$region = this.getRegion(regionName);
+
+			if (view && $region.length && view.el.parentNode !== $region.get(0)) {
+				$region.empty().append(view.el);
+			}
+		},
+
+		/**
+		 * Place all regions' views into regions' elements
+		 * @protected
+		 */
+		attachRegions: function () {
+			var self = this;
+			_.each(_.keys(self.regionViews || {}), function (regionName) {
+				self.attachRegion(regionName);
+			});
 		},
 
 		/**
@@ -237,18 +940,173 @@ define([
 			return this.model ? this.model.toJSON() : {};
 		},
 
+		/**
+		 * Returns view's compiled template, compiled templates are cached per view class
+		 * @return {Function} compiled template, or null if view has no template
+		 * @protected
+		 */
+		getTemplate: function () {
+			var Class = this.constructor,
+				key = this.template ? this.template : this.templateName && "#" + this.templateName,
+				cache;
+
+			if (!key) {
+				return null;
+			}
+			if (_.isFunction(key)) {
+				return key;
+			}
+			if (!_.has(Class, "templateCache") || Class.templateCache.revision !== templates.revision) {
+				Class.templateCache = {
+					revision: templates.revision,
+					templates: {}
+				};
+			}
+			cache = Class.templateCache.templates;
+			if (!_.has(cache, key)) {
+				cache[key] = this.template ? templates.compile(this.template) : templates.get(this.templateName);
+			}
+			return cache[key];
+		},
+
+		/**
+		 * Render view's template to html
+		 * @param  {Object} context {optional} template's context, {@link #getTemplateContext} by default
+		 * @return {String} html
+		 */
+		renderTemplate: function (context) {
+			return templates.render(
+				this.getTemplate(),
+				context || this.getTemplateContext(),
+				_.result(this, "templateHelpers")
+			);
+		},
+
 		/**
 		 * Override Backbone.View method to provide rendered property
 		 * @return this
 		 */
 		render: function () {
+			this.beforeRender();
+			this.trigger("before:render", this);
 			Backbone.View.prototype.render.apply(this, arguments);
 			this.rendered = true;
-			if (this.template) {
-				this.$el.html(_.template(this.template, this.getTemplateContext()));
-			}
+			this.renderContent();
+			this.afterRender();
+			this.trigger("render", this);
+			this.checkAttached();
 			return this;
+		},
+
+		/**
+		 * Render view's content: template, bindings and regions.
+		 * Subclasses override this method instead of {@link #render} to keep lifecycle hooks in order.
+		 * @protected
+		 */
+		renderContent: function () {
+			if (this.template || this.templateName) {
+				// keep regions' views with their events and data, they are re-attached after rendering
+				_.each(this.regionViews, function (view) {
+					view.$el.detach();
+				});
+				this.$el.html(this.renderTemplate());
+			}
+			this.renderBindings();
+			this.attachRegions();
+		},
+
+		/**
+		 * Render the view and return its html, used to prerender views on the server.
+		 * Values of form controls are copied to their attributes, so they are kept in html.
+		 * @return {String} html
+		 */
+		renderToString: function () {
+			var container = document.createElement("div");
+			this.render();
+			// copy, so the view keeps its element and state
+			container.appendChild(this.el.cloneNode(true));
+			reflectFormState(container);
+			return container.innerHTML;
+		},
+
+		/**
+		 * Attach the view to prerendered markup instead of rendering it, see {@link #renderToString}.
+		 * The element becomes view's element, DOM events, model bindings and children views are bound
+		 * to existing elements. After hydration the view is {@link #rendered} and updates the DOM as usual.
+		 * @param  {String/DOMNode/jQuery} el prerendered element of the view
+		 * @return this
+		 */
+		hydrate: function (el) {
+			var self = this;
+			self.$el.off(".bindings");
+			self.setElement(el);
+			if (self.model) {
+				self.delegateBindings();
+			}
+			self.rendered = true;
+			self.hydrateContent();
+			self.trigger("hydrate", self);
+			self.checkAttached();
+			return self;
+		},
+
+		/**
+		 * Bind view's content to prerendered elements, counterpart of {@link #renderContent}.
+		 * Subclasses which create children views in {@link #renderContent} override this method to bind them.
+		 * @protected
+		 */
+		hydrateContent: function () {
+			this.hydrateRegions();
+		},
+
+		/**
+		 * Hydrate views of regions with elements found in regions, views of empty regions are rendered
+		 * @protected
+		 */
+		hydrateRegions: function () {
+			var self = this;
+			_.each(self.regionViews, function (view, regionName) {
+				var el = self.getRegion(regionName).children().get(0);
+				if (el) {
+					view.hydrate(el);
+				} else {
+					if (!view.rendered) {
+						view.render();
+					}
+					self.attachRegion(regionName);
+				}
+			});
 		}
+	}, {
+		/**
+		 * Get model's value by attribute name or dotted path to nested attributes, e.g. "location.region"
+		 * @static
+		 * @param  {Backbone.Model} model
+		 * @param  {String} path
+		 * @return {Mixed}
+		 */
+		getModelValue: getModelValue,
+
+		/**
+		 * Set model's value by attribute name or dotted path, nested objects are copied
+		 * so "change" event is fired for the root attribute
+		 * @static
+		 * @param  {Backbone.Model} model
+		 * @param  {String} path
+		 * @param  {Mixed} value
+		 * @param  {Object} options {optional} options of model's set
+		 * @return {Backbone.Model/Boolean} false if validation failed
+		 */
+		setModelValue: setModelValue,
+
+		/**
+		 * Returns jQuery promise which is resolved or rejected with the value: jQuery promise, native Promise
+		 * or other thenable. Other values resolve the promise immediately
+		 * @static
+		 * @param  {Mixed} value
+		 * @return {Promise}
+		 */
+		when: when
 	});
 
 	return View;
@@ -0,0 +1,104 @@
+/**
+ * @class Generic.aggregates
+ * @singleton
+ *
+ * Reducers which compute summary values of columns, used by {@link Generic.TableView} in group headers
+ * (columns' `groupAggregate`) and in the footer aggregate row (columns' `aggregate`).
+ *
+ * Aggregate can be described as:
+ *
+ * * name of built-in reducer: "sum", "avg", "min", "max" or "count"
+ * * function(values, models) which returns aggregated value
+ * * object with `reducer` (name or function) and optional `formatter` function(value, models)
+ *
+ * Empty and not numeric values are ignored by "sum", "avg", "min" and "max", "count" counts all models.
+ *
+ * 		@example
+ * 		aggregates.compute("sum", [1, 2, null, "3"]); // 6
+ * 		aggregates.compute({reducer: "avg", formatter: function (value) { return value.toFixed(1) + "%"; }}, values);
+ */
+define([
+	"underscore"
+], function (
+	_
+) {
+	/**
+	 * Returns numeric values, skipping empty ones
+	 * @private
+	 */
+	function numbers(values) {
+		return _.filter(_.map(_.reject(values, function (value) {
+			return value == null || value === "";
+		}), Number), function (value) {
+			return !_.isNaN(value);
+		});
+	}
+
+	var aggregates = {
+		/**
+		 * Built-in reducers, function(values) which returns aggregated value.
+		 * Application can register its own reducers here.
+		 * @property {Object}
+		 */
+		reducers: {
+			count: function (values) {
+				return values.length;
+			},
+
+			sum: function (values) {
+				return _.reduce(numbers(values), function (sum, value) {
+					return sum + value;
+				}, 0);
+			},
+
+			avg: function (values) {
+				values = numbers(values);
+				return values.length ? aggregates.reducers.sum(values) / values.length : null;
+			},
+
+			min: function (values) {
+				values = numbers(values);
+				return values.length ? _.min(values) : null;
+			},
+
+			max: function (values) {
+				values = numbers(values);
+				return values.length ? _.max(values) : null;
+			}
+		},
+
+		/**
+		 * Normalize aggregate's description
+		 * @param  {String/Function/Object} aggregate
+		 * @return {Object} object with `name`, `reducer` function and `formatter` function or null
+		 */
+		normalize: function (aggregate) {
+			var options = _.isObject(aggregate) && !_.isFunction(aggregate) ? aggregate : {reducer: aggregate},
+				reducer = options.reducer;
+
+			return {
+				name: _.isString(reducer) ? reducer : null,
+				reducer: _.isFunction(reducer) ? reducer : aggregates.reducers[reducer],
+				formatter: options.formatter || null
+			};
+		},
+
+		/**
+		 * Compute aggregated value
+		 * @param  {String/Function/Object} aggregate
+		 * @param  {Array} values values of the column
+		 * @param  {Array} models {optional} models which values belong to
+		 * @return {Mixed} aggregated value, or undefined if reducer is unknown
+		 */
+		compute: function (aggregate, values, models) {
+			var reducer = aggregates.normalize(aggregate).reducer;
+			if (!reducer) {
+				console.error("Unknown aggregate", aggregate);
+				return undefined;
+			}
+			return reducer(values, models || []);
+		}
+	};
+
+	return aggregates;
+});
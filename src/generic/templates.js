@@ -0,0 +1,166 @@
+/**
+ * @class Generic.templates
+ * @singleton
+ *
+ * Compiles and caches templates of {@link Generic.View}.
+ *
+ * Templates are compiled by {@link #compiler}, which is Underscore's `_.template` by default.
+ * Other engines can be plugged with {@link #setCompiler}, compiler receives template's source
+ * and returns function(context) which returns html:
+ *
+ * 		@example
+ * 		templates.setCompiler(function (source) {
+ * 			return Handlebars.compile(source);
+ * 		});
+ *
+ * Compiled templates are cached by their source, so a template is compiled once for all views which use it.
+ * Views also keep compiled templates per view class, see {@link Generic.View#getTemplate}.
+ *
+ * Named templates are registered with {@link #register}, or are read from `<script type="text/template">` element
+ * with the same id:
+ *
+ * 		@example
+ * 		<script type="text/template" id="instance-item">
+ * 			<span class="name"><%- name %></span> <%= partial("instance-status", {status: status}) %>
+ * 		</script>
+ *
+ * 		templates.register("instance-status", "<span class='status status-<%- status %>'><%- status %></span>");
+ * 		var ItemView = View.extend({
+ * 			templateName: "instance-item"
+ * 		});
+ *
+ * {@link #helpers} are available in every template, `partial(name, context)` helper renders named template.
+ */
+define([
+	"jquery",
+	"underscore"
+], function (
+	$,
+	_
+) {
+	/**
+	 * Compiled templates by source
+	 * @private
+	 */
+	var cache = {};
+
+	var templates = {
+		/**
+		 * Compiler function(source) which returns function(context)
+		 * @property {Function}
+		 * @readonly
+		 */
+		compiler: function (source) {
+			return _.template(source);
+		},
+
+		/**
+		 * Functions and values available in every template
+		 * @property {Object}
+		 */
+		helpers: {
+			/**
+			 * Render named template
+			 * @param  {String} name
+			 * @param  {Object} context {optional}
+			 * @return {String} html
+			 */
+			partial: function (name, context) {
+				return templates.render(templates.get(name), context);
+			}
+		},
+
+		/**
+		 * Registered templates' sources by name
+		 * @property {Object}
+		 * @private
+		 */
+		registry: {},
+
+		/**
+		 * Incremented when compiler is replaced or template is registered, so caches of compiled templates
+		 * outside this module know they're stale
+		 * @property {Number}
+		 * @readonly
+		 */
+		revision: 0,
+
+		/**
+		 * Replace template compiler, cached templates are compiled again when they are used
+		 * @param {Function} compiler function(source) which returns function(context)
+		 */
+		setCompiler: function (compiler) {
+			templates.compiler = compiler;
+			templates.revision++;
+			cache = {};
+		},
+
+		/**
+		 * Register named template
+		 * @param  {String} name
+		 * @param  {String/Function} template source or compiled template
+		 */
+		register: function (name, template) {
+			templates.registry[name] = template;
+			templates.revision++;
+		},
+
+		/**
+		 * Add helpers available in every template
+		 * @param  {Object} helpers map of names to functions or values
+		 */
+		registerHelpers: function (helpers) {
+			_.extend(templates.helpers, helpers);
+		},
+
+		/**
+		 * Returns compiled template by source, compiled templates are cached
+		 * @param  {String/Function} source template's source, or already compiled template
+		 * @return {Function}
+		 */
+		compile: function (source) {
+			if (_.isFunction(source)) {
+				return source;
+			}
+			if (!_.has(cache, source)) {
+				cache[source] = templates.compiler(source);
+			}
+			return cache[source];
+		},
+
+		/**
+		 * Returns compiled named template from the registry or from `<script type="text/template">` element
+		 * @param  {String} name
+		 * @return {Function} compiled template, or undefined if there is no such template
+		 */
+		get: function (name) {
+			var source = templates.registry[name],
+				$script;
+
+			if (source === undefined) {
+				$script = $("script[type='text/template']").filter(function () {
+					return this.id === name;
+				});
+				if (!$script.length) {
+					console.error("Template is not found", name);
+					return undefined;
+				}
+				source = templates.registry[name] = $script.html();
+			}
+			return templates.compile(source);
+		},
+
+		/**
+		 * Render compiled template with helpers, context's properties override helpers
+		 * @param  {Function} template compiled template
+		 * @param  {Object} context {optional}
+		 * @param  {Object} helpers {optional} additional helpers
+		 * @return {String} html
+		 */
+		render: function (template, context, helpers) {
+			return template ? template(_.extend({}, templates.helpers, helpers, context)) : "";
+		}
+	};
+
+	return templates;
+});
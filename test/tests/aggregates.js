@@ -0,0 +1,115 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/aggregates",
+	"generic/TableView"
+], function (
+	$,
+	_,
+	Backbone,
+	aggregates,
+	TableView
+) {
+	var assert = chai.assert;
+
+	suite("generic.aggregates", function () {
+		test("built-in reducers ignore empty and not numeric values", function () {
+			var values = [1, 2, null, "3", "", "n/a"];
+
+			assert.equal(aggregates.compute("sum", values), 6);
+			assert.equal(aggregates.compute("avg", values), 2);
+			assert.equal(aggregates.compute("min", values), 1);
+			assert.equal(aggregates.compute("max", values), 3);
+			// one value per model, empty values are counted too
+			assert.equal(aggregates.compute("count", values), 6);
+		});
+
+		test("custom reducer receives values and models", function () {
+			var models = [{id: 1}, {id: 2}];
+
+			assert.deepEqual(aggregates.compute(function (values, models) {
+				return [values.length, models.length];
+			}, [5, 6], models), [2, 2]);
+			assert.equal(aggregates.compute({reducer: "max"}, [5, 6]), 6);
+		});
+	});
+
+	suite("generic.TableView footer aggregates", function () {
+		var instances,
+			table;
+
+		function footerCells() {
+			return table.$el.children("tfoot").find("tr.aggregate-row td").map(function () {
+				return $(this).text();
+			}).get();
+		}
+
+		setup(function () {
+			instances = new Backbone.Collection([
+				{id: 1, name: "web-01", zone: "us", cpu: 2, memory: 1024},
+				{id: 2, name: "web-02", zone: "eu", cpu: 4, memory: 4096},
+				{id: 3, name: "db-01", zone: "us", cpu: 8, memory: 2048}
+			]);
+			table = new TableView({
+				collection: instances,
+				columns: [
+					{title: "Name", key: "name", aggregate: "count"},
+					{title: "Zone", key: "zone"},
+					{title: "CPU", key: "cpu", aggregate: "sum"},
+					{title: "Memory", key: "memory", aggregate: {reducer: "max", formatter: function (value) {
+						return value / 1024 + " GB";
+					}}}
+				]
+			}).render();
+		});
+
+		teardown(function () {
+			table.destroy();
+		});
+
+		test("footer displays aggregates of filtered rows", function () {
+			assert.deepEqual(footerCells(), ["3", "", "14", "4 GB"]);
+			assert.equal(table.getAggregate("cpu"), 14);
+			assert.equal(table.getAggregate("memory", true), "4 GB");
+			assert.isUndefined(table.getAggregate("zone"));
+
+			table.addFilter("zone", {zone: "us"});
+			assert.deepEqual(footerCells(), ["2", "", "10", "2 GB"]);
+		});
+
+		test("footer is updated live when models are changed, added and removed", function (done) {
+			instances.get(1).set("cpu", 6);
+			instances.add({id: 4, name: "cache-01", zone: "eu", cpu: 1, memory: 8192});
+			instances.remove(instances.get(2));
+			_.defer(function () {
+				assert.deepEqual(footerCells(), ["3", "", "15", "8 GB"]);
+
+				// changed model leaves the filter
+				table.addFilter("zone", {zone: "us"});
+				instances.get(3).set("zone", "eu");
+				_.defer(function () {
+					assert.deepEqual(footerCells(), ["1", "", "6", "1 GB"]);
+					done();
+				});
+			});
+		});
+
+		test("page scope aggregates displayed rows only", function () {
+			table.destroy();
+			table = new TableView({
+				collection: instances,
+				columns: [
+					{title: "Name", key: "name"},
+					{title: "CPU", key: "cpu", aggregate: "sum"}
+				],
+				pageSize: 2,
+				aggregateScope: "page"
+			}).render();
+
+			assert.equal(table.getAggregate("cpu"), 6);
+			table.goToPage(2);
+			assert.equal(table.getAggregate("cpu"), 8);
+		});
+	});
+});
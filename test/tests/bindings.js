@@ -0,0 +1,129 @@
+define([
+	"jquery",
+	"backbone",
+	"generic/View"
+], function (
+	$,
+	Backbone,
+	View
+) {
+	var assert = chai.assert;
+
+	suite("generic.View bindings", function () {
+		test("data-bind populates elements and writes user's input back", function () {
+			var model = new Backbone.Model({name: "web-01", monitored: true}),
+				view = new (View.extend({
+					template: "<h1 data-bind='name'></h1><input class='name' data-bind='name'/><input type='checkbox' data-bind='monitored'/>"
+				}))({model: model});
+
+			view.render();
+			assert.equal(view.$("h1").text(), "web-01");
+			assert.equal(view.$("input.name").val(), "web-01");
+			assert.isTrue(view.$("input[type=checkbox]").prop("checked"));
+
+			view.$("input.name").val("web-02").trigger("input");
+			assert.equal(model.get("name"), "web-02");
+			assert.equal(view.$("h1").text(), "web-02");
+			view.$("input[type=checkbox]").prop("checked", false).trigger("change");
+			assert.isFalse(model.get("monitored"));
+			view.destroy();
+		});
+
+		test("invalid input doesn't reach the model", function () {
+			var model = new (Backbone.Model.extend({
+					validate: function (attrs) {
+						return attrs.size < 0 ? "Size must be positive" : undefined;
+					}
+				}))({size: 1}),
+				view = new (View.extend({
+					template: "<input type='number' data-bind='size'/>"
+				}))({model: model}),
+				errors = [];
+
+			view.on("edit:invalid", function (view, model, property, error) {
+				errors.push([property, error]);
+			});
+			view.render();
+			view.$("input").val("-1").trigger("change");
+			assert.equal(model.get("size"), 1);
+			assert.isTrue(view.$("input").hasClass("invalid"));
+			assert.deepEqual(errors, [["size", "Size must be positive"]]);
+
+			view.$("input").val("2").trigger("change");
+			assert.equal(model.get("size"), 2);
+			assert.isFalse(view.$("input").hasClass("invalid"));
+			view.destroy();
+		});
+
+		test("data-bind reads and writes nested paths", function () {
+			var model = new Backbone.Model({location: {region: "us-east-1", zone: "a"}}),
+				view = new (View.extend({
+					template: "<input data-bind='location.region'/>"
+				}))({model: model});
+
+			view.render();
+			assert.equal(view.$("input").val(), "us-east-1");
+			view.$("input").val("eu-west-1").trigger("change");
+			assert.deepEqual(model.get("location"), {region: "eu-west-1", zone: "a"});
+			view.destroy();
+		});
+	});
+
+	suite("generic.View bindings hash", function () {
+		test("bindings hash supports nested paths and derived values", function () {
+			var model = new Backbone.Model({location: {region: "us-east-1"}, cpu: 2, memory: 4}),
+				view = new (View.extend({
+					template: "<span class='region'></span><span class='size'></span>",
+					bindings: {
+						".region": "location.region",
+						".size": {
+							observe: ["cpu", "memory"],
+							onGet: function (cpu, memory) {
+								return cpu + "/" + memory;
+							}
+						}
+					}
+				}))({model: model});
+
+			view.render();
+			assert.equal(view.$(".region").text(), "us-east-1");
+			assert.equal(view.$(".size").text(), "2/4");
+			model.set("memory", 8);
+			assert.equal(view.$(".size").text(), "2/8");
+			view.destroy();
+		});
+
+		test("bindings set attributes, classes and visibility", function () {
+			var model = new Backbone.Model({status: "stopped", consoleUrl: "/console/1"}),
+				view = new (View.extend({
+					template: "<a class='console'></a><span class='status'></span><button class='stop'></button>",
+					bindings: {
+						"a.console": {observe: "consoleUrl", attribute: "href"},
+						"button.stop": {observe: "status", attribute: "disabled", onGet: function (status) {
+							return status !== "running";
+						}},
+						".status": [
+							{observe: "status", "class": "running", onGet: function (status) {
+								return status === "running";
+							}},
+							{observe: "status"}
+						],
+						":el": {observe: "status", attribute: "data-status"}
+					}
+				}))({model: model});
+
+			view.render();
+			assert.equal(view.$("a.console").attr("href"), "/console/1");
+			assert.isTrue(view.$("button.stop").prop("disabled"));
+			assert.isFalse(view.$(".status").hasClass("running"));
+			assert.equal(view.$el.attr("data-status"), "stopped");
+
+			model.set("status", "running");
+			assert.isFalse(view.$("button.stop").prop("disabled"));
+			assert.isTrue(view.$(".status").hasClass("running"));
+			assert.equal(view.$(".status").text(), "running");
+			assert.equal(view.$el.attr("data-status"), "running");
+			view.destroy();
+		});
+	});
+});
@@ -0,0 +1,99 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/View",
+	"generic/CollectionView"
+], function (
+	$,
+	_,
+	Backbone,
+	View,
+	CollectionView
+) {
+	var assert = chai.assert;
+
+	var ItemView = View.extend({
+		template: "<%- name %>"
+	});
+
+	function displayedNames(view) {
+		return view.$el.children().map(function () {
+			return $(this).text();
+		}).get();
+	}
+
+	suite("generic.CollectionView reconciliation", function () {
+		test("moves only elements which changed position", function () {
+			var collection = new Backbone.Collection([{name: "a"}, {name: "b"}, {name: "c"}, {name: "d"}]),
+				view = new CollectionView({
+					collection: collection,
+					itemView: ItemView
+				}),
+				elements;
+
+			view.render();
+			elements = view.$el.children().get();
+			view.renderItems([collection.at(1), collection.at(2), collection.at(3), collection.at(0)]);
+			assert.deepEqual(displayedNames(view), ["b", "c", "d", "a"]);
+			// elements are reused, not re-created
+			assert.sameMembers(view.$el.children().get(), elements);
+			view.destroy();
+		});
+
+		test("detached view is destroyed once when its model is destroyed", function () {
+			var collection = new Backbone.Collection([{name: "a"}, {name: "b"}]),
+				view = new CollectionView({
+					collection: collection,
+					itemView: ItemView,
+					detachFilteredViews: true
+				}),
+				model = collection.at(0),
+				itemView,
+				destroyed = 0;
+
+			view.render();
+			itemView = view.children[0];
+			itemView.on("destroy", function () {
+				destroyed++;
+			});
+			view.addFilter("name", {name: "b"});
+			assert.deepEqual(displayedNames(view), ["b"]);
+			assert.notOk(itemView.destroyed);
+			// model isn't saved, so it's destroyed without request
+			model.destroy();
+			assert.equal(destroyed, 1);
+			view.destroy();
+		});
+	});
+
+	suite("generic.CollectionView live updates", function () {
+		test("changed item is moved without sorting the collection", function (done) {
+			var collection = new (Backbone.Collection.extend({
+					comparator: "rank"
+				}))([{name: "a", rank: 1}, {name: "b", rank: 2}, {name: "c", rank: 3}]),
+				view = new CollectionView({
+					collection: collection,
+					itemView: ItemView
+				}),
+				sorted = 0;
+
+			collection.on("sort", function () {
+				sorted++;
+			});
+			view.render();
+			collection.at(0).set("rank", 4);
+			_.defer(function () {
+				assert.deepEqual(displayedNames(view), ["b", "c", "a"]);
+				// the collection may be shared with other views, its order is kept
+				assert.deepEqual(collection.pluck("name"), ["a", "b", "c"]);
+				assert.equal(sorted, 0);
+
+				collection.sort();
+				assert.deepEqual(displayedNames(view), ["b", "c", "a"]);
+				view.destroy();
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,151 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/StateStore",
+	"generic/TableView"
+], function (
+	$,
+	_,
+	Backbone,
+	StateStore,
+	TableView
+) {
+	var assert = chai.assert;
+
+	function createInstances() {
+		return new Backbone.Collection([
+			{id: 1, name: "web-02", zone: "us-east-1", cpu: 2},
+			{id: 2, name: "web-01", zone: "eu-west-1", cpu: 3},
+			{id: 3, name: "db-01", zone: "us-east-1", cpu: 1}
+		]);
+	}
+
+	function createColumns() {
+		return [
+			{title: "Name", key: "name", sortable: true},
+			{title: "Zone", key: "zone", sortable: true},
+			{title: "CPU", key: "cpu", sortable: true, comparator: "number"}
+		];
+	}
+
+	function headerIds(table) {
+		return table.$el.children("thead").find("th[data-column]").map(function () {
+			return $(this).attr("data-column");
+		}).get();
+	}
+
+	function cellIds(table) {
+		return table.$el.children("tbody").children("tr.resourceMain").first().children("td").map(function () {
+			return $(this).attr("data-column");
+		}).get();
+	}
+
+	function displayedNames(table) {
+		return table.$el.children("tbody").children("tr.resourceMain").map(function () {
+			return $(this).children("td[data-column=name]").text();
+		}).get();
+	}
+
+	suite("generic.TableView columns", function () {
+		test("hidden and moved columns are re-rendered in header and rows", function () {
+			var table = new TableView({
+					collection: createInstances(),
+					columns: createColumns()
+				}).render(),
+				changes = 0;
+
+			table.on("columns:change", function () {
+				changes++;
+			});
+			table.setColumnVisible("zone", false);
+			assert.deepEqual(headerIds(table), ["name", "cpu"]);
+			assert.deepEqual(cellIds(table), ["name", "cpu"]);
+			assert.equal(table.getColumnCount(), 2);
+
+			table.moveColumn("cpu", 0);
+			assert.deepEqual(headerIds(table), ["cpu", "name"]);
+			assert.deepEqual(cellIds(table), ["cpu", "name"]);
+
+			table.toggleColumn("zone");
+			assert.deepEqual(headerIds(table), ["cpu", "name", "zone"]);
+			// nothing is changed
+			table.setColumnVisible("zone", true);
+			table.moveColumn("cpu", 0);
+			assert.equal(changes, 3);
+			table.destroy();
+		});
+
+		test("column's width is applied to the header", function () {
+			var table = new TableView({
+				collection: createInstances(),
+				columns: createColumns()
+			}).render();
+
+			table.setColumnWidth("name", 120.4);
+			assert.equal(table.getColumn("name").width, 120);
+			assert.equal(table.$("th[data-column=name]").get(0).style.width, "120px");
+			table.setColumnWidth("name", null);
+			assert.isUndefined(table.getColumn("name").width);
+			assert.equal(table.$("th[data-column=name]").get(0).style.width, "");
+			table.destroy();
+		});
+
+		test("columns layout, sort and page size are restored from the store", function () {
+			var store = new StateStore(),
+				options = {
+					collection: createInstances(),
+					tableId: "instances",
+					stateStore: store
+				},
+				table = new TableView(_.extend({columns: createColumns()}, options)),
+				restored;
+
+			table.render();
+			table.setColumnVisible("zone", false);
+			table.moveColumn("cpu", 0);
+			table.setColumnWidth("name", 120);
+			table.sortByColumn("name", "desc");
+			table.setPageSize(2);
+			table.destroy();
+
+			restored = new TableView(_.extend({columns: createColumns()}, options));
+			restored.render();
+			assert.deepEqual(_.pluck(restored.getVisibleColumns(), "id"), ["cpu", "name"]);
+			assert.equal(restored.getColumn("name").width, 120);
+			assert.deepEqual(restored.getSortState(), [{column: "name", order: "desc"}]);
+			assert.equal(restored.pageSize, 2);
+			assert.deepEqual(displayedNames(restored), ["web-02", "web-01"]);
+			restored.destroy();
+		});
+
+		test("stored page size overrides limit option", function () {
+			var store = new StateStore(),
+				table;
+
+			store.set("instances", {pageSize: 1});
+			table = new TableView({
+				collection: createInstances(),
+				columns: createColumns(),
+				tableId: "instances",
+				stateStore: store,
+				limit: 2
+			});
+			assert.equal(table.pageSize, 1);
+			table.destroy();
+		});
+
+		test("in-memory store returns copies of stored values", function () {
+			var store = new StateStore(),
+				state = {sort: [{column: "name", order: "asc"}]};
+
+			store.set("instances", state);
+			state.sort[0].order = "desc";
+			assert.deepEqual(store.get("instances"), {sort: [{column: "name", order: "asc"}]});
+			store.get("instances").sort.push({column: "cpu"});
+			assert.lengthOf(store.get("instances").sort, 1);
+			store.remove("instances");
+			assert.isUndefined(store.get("instances"));
+		});
+	});
+});
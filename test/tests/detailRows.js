@@ -0,0 +1,136 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/View",
+	"generic/TableView"
+], function (
+	$,
+	_,
+	Backbone,
+	View,
+	TableView
+) {
+	var assert = chai.assert;
+
+	var DetailsView = View.extend({
+		className: "details",
+		template: "details of <%- name %>"
+	});
+
+	suite("generic.TableView detail rows", function () {
+		var instances,
+			table;
+
+		/**
+		 * Returns rows' names, detail rows are displayed as "+name"
+		 */
+		function displayedRows() {
+			return table.$el.children("tbody").children("tr").map(function () {
+				var $row = $(this);
+				if ($row.hasClass("resourceDetail")) {
+					return "+" + $row.find(".details").text().replace("details of ", "");
+				}
+				return $row.children("td[data-column=name]").text();
+			}).get();
+		}
+
+		function createTable(options) {
+			table = new TableView(_.extend({
+				collection: instances,
+				columns: [
+					{title: "Name", key: "name", sortable: true},
+					{title: "Zone", key: "zone"}
+				],
+				detailView: DetailsView
+			}, options)).render();
+			return table;
+		}
+
+		setup(function () {
+			instances = new Backbone.Collection([
+				{id: 1, name: "web-02", zone: "us"},
+				{id: 2, name: "web-01", zone: "eu"},
+				{id: 3, name: "db-01", zone: "us"}
+			]);
+		});
+
+		teardown(function () {
+			table.destroy();
+		});
+
+		test("toggle expands and collapses the detail row", function () {
+			var events = [],
+				detailView;
+
+			createTable();
+			table.on("row:expand row:collapse", function (view, model) {
+				events.push(model.id);
+			});
+			table.$("tr.resourceMain").eq(1).find(".row-toggle").click();
+			assert.deepEqual(displayedRows(), ["web-02", "web-01", "+web-01", "db-01"]);
+			assert.isTrue(table.$("tr.resourceMain").eq(1).hasClass("expanded"));
+			assert.equal(table.$("tr.resourceDetail td").attr("colspan"), "3");
+
+			detailView = table.detailRows[2].detailView;
+			table.$("tr.resourceMain").eq(1).find(".row-toggle").click();
+			assert.deepEqual(displayedRows(), ["web-02", "web-01", "db-01"]);
+			assert.isTrue(detailView.destroyed);
+			assert.deepEqual(events, [2, 2]);
+		});
+
+		test("single mode keeps one row expanded", function () {
+			createTable({expandMode: "single"});
+			table.expandRow(instances.get(1));
+			table.expandRow(instances.get(3));
+			assert.deepEqual(displayedRows(), ["web-02", "web-01", "db-01", "+db-01"]);
+		});
+
+		test("detail row follows its row when the table is sorted", function () {
+			var detailView;
+
+			createTable();
+			table.expandRow(instances.get(1));
+			detailView = table.detailRows[1].detailView;
+			table.sortByColumn("name", "asc");
+			assert.deepEqual(displayedRows(), ["db-01", "web-01", "web-02", "+web-02"]);
+			// detail view is kept, not re-created
+			assert.strictEqual(table.detailRows[1].detailView, detailView);
+			assert.notOk(detailView.destroyed);
+		});
+
+		test("expanded row stays expanded when it's filtered out and shown again", function () {
+			createTable();
+			table.expandRow(instances.get(1));
+			table.addFilter("zone", {zone: "eu"});
+			assert.deepEqual(displayedRows(), ["web-01"]);
+			assert.isTrue(table.isExpanded(instances.get(1)));
+
+			table.removeFilter("zone");
+			assert.deepEqual(displayedRows(), ["web-02", "+web-02", "web-01", "db-01"]);
+		});
+
+		test("detail rows survive re-rendering of the table", function () {
+			createTable();
+			table.expandRow(instances.get(2));
+			table.render();
+			assert.deepEqual(displayedRows(), ["web-02", "web-01", "+web-01", "db-01"]);
+			assert.isTrue(table.$("tr.resourceMain").eq(1).hasClass("expanded"));
+		});
+
+		test("detail row is destroyed with its model", function (done) {
+			var detailView;
+
+			createTable();
+			table.expandRow(instances.get(3));
+			detailView = table.detailRows[3].detailView;
+			instances.remove(instances.get(3));
+			_.defer(function () {
+				assert.deepEqual(displayedRows(), ["web-02", "web-01"]);
+				assert.isTrue(detailView.destroyed);
+				assert.isFalse(table.isExpanded(instances.get(1)));
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,140 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/TableView"
+], function (
+	$,
+	_,
+	Backbone,
+	TableView
+) {
+	var assert = chai.assert;
+
+	var Instance = Backbone.Model.extend({
+		validate: function (attrs) {
+			return attrs.cpu < 1 ? "CPU must be positive" : undefined;
+		}
+	});
+
+	suite("generic.TableView editing", function () {
+		var instances,
+			table,
+			events;
+
+		function cell(id, columnId) {
+			return table.$("tr.resourceMain").filter(function () {
+				return table.getRowModel($(this)).id === id;
+			}).children("td[data-column='" + columnId + "']");
+		}
+
+		function keydown($el, which, shiftKey) {
+			$el.trigger($.Event("keydown", {which: which, shiftKey: !!shiftKey}));
+		}
+
+		setup(function () {
+			instances = new Backbone.Collection([
+				{id: 1, name: "web-01", cpu: 2, size: "small", tags: ["a"]},
+				{id: 2, name: "web-02", cpu: 4, size: "large", tags: []}
+			], {model: Instance});
+			table = new TableView({
+				collection: instances,
+				columns: [
+					{title: "Name", key: "name", editable: true},
+					{title: "CPU", key: "cpu", editable: true, editor: "number"},
+					{title: "Size", key: "size", editable: function (model) {
+						return model.id !== 2;
+					}, editor: "select", editorOptions: ["small", "large"]},
+					{title: "Tags", id: "tags", editable: true, accessor: function (model) {
+						return model.get("tags").join(",");
+					}, setter: function (model, value, options) {
+						return model.set("tags", _.compact(value.split(",")), options);
+					}}
+				]
+			}).render().open(document.body);
+			events = [];
+			table.on("all", function (eventName, view, model, columnId) {
+				if (/^edit:/.test(eventName)) {
+					events.push([eventName, model.id, columnId]);
+				}
+			});
+		});
+
+		teardown(function () {
+			table.destroy();
+		});
+
+		test("Enter opens the editor and commits the value", function () {
+			var $td = cell(1, "name");
+
+			keydown($td, 13);
+			assert.isTrue($td.hasClass("editing"));
+			$td.find(".cell-editor").val("web-03");
+			keydown($td.find(".cell-editor"), 13);
+			assert.isFalse($td.hasClass("editing"));
+			assert.equal(instances.get(1).get("name"), "web-03");
+			assert.equal(cell(1, "name").text(), "web-03");
+			assert.deepEqual(events, [["edit:start", 1, "name"], ["edit:commit", 1, "name"]]);
+		});
+
+		test("Escape cancels editing without changing the model", function () {
+			var $td = cell(1, "name");
+
+			$td.trigger("dblclick");
+			$td.find(".cell-editor").val("changed");
+			keydown($td.find(".cell-editor"), 27);
+			assert.isFalse($td.hasClass("editing"));
+			assert.equal(instances.get(1).get("name"), "web-01");
+			assert.deepEqual(_.last(events), ["edit:cancel", 1, "name"]);
+		});
+
+		test("invalid value fires edit:invalid and keeps the editor open", function () {
+			var invalid = [],
+				model = instances.get(1);
+
+			table.on("edit:invalid", function (view, model, columnId, error) {
+				invalid.push([model.id, columnId, error]);
+			});
+			assert.isTrue(table.editCell(model, "cpu"));
+			cell(1, "cpu").find(".cell-editor").val("0");
+			assert.isFalse(table.commitEdit());
+			assert.deepEqual(invalid, [[1, "cpu", "CPU must be positive"]]);
+			assert.equal(model.get("cpu"), 2);
+			assert.isTrue(cell(1, "cpu").hasClass("invalid"));
+
+			cell(1, "cpu").find(".cell-editor").val("4");
+			assert.isTrue(table.commitEdit());
+			assert.strictEqual(model.get("cpu"), 4);
+			assert.isFalse(cell(1, "cpu").hasClass("invalid"));
+		});
+
+		test("Tab moves to the next editable cell, skipping read-only ones", function () {
+			table.editCell(instances.get(1), "tags");
+			keydown(cell(1, "tags").find(".cell-editor"), 9);
+			assert.isTrue(cell(2, "name").hasClass("editing"));
+
+			keydown(cell(2, "name").find(".cell-editor"), 9);
+			keydown(cell(2, "cpu").find(".cell-editor"), 9);
+			// size of the second row isn't editable
+			assert.isTrue(cell(2, "tags").hasClass("editing"));
+
+			keydown(cell(2, "tags").find(".cell-editor"), 9, true);
+			assert.isTrue(cell(2, "cpu").hasClass("editing"));
+		});
+
+		test("select editor and column's setter", function () {
+			assert.isFalse(table.editCell(instances.get(2), "size"));
+			table.editCell(instances.get(1), "size");
+			assert.equal(cell(1, "size").find(".cell-editor option:selected").text(), "small");
+			// options' values are their indexes
+			cell(1, "size").find(".cell-editor").val("1");
+			table.commitEdit();
+			assert.equal(instances.get(1).get("size"), "large");
+
+			table.editCell(instances.get(1), "tags");
+			cell(1, "tags").find(".cell-editor").val("x,,y");
+			table.commitEdit();
+			assert.deepEqual(instances.get(1).get("tags"), ["x", "y"]);
+		});
+	});
+});
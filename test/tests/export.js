@@ -0,0 +1,86 @@
+define([
+	"underscore",
+	"backbone",
+	"generic/TableView"
+], function (
+	_,
+	Backbone,
+	TableView
+) {
+	var assert = chai.assert;
+
+	suite("generic.TableView export", function () {
+		var instances,
+			table;
+
+		setup(function () {
+			instances = new Backbone.Collection([
+				{id: 1, name: "web, frontend", note: "say \"hi\"", memory: 2048, zone: "us-east-1"},
+				{id: 2, name: "db", note: "line 1\nline 2", memory: 1024, zone: "eu-west-1"},
+				{id: 3, name: " padded ", note: "tab\there", memory: null, zone: "us-east-1"}
+			]);
+			table = new TableView({
+				collection: instances,
+				columns: [
+					{title: "Name", key: "name", sortable: true},
+					{title: "Note", key: "note"},
+					{title: "Memory", key: "memory", comparator: "number", formatter: function (value) {
+						return value == null ? "-" : value / 1024 + " GB";
+					}},
+					{title: "Zone", key: "zone", visible: false}
+				],
+				selectionMode: "multi"
+			}).render();
+		});
+
+		teardown(function () {
+			table.destroy();
+		});
+
+		test("CSV quotes fields with delimiters, quotes, line breaks and surrounding spaces", function () {
+			assert.equal(table.exportData("csv"), [
+				"Name,Note,Memory",
+				"\"web, frontend\",\"say \"\"hi\"\"\",2 GB",
+				"db,\"line 1\nline 2\",1 GB",
+				"\" padded \",tab\there,-"
+			].join("\r\n"));
+		});
+
+		test("TSV quotes fields with tabs, commas are kept as is", function () {
+			assert.equal(table.exportData("tsv", {header: false}), [
+				"web, frontend\t\"say \"\"hi\"\"\"\t2 GB",
+				"db\t\"line 1\nline 2\"\t1 GB",
+				"\" padded \"\t\"tab\there\"\t-"
+			].join("\r\n"));
+		});
+
+		test("raw values of all columns are exported without formatting", function () {
+			table.addFilter("zone", {zone: "us-east-1"});
+			assert.equal(table.exportData("csv", {formatted: false, visibleOnly: false}), [
+				"Name,Note,Memory,Zone",
+				"\"web, frontend\",\"say \"\"hi\"\"\",2048,us-east-1",
+				"\" padded \",tab\there,,us-east-1"
+			].join("\r\n"));
+		});
+
+		test("JSON contains objects keyed by column ids in table's order", function () {
+			table.sortByColumn("memory", "asc");
+			table.selectModels([instances.get(1), instances.get(2)]);
+			assert.deepEqual(JSON.parse(table.exportData("json", {selectedOnly: true})), [
+				{name: "db", note: "line 1\nline 2", memory: "1 GB"},
+				{name: "web, frontend", note: "say \"hi\"", memory: "2 GB"}
+			]);
+			assert.deepEqual(JSON.parse(table.exportData("json", {formatted: false}))[2], {
+				name: " padded ",
+				note: "tab\there",
+				memory: null
+			});
+		});
+
+		test("unknown format throws an error", function () {
+			assert.throws(function () {
+				table.exportData("xls");
+			}, /Unknown export format: xls/);
+		});
+	});
+});
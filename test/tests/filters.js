@@ -0,0 +1,93 @@
+define([
+	"underscore",
+	"backbone",
+	"generic/CollectionView"
+], function (
+	_,
+	Backbone,
+	CollectionView
+) {
+	var assert = chai.assert;
+
+	function createView(options) {
+		return new CollectionView(_.extend({
+			collection: new Backbone.Collection([
+				{id: 1, status: "running", provider: "aws", cpu: 2, location: {region: "us-east-1"}},
+				{id: 2, status: "stopped", provider: "gce", cpu: 8, location: {region: "eu-west-1"}},
+				{id: 3, status: "running", provider: "azure", cpu: 16, location: {region: "us-east-1"}},
+				{id: 4, status: "running", provider: "gce", cpu: 4, location: {region: "eu-west-1"}}
+			])
+		}, options)).render();
+	}
+
+	function displayedIds(view) {
+		return _.map(view.children, function (child) {
+			return child.model.id;
+		});
+	}
+
+	suite("generic.CollectionView filters", function () {
+		test("filter conditions: value, list, range, function and nested path", function () {
+			var view = createView();
+
+			view.addFilter("status", {status: "running"});
+			assert.deepEqual(displayedIds(view), [1, 3, 4]);
+			view.addFilter("provider", {provider: ["aws", "gce"]});
+			assert.deepEqual(displayedIds(view), [1, 4]);
+			view.addFilter("cpu", {cpu: {min: 4}});
+			assert.deepEqual(displayedIds(view), [4]);
+
+			view.setFilters({
+				region: {"location.region": "us-east-1"},
+				big: function (model) {
+					return model.get("cpu") > 8;
+				}
+			});
+			assert.deepEqual(displayedIds(view), [3]);
+			view.destroy();
+		});
+
+		test("filters are composed with and/or", function () {
+			var view = createView({
+				filters: {
+					location: {or: [{provider: "aws"}, {"location.region": "eu-west-1", cpu: {max: 4}}]}
+				}
+			});
+
+			assert.deepEqual(displayedIds(view), [1, 4]);
+			view.filterMode = "or";
+			view.setFilters({aws: {provider: "aws"}, stopped: {status: "stopped"}});
+			assert.deepEqual(displayedIds(view), [1, 2]);
+			view.destroy();
+		});
+
+		test("removing filters shows items again and fires filter:change", function () {
+			var view = createView(),
+				changes = 0;
+
+			view.on("filter:change", function () {
+				changes++;
+			});
+			view.addFilter("status", {status: "stopped"});
+			assert.deepEqual(displayedIds(view), [2]);
+			view.removeFilter("unknown");
+			view.removeFilter("status");
+			assert.deepEqual(displayedIds(view), [1, 2, 3, 4]);
+			view.addFilter("status", {status: "stopped"});
+			view.clearFilters();
+			assert.deepEqual(displayedIds(view), [1, 2, 3, 4]);
+			assert.equal(changes, 4);
+			view.destroy();
+		});
+
+		test("changing filters returns to the first page", function () {
+			var view = createView({pageSize: 2});
+
+			view.goToPage(2);
+			view.addFilter("status", {status: "running"});
+			assert.equal(view.page, 1);
+			assert.deepEqual(displayedIds(view), [1, 3]);
+			view.destroy();
+		});
+	});
+});
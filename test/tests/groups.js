@@ -0,0 +1,139 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/TableView"
+], function (
+	$,
+	_,
+	Backbone,
+	TableView
+) {
+	var assert = chai.assert;
+
+	function createInstances() {
+		return new Backbone.Collection([
+			{id: 1, name: "web-02", provider: "aws", zone: "us-east-1", cpu: 2},
+			{id: 2, name: "web-01", provider: "gce", zone: "eu-west-1", cpu: 3},
+			{id: 3, name: "db-01", provider: "aws", zone: "us-east-1", cpu: 1},
+			{id: 4, name: "cache-01", provider: "aws", zone: "eu-west-1", cpu: 4}
+		]);
+	}
+
+	function createColumns() {
+		return [
+			{title: "Name", key: "name", sortable: true},
+			{title: "Zone", key: "zone", sortable: true},
+			{title: "CPU", key: "cpu", sortable: true, comparator: "number", groupAggregate: "sum"}
+		];
+	}
+
+	/**
+	 * Returns group headers and rows' names in displayed order
+	 */
+	function displayedRows(table) {
+		return table.$el.children("tbody").children("tr").map(function () {
+			var $row = $(this);
+			if ($row.hasClass("group-row")) {
+				return $row.find(".group-value").text() + $row.find(".group-count").text();
+			}
+			return $row.children("td[data-column=name]").text();
+		}).get();
+	}
+
+	suite("generic.TableView groups", function () {
+		test("rows are ordered by groups and then by sort state", function () {
+			var table = new TableView({
+				collection: createInstances(),
+				columns: createColumns(),
+				groupBy: "zone",
+				defaultSort: [{column: "name", order: "asc"}]
+			}).render();
+
+			assert.deepEqual(displayedRows(table), [
+				"eu-west-1 (2)", "cache-01", "web-01",
+				"us-east-1 (2)", "db-01", "web-02"
+			]);
+			// sorting by grouped column changes groups' order
+			table.sortByColumn("zone", "desc");
+			assert.deepEqual(_.pluck(table.getGroups(), "value"), ["us-east-1", "eu-west-1"]);
+			table.destroy();
+		});
+
+		test("nested groups and aggregates in group headers", function () {
+			var table = new TableView({
+				collection: createInstances(),
+				columns: createColumns(),
+				groupBy: ["provider", {key: "zone", title: "Zone"}]
+			}).render();
+
+			assert.deepEqual(displayedRows(table), [
+				"aws (3)", "eu-west-1 (1)", "cache-01", "us-east-1 (2)", "web-02", "db-01",
+				"gce (1)", "eu-west-1 (1)", "web-01"
+			]);
+			assert.equal(table.$("tr.group-row[data-group='provider:aws'] td[data-column=cpu]").text(), "7");
+			assert.equal(table.$("tr.group-row[data-group='provider:aws/zone:us-east-1'] .group-name").text(), "Zone: ");
+			assert.isTrue(table.$("tr.group-row[data-group='provider:aws/zone:us-east-1']").hasClass("group-level-1"));
+			table.destroy();
+		});
+
+		test("collapsed group displays only its header", function () {
+			var table = new TableView({
+					collection: createInstances(),
+					columns: createColumns(),
+					groupBy: "zone"
+				}).render(),
+				toggles = [];
+
+			table.on("group:toggle", function (view, key, collapsed) {
+				toggles.push([key, collapsed]);
+			});
+			table.$("tr.group-row[data-group='zone:eu-west-1'] .group-toggle").click();
+			assert.deepEqual(displayedRows(table), ["eu-west-1 (2)", "us-east-1 (2)", "web-02", "db-01"]);
+			assert.isTrue(table.$("tr.group-row[data-group='zone:eu-west-1']").hasClass("collapsed"));
+
+			table.expandGroup("zone:eu-west-1");
+			assert.lengthOf(displayedRows(table), 6);
+			assert.deepEqual(toggles, [["zone:eu-west-1", true], ["zone:eu-west-1", false]]);
+			table.destroy();
+		});
+
+		test("groups follow filters and changes of the collection", function (done) {
+			var instances = createInstances(),
+				table = new TableView({
+					collection: instances,
+					columns: createColumns(),
+					groupBy: "zone"
+				}).render();
+
+			table.addFilter("provider", {provider: "aws"});
+			assert.deepEqual(displayedRows(table), ["eu-west-1 (1)", "cache-01", "us-east-1 (2)", "web-02", "db-01"]);
+
+			instances.add({id: 5, name: "web-03", provider: "aws", zone: "ap-south-1", cpu: 1});
+			instances.remove([instances.get(1), instances.get(3)]);
+			instances.get(4).set("zone", "us-east-1");
+			_.defer(function () {
+				assert.deepEqual(displayedRows(table), ["ap-south-1 (1)", "web-03", "us-east-1 (1)", "cache-01"]);
+				table.destroy();
+				done();
+			});
+		});
+
+		test("removed model updates groups' counts and removes empty groups", function (done) {
+			var instances = createInstances(),
+				table = new TableView({
+					collection: instances,
+					columns: createColumns(),
+					groupBy: "zone"
+				});
+
+			table.render();
+			instances.remove([instances.get(1), instances.get(2)]);
+			_.defer(function () {
+				assert.deepEqual(displayedRows(table), ["eu-west-1 (1)", "cache-01", "us-east-1 (1)", "db-01"]);
+				table.destroy();
+				done();
+			});
+		});
+	});
+});
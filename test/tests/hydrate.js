@@ -0,0 +1,200 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/View",
+	"generic/CollectionView",
+	"generic/TableView"
+], function (
+	$,
+	_,
+	Backbone,
+	View,
+	CollectionView,
+	TableView
+) {
+	var assert = chai.assert;
+
+	var ItemView = View.extend({
+		tagName: "li",
+		template: "<%- name %>"
+	});
+
+	var EmptyView = View.extend({
+		className: "empty",
+		template: "No data"
+	});
+
+	function prerender(view) {
+		var container = document.createElement("div");
+		container.innerHTML = view.renderToString();
+		view.destroy();
+		return container.firstChild;
+	}
+
+	function tableOptions(collection, options) {
+		return _.extend({
+			collection: collection,
+			selectionMode: "single",
+			columns: [
+				{title: "Name", key: "name", sortable: true},
+				{title: "Zone", key: "zone"}
+			]
+		}, options);
+	}
+
+	suite("generic.View hydration", function () {
+		test("hydrated view binds to prerendered elements", function () {
+			var model = new Backbone.Model({name: "web-01"}),
+				FormView = View.extend({
+					template: "<h1 data-bind='name'></h1><input class='name' data-bind='name'/>"
+				}),
+				el = prerender(new FormView({model: model})),
+				input = $(el).find("input").get(0),
+				view = new FormView({model: model}),
+				hydrated = 0;
+
+			assert.equal(input.getAttribute("value"), "web-01");
+			view.on("hydrate", function () {
+				hydrated++;
+			});
+			view.hydrate(el);
+			assert.strictEqual(view.el, el);
+			assert.isTrue(view.rendered);
+			assert.equal(hydrated, 1);
+			// content isn't rendered again
+			assert.strictEqual(view.$("input").get(0), input);
+			view.$("input").val("web-02").trigger("input");
+			assert.equal(model.get("name"), "web-02");
+			assert.equal(view.$("h1").text(), "web-02");
+			view.destroy();
+		});
+
+		test("views of regions are hydrated with the layout", function () {
+			var LayoutView = View.extend({
+					template: "<div class='side'></div><div class='main'></div>",
+					regions: {
+						sidebar: ".side",
+						main: ".main"
+					}
+				}),
+				ChildView = View.extend({
+					template: "<b>child</b>"
+				}),
+				server = new LayoutView(),
+				el,
+				child,
+				sidebar,
+				layout;
+
+			server.show("main", new ChildView());
+			el = prerender(server);
+			child = $(el).find(".main").children().get(0);
+
+			layout = new LayoutView();
+			layout.show("main", new ChildView());
+			sidebar = layout.show("sidebar", new ChildView());
+			layout.hydrate(el);
+			assert.strictEqual(layout.getRegionView("main").el, child);
+			// view of empty region is rendered
+			assert.strictEqual(layout.$(".side").children().get(0), sidebar.el);
+			assert.isTrue(sidebar.rendered);
+			layout.destroy();
+		});
+	});
+
+	suite("generic.CollectionView hydration", function () {
+		test("collection view reuses prerendered items", function () {
+			var collection = new Backbone.Collection([{id: 1, name: "a"}, {id: 2, name: "b"}]),
+				options = {
+					tagName: "ul",
+					collection: collection,
+					itemView: ItemView
+				},
+				el = prerender(new CollectionView(options)),
+				items = $(el).children().get(),
+				view;
+
+			assert.deepEqual($(items).map(function () {
+				return this.getAttribute("data-item-key");
+			}).get(), ["1", "2"]);
+			collection.remove(1);
+			collection.add({id: 3, name: "c"});
+			view = new CollectionView(options);
+			view.hydrate(el);
+			// item of removed model is removed, others are kept, missing items are rendered
+			assert.deepEqual($(el).children().map(function () {
+				return $(this).text();
+			}).get(), ["b", "c"]);
+			assert.strictEqual(view.children[0].el, items[1]);
+			assert.isTrue(view.children[1].rendered);
+			view.destroy();
+		});
+
+		test("status view is rendered again", function () {
+			var collection = new Backbone.Collection(),
+				options = {
+					collection: collection,
+					itemView: ItemView,
+					emptyView: EmptyView
+				},
+				el = prerender(new CollectionView(options)),
+				prerendered = $(el).find(".empty").get(0),
+				view = new CollectionView(options);
+
+			assert.ok(prerendered);
+			view.hydrate(el);
+			assert.lengthOf(view.$(".empty"), 1);
+			assert.notStrictEqual(view.$(".empty").get(0), prerendered);
+			assert.strictEqual(view.statusView.el, view.$(".empty").get(0));
+			view.destroy();
+		});
+	});
+
+	suite("generic.TableView hydration", function () {
+		var collection;
+
+		setup(function () {
+			collection = new Backbone.Collection([
+				{id: 1, name: "web-02", zone: "us"},
+				{id: 2, name: "web-01", zone: "eu"}
+			]);
+		});
+
+		test("prerendered header and rows are reused", function () {
+			var el = prerender(new TableView(tableOptions(collection))),
+				th = $(el).find("th[data-column=name]").get(0),
+				rows = $(el).find("tr.resourceMain").get(),
+				table = new TableView(tableOptions(collection));
+
+			table.hydrate(el);
+			assert.strictEqual(table.$("th[data-column=name]").get(0), th);
+			assert.deepEqual(table.$("tr.resourceMain").get(), rows);
+
+			// hydrated table handles events and updates rows
+			$(rows[1]).children("td").first().click();
+			assert.isTrue(table.isSelected(collection.get(2)));
+			table.sortByColumn("name", "asc");
+			assert.deepEqual(table.$("tr.resourceMain").get(), [rows[1], rows[0]]);
+			table.destroy();
+		});
+
+		test("header is rendered again if columns are different", function () {
+			var el = prerender(new TableView(tableOptions(collection))),
+				th = $(el).find("th[data-column=name]").get(0),
+				table = new TableView(tableOptions(collection, {
+					columns: [
+						{title: "Zone", key: "zone"},
+						{title: "Name", key: "name"}
+					]
+				}));
+
+			table.hydrate(el);
+			assert.notStrictEqual(table.$("th[data-column=name]").get(0), th);
+			assert.deepEqual(table.$("thead th[data-column]").map(function () {
+				return this.getAttribute("data-column");
+			}).get(), ["zone", "name"]);
+			table.destroy();
+		});
+	});
+});
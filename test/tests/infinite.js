@@ -0,0 +1,160 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/View",
+	"generic/CollectionView"
+], function (
+	$,
+	_,
+	Backbone,
+	View,
+	CollectionView
+) {
+	var assert = chai.assert;
+
+	var ItemView = View.extend({
+		template: "<%- name %>"
+	});
+
+	function displayedNames(view) {
+		return _.map(view.children, function (child) {
+			return child.model.get("name");
+		});
+	}
+
+	suite("generic.View.when", function () {
+		test("adapts resolved native Promise", function (done) {
+			View.when(Promise.resolve(5)).done(function (value) {
+				assert.equal(value, 5);
+				done();
+			});
+		});
+
+		test("adapts rejected native Promise", function (done) {
+			var error = new Error("offline");
+			View.when(Promise.reject(error)).fail(function (reason) {
+				assert.strictEqual(reason, error);
+				done();
+			});
+		});
+
+		test("returns jQuery promises and plain values as $.when", function () {
+			var deferred = $.Deferred(),
+				resolved;
+
+			View.when(deferred.promise()).done(function (value) {
+				resolved = value;
+			});
+			deferred.resolve("a");
+			assert.equal(resolved, "a");
+			assert.equal(View.when("b").state(), "resolved");
+		});
+	});
+
+	suite("generic.CollectionView infinite scroll", function () {
+		var collection,
+			view;
+
+		function createView(options) {
+			view = new CollectionView(_.extend({
+				collection: collection,
+				itemView: ItemView,
+				infinite: true,
+				loadMoreSize: 2
+			}, options)).render();
+			return view;
+		}
+
+		setup(function () {
+			collection = new Backbone.Collection();
+		});
+
+		teardown(function () {
+			view.destroy();
+		});
+
+		test("loadMore can return native Promise", function (done) {
+			createView({
+				loadMore: function () {
+					return new Promise(function (resolve) {
+						setTimeout(function () {
+							collection.add([{name: "a"}, {name: "b"}]);
+							resolve({});
+						}, 0);
+					});
+				}
+			});
+			view.on("more:end", function (view, hasMore, error) {
+				assert.isTrue(hasMore);
+				assert.isUndefined(error);
+				assert.deepEqual(displayedNames(view), ["a", "b"]);
+				done();
+			});
+			view.loadNext();
+			assert.isTrue(view.loadingMore);
+			assert.isTrue($(view.sentinel).hasClass("loading"));
+		});
+
+		test("short chunk or hasMore: false of the response stops loading", function () {
+			var responses = [{}, {hasMore: false}],
+				chunks = [[{name: "a"}, {name: "b"}], [{name: "c"}, {name: "d"}]],
+				calls = 0;
+
+			createView({
+				loadMore: function () {
+					collection.add(chunks[calls]);
+					return responses[calls++];
+				}
+			});
+			view.loadNext();
+			assert.isTrue(view.hasMore);
+			view.loadNext();
+			assert.isFalse(view.hasMore);
+			assert.isTrue($(view.sentinel).hasClass("no-more"));
+			view.loadNext();
+			assert.equal(calls, 2);
+			assert.deepEqual(displayedNames(view), ["a", "b", "c", "d"]);
+		});
+
+		test("rejected native Promise stops loading and keeps hasMore", function (done) {
+			var calls = 0;
+
+			createView({
+				loadMore: function () {
+					calls++;
+					return Promise.reject(new Error("offline"));
+				}
+			});
+			view.once("more:end", function (view, hasMore, error) {
+				assert.isTrue(hasMore);
+				assert.equal(error.message, "offline");
+				assert.isFalse(view.loadingMore);
+				assert.isTrue($(view.sentinel).hasClass("error"));
+				_.defer(function () {
+					// loading isn't repeated automatically
+					assert.equal(calls, 1);
+					view.loadNext();
+					assert.equal(calls, 2);
+					assert.isFalse($(view.sentinel).hasClass("error"));
+					done();
+				});
+			});
+			view.loadNext();
+		});
+
+		test("rejection without reason is reported as failure", function (done) {
+			createView({
+				loadMore: function () {
+					return $.Deferred().reject().promise();
+				}
+			});
+			view.on("more:end", function (view, hasMore, error) {
+				assert.isNull(error);
+				assert.isTrue($(view.sentinel).hasClass("error"));
+				done();
+			});
+			view.loadNext();
+		});
+	});
+});
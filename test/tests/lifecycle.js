@@ -0,0 +1,126 @@
+define([
+	"jquery",
+	"backbone",
+	"generic/View"
+], function (
+	$,
+	Backbone,
+	View
+) {
+	var assert = chai.assert;
+
+	var LoggingView = View.extend({
+		template: "<span>content</span>",
+		initialize: function () {
+			View.prototype.initialize.apply(this, arguments);
+			this.log = [];
+			this.on("all", function (eventName) {
+				this.log.push(eventName);
+			}, this);
+		},
+		beforeRender: function () {
+			this.log.push("beforeRender:" + this.$("span").length);
+		},
+		afterRender: function () {
+			this.log.push("afterRender:" + this.$("span").length);
+		},
+		onAttach: function () {
+			this.log.push("onAttach");
+		},
+		onDetach: function () {
+			this.log.push("onDetach");
+		}
+	});
+
+	suite("generic.View lifecycle", function () {
+		var container;
+
+		setup(function () {
+			container = $("<div></div>").appendTo(document.body);
+		});
+
+		teardown(function () {
+			container.remove();
+		});
+
+		test("render hooks are called around the template in order", function () {
+			var view = new LoggingView();
+
+			view.render();
+			assert.deepEqual(view.log, ["beforeRender:0", "before:render", "afterRender:1", "render"]);
+			assert.isTrue(view.rendered);
+			view.destroy();
+		});
+
+		test("open renders the view once and attaches it to the container", function () {
+			var view = new LoggingView();
+
+			view.open(container);
+			assert.strictEqual(view.el.parentNode, container.get(0));
+			assert.isTrue(view.attached);
+			assert.deepEqual(view.log, ["beforeRender:0", "before:render", "afterRender:1", "render", "onAttach", "attach", "open"]);
+
+			view.close();
+			view.log = [];
+			view.open(container);
+			assert.deepEqual(view.log, ["onAttach", "attach", "open"]);
+			view.destroy();
+		});
+
+		test("close detaches the view without destroying it", function () {
+			var view = new LoggingView().open(container);
+
+			view.log = [];
+			view.close();
+			assert.isNull(view.el.parentNode);
+			assert.isFalse(view.attached);
+			assert.notOk(view.destroyed);
+			assert.deepEqual(view.log, ["onDetach", "detach", "close"]);
+			view.destroy();
+		});
+
+		test("view rendered outside of the document isn't attached", function () {
+			var view = new LoggingView().render();
+
+			assert.notOk(view.attached);
+			assert.notInclude(view.log, "attach");
+			view.destroy();
+		});
+
+		test("attach and detach are propagated to children", function () {
+			var parent = new LoggingView(),
+				child = parent.add(new LoggingView());
+
+			parent.render();
+			child.render();
+			parent.$el.append(child.el);
+
+			parent.open(container);
+			assert.isTrue(child.attached);
+			assert.include(child.log, "attach");
+
+			child.log = [];
+			parent.close();
+			assert.isFalse(child.attached);
+			assert.deepEqual(child.log, ["onDetach", "detach"]);
+			// parent is notified after its children are detached
+			assert.deepEqual(parent.log.slice(-3), ["onDetach", "detach", "close"]);
+			parent.destroy();
+		});
+
+		test("destroy detaches the view and repeated calls are ignored", function () {
+			var view = new LoggingView().open(container),
+				destroyed = 0;
+
+			view.on("destroy", function () {
+				destroyed++;
+			});
+			view.destroy();
+			view.destroy();
+			assert.strictEqual(destroyed, 1);
+			assert.isTrue(view.destroyed);
+			assert.include(view.log, "detach");
+			assert.lengthOf(container.children(), 0);
+		});
+	});
+});
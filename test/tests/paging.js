@@ -0,0 +1,123 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/CollectionView",
+	"generic/Pager"
+], function (
+	$,
+	_,
+	Backbone,
+	CollectionView,
+	Pager
+) {
+	var assert = chai.assert;
+
+	// collections passed to CollectionView are expected to provide checkFilter
+	var Items = Backbone.Collection.extend({
+		checkFilter: function () {
+			return true;
+		}
+	});
+
+	function createView(count, pageSize) {
+		return new CollectionView({
+			collection: new Items(_.map(_.range(count), function (i) {
+				return {id: i, name: "item " + i};
+			})),
+			pageSize: pageSize
+		}).render();
+	}
+
+	function displayedIds(view) {
+		return _.map(view.children, function (child) {
+			return child.model.id;
+		});
+	}
+
+	suite("generic.CollectionView paging", function () {
+		test("displays items of the current page", function () {
+			var view = createView(25, 10);
+
+			assert.deepEqual(displayedIds(view), _.range(10));
+			assert.equal(view.getPageCount(), 3);
+			view.goToPage(3);
+			assert.deepEqual(displayedIds(view), _.range(20, 25));
+			view.prevPage();
+			assert.deepEqual(displayedIds(view), _.range(10, 20));
+			view.destroy();
+		});
+
+		test("page number is clamped to existing pages", function () {
+			var view = createView(25, 10);
+
+			view.goToPage(10);
+			assert.equal(view.page, 3);
+			view.nextPage();
+			assert.equal(view.page, 3);
+			view.goToPage(-1);
+			assert.equal(view.page, 1);
+			view.destroy();
+		});
+
+		test("non numeric page numbers are ignored", function () {
+			var view = createView(25, 10);
+
+			view.goToPage(2);
+			view.goToPage(NaN);
+			view.goToPage(undefined);
+			view.goToPage("last");
+			assert.equal(view.page, 2);
+			view.goToPage("3");
+			assert.strictEqual(view.page, 3);
+			view.destroy();
+		});
+
+		test("page:change reports paging state", function () {
+			var view = createView(25, 10),
+				states = [];
+
+			view.on("page:change", function (view, state) {
+				states.push(state);
+			});
+			view.goToPage(2);
+			view.goToPage(2);
+			assert.deepEqual(states, [{page: 2, pageSize: 10, pageCount: 3, total: 25}]);
+
+			view.setPageSize(null);
+			assert.equal(view.page, 1);
+			assert.lengthOf(view.children, 25);
+			assert.deepEqual(_.last(states), {page: 1, pageSize: null, pageCount: 1, total: 25});
+			view.destroy();
+		});
+
+		test("pager renders page links and navigates on click", function () {
+			var view = createView(95, 10),
+				pager = new Pager({collectionView: view, maxLinks: 5}).render(),
+				pageNumbers = function () {
+					return pager.$(".pager-page, .pager-gap").map(function () {
+						return $(this).text();
+					}).get();
+				};
+
+			assert.deepEqual(pageNumbers(), ["1", "2", "3", "…", "10"]);
+			assert.isTrue(pager.$(".pager-prev").hasClass("disabled"));
+			assert.equal(pager.$(".pager-info").text(), "1–10 of 95");
+
+			pager.$(".pager-page[data-page=10]").click();
+			assert.equal(view.page, 10);
+			assert.deepEqual(pageNumbers(), ["1", "…", "8", "9", "10"]);
+			assert.isTrue(pager.$(".pager-next").hasClass("disabled"));
+			assert.equal(pager.$(".pager-info").text(), "91–95 of 95");
+
+			// disabled link doesn't navigate
+			pager.$(".pager-next").click();
+			assert.equal(view.page, 10);
+			pager.$(".pager-prev").click();
+			assert.equal(view.page, 9);
+
+			pager.destroy();
+			view.destroy();
+		});
+	});
+});
@@ -0,0 +1,66 @@
+define([
+	"jquery",
+	"backbone",
+	"generic/View"
+], function (
+	$,
+	Backbone,
+	View
+) {
+	var assert = chai.assert;
+
+	var LayoutView = View.extend({
+		template: "<div class='side'></div><div class='main'></div>",
+		regions: {
+			sidebar: ".side",
+			main: ".main"
+		}
+	});
+
+	var ChildView = View.extend({
+		template: "<b>child</b>"
+	});
+
+	suite("generic.View regions", function () {
+		test("view shown before rendering is placed on render", function () {
+			var layout = new LayoutView(),
+				child = layout.show("main", new ChildView());
+
+			assert.strictEqual(layout.getRegionView("main"), child);
+			layout.render();
+			assert.strictEqual(layout.$(".main").children().get(0), child.el);
+			assert.lengthOf(layout.$(".side").children(), 0);
+			layout.destroy();
+		});
+
+		test("region's view survives re-rendering of the parent", function () {
+			var layout = new LayoutView(),
+				child = new ChildView();
+
+			layout.render();
+			layout.show("main", child);
+			assert.strictEqual(layout.$(".main").children().get(0), child.el);
+			layout.render();
+			assert.strictEqual(layout.$(".main").children().get(0), child.el);
+			layout.destroy();
+			assert.isTrue(child.destroyed);
+		});
+
+		test("shown view replaces and destroys the previous one", function () {
+			var layout = new LayoutView(),
+				first = new ChildView(),
+				second = new ChildView();
+
+			layout.render();
+			layout.show("main", first);
+			layout.show("main", second);
+			assert.isTrue(first.destroyed);
+			assert.deepEqual(layout.$(".main").children().get(), [second.el]);
+			layout.clearRegion("main");
+			assert.isTrue(second.destroyed);
+			assert.isUndefined(layout.getRegionView("main"));
+			assert.lengthOf(layout.$(".main").children(), 0);
+			layout.destroy();
+		});
+	});
+});
@@ -0,0 +1,242 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/View",
+	"generic/CollectionView",
+	"generic/TableView"
+], function (
+	$,
+	_,
+	Backbone,
+	View,
+	CollectionView,
+	TableView
+) {
+	var assert = chai.assert;
+
+	var Instances = Backbone.Collection.extend({
+		url: "/instances",
+		parse: function (response) {
+			return response.items;
+		}
+	});
+
+	function page(ids, total) {
+		return {
+			total: total,
+			items: _.map(ids, function (id) {
+				return {id: id, name: "instance-" + id};
+			})
+		};
+	}
+
+	suite("generic.CollectionView remote mode", function () {
+		var sync = Backbone.sync,
+			requests;
+
+		// requests are answered by tests with respond(), in any order
+		function respond(request, response) {
+			request.options.success(response);
+		}
+
+		setup(function () {
+			requests = [];
+			Backbone.sync = function (method, model, options) {
+				var request = {
+					method: method,
+					data: options.data,
+					options: options,
+					aborted: false,
+					abort: function () {
+						request.aborted = true;
+					}
+				};
+				requests.push(request);
+				return request;
+			};
+		});
+
+		teardown(function () {
+			Backbone.sync = sync;
+		});
+
+		test("response of previous query doesn't replace the current page", function (done) {
+			var instances = new Instances(),
+				view = new CollectionView({
+					collection: instances,
+					remote: true
+				}),
+				totals = [];
+
+			view.on("search:change", function (view, total) {
+				totals.push(total);
+			});
+			view.render();
+			_.defer(function () {
+				respond(requests[0], page([1, 2, 3], 3));
+				view.search("web");
+				_.defer(function () {
+					view.search("db");
+					_.defer(function () {
+						assert.lengthOf(requests, 3);
+						assert.isTrue(requests[1].aborted);
+						assert.equal(requests[2].data.search, "db");
+						// search:change waits for the page of the query
+						assert.deepEqual(totals, []);
+
+						respond(requests[2], page([2], 1));
+						respond(requests[1], page([1, 3], 2));
+						assert.deepEqual(instances.pluck("id"), [2]);
+						assert.deepEqual(_.map(view.children, function (child) {
+							return child.model.id;
+						}), [2]);
+						assert.equal(view.getPagingState().total, 1);
+						assert.deepEqual(totals, [1]);
+						view.destroy();
+						done();
+					});
+				});
+			});
+		});
+		test("filters are sent as query parameters", function (done) {
+			var view = new CollectionView({
+				collection: new Instances(),
+				remote: true,
+				pageSize: 20
+			});
+
+			view.setFilters({
+				state: {state: ["running", "stopped"]},
+				cpu: {cpu: {min: 2}}
+			});
+			view.search("web");
+			_.defer(function () {
+				assert.lengthOf(requests, 1);
+				assert.deepEqual(requests[0].data, {
+					page: 1,
+					pageSize: 20,
+					search: "web",
+					state: ["running", "stopped"],
+					cpuMin: 2
+				});
+				view.destroy();
+				done();
+			});
+		});
+
+		test("filters which can't be sent to the server throw an error", function (done) {
+			var view = new CollectionView({
+				collection: new Instances(),
+				remote: true
+			});
+
+			assert.throws(function () {
+				view.addFilter("custom", function () {
+					return true;
+				});
+			}, /Filter "custom" can't be sent to the server/);
+			assert.throws(function () {
+				view.addFilter("either", {or: [{state: "running"}, {state: "stopped"}]});
+			}, /Filter "either"/);
+			assert.throws(function () {
+				view.setFilters({
+					state: {state: "running"},
+					name: {name: function (name) {
+						return name.length > 3;
+					}}
+				});
+			}, /Filter "name"/);
+			// rejected filters aren't applied
+			assert.deepEqual(view.filters, {});
+			_.defer(function () {
+				assert.lengthOf(requests, 1);
+				assert.deepEqual(requests[0].data, {});
+				view.destroy();
+				done();
+			});
+		});
+
+		test("empty page is reported as noMatches when query is set", function () {
+			var view = new CollectionView({
+				collection: new Instances(),
+				remote: true
+			});
+
+			assert.equal(view.getStatus(), "empty");
+			view.addFilter("state", {state: "running"});
+			assert.equal(view.getStatus(), "noMatches");
+			view.destroy();
+		});
+	});
+
+	suite("generic.TableView remote mode", function () {
+		var sync = Backbone.sync,
+			requests;
+
+		function respond(request, response) {
+			request.options.success(response);
+		}
+
+		setup(function () {
+			requests = [];
+			Backbone.sync = function (method, model, options) {
+				var request = {
+					data: options.data,
+					options: options
+				};
+				requests.push(request);
+				return request;
+			};
+		});
+
+		teardown(function () {
+			Backbone.sync = sync;
+		});
+
+		test("selected and expanded rows survive paging", function (done) {
+			var instances = new Instances(),
+				table = new TableView({
+					collection: instances,
+					remote: true,
+					pageSize: 2,
+					selectionMode: "multi",
+					detailView: View.extend({
+						className: "details"
+					}),
+					columns: [{title: "Name", key: "name"}]
+				});
+
+			table.render();
+			_.defer(function () {
+				respond(requests[0], page([1, 2], 4));
+				table.selectModels([instances.get(1)]);
+				table.expandRow(instances.get(2));
+				table.goToPage(2);
+				_.defer(function () {
+					assert.equal(requests[1].data.page, 2);
+					respond(requests[1], page([3, 4], 4));
+					assert.deepEqual(_.pluck(table.getSelectedModels(), "id"), [1]);
+					assert.lengthOf(table.$(".details"), 0);
+
+					table.selectModels([instances.get(4)]);
+					assert.deepEqual(_.pluck(table.getSelectedModels(), "id"), [1, 4]);
+					// selected rows of other pages are exported too
+					assert.equal(table.exportData("csv", {selectedOnly: true, header: false}), "instance-4\r\ninstance-1");
+
+					table.goToPage(1);
+					_.defer(function () {
+						respond(requests[2], page([1, 2], 4));
+						assert.isTrue(table.isSelected(instances.get(1)));
+						assert.isTrue(table.$("tr.resourceMain").first().hasClass("selected"));
+						assert.isTrue(table.isExpanded(instances.get(2)));
+						assert.lengthOf(table.$(".details"), 1);
+						assert.strictEqual(table.getSelectedModels()[0], instances.get(1));
+						table.destroy();
+						done();
+					});
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,92 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/CollectionView"
+], function (
+	$,
+	_,
+	Backbone,
+	CollectionView
+) {
+	var assert = chai.assert;
+
+	function displayedNames(view) {
+		return _.map(view.children, function (child) {
+			return child.model.get("name");
+		});
+	}
+
+	suite("generic.CollectionView search", function () {
+		var collection,
+			view;
+
+		setup(function () {
+			collection = new Backbone.Collection([
+				{id: 1, name: "web server", status: "running", url: "http://web.example.com"},
+				{id: 2, name: "db", status: "stopped", url: "http://db.example.com"},
+				{id: 3, name: "web cache", status: "stopped", url: "https://cache.example.com"}
+			]);
+			view = new CollectionView({
+				collection: collection
+			});
+			view.render();
+		});
+
+		teardown(function () {
+			view.destroy();
+		});
+
+		test("matches all words in any attribute", function () {
+			view.search("web stopped");
+			assert.deepEqual(displayedNames(view), ["web cache"]);
+		});
+
+		test("words are matched as literal text ignoring case", function () {
+			collection.add({id: 4, name: "c++ (beta)", status: "Running"});
+			view.search("C++ (BETA");
+			assert.deepEqual(displayedNames(view), ["c++ (beta)"]);
+		});
+
+		test("match ranges are returned for highlighting", function () {
+			view.search("web status:stopped");
+			assert.deepEqual(view.getSearchMatches(collection.get(3)), {
+				name: [[0, 3]],
+				status: [[0, 7]]
+			});
+		});
+
+		test("quoted phrase is matched as a whole", function () {
+			view.search('"web server"');
+			assert.deepEqual(displayedNames(view), ["web server"]);
+		});
+
+		test("field term matches only given attribute", function () {
+			view.search("status:running");
+			assert.deepEqual(displayedNames(view), ["web server"]);
+			view.search("name:running");
+			assert.deepEqual(displayedNames(view), []);
+		});
+
+		test("prefix which isn't a field is a part of the word", function () {
+			view.search("http://db");
+			assert.deepEqual(displayedNames(view), ["db"]);
+			assert.deepEqual(_.pluck(view.searchTokens, "field"), [undefined]);
+		});
+
+		test("field term is limited to search properties when they are set", function () {
+			view.searchProperties = ["name"];
+			assert.isTrue(view.isSearchField("name"));
+			assert.isFalse(view.isSearchField("status"));
+		});
+
+		test("named filters are combined with search", function () {
+			view.addFilter("status", {status: ["stopped"]});
+			assert.deepEqual(displayedNames(view), ["db", "web cache"]);
+			view.search("web");
+			assert.deepEqual(displayedNames(view), ["web cache"]);
+			view.removeFilter("status");
+			assert.deepEqual(displayedNames(view), ["web server", "web cache"]);
+		});
+	});
+});
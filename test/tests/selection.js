@@ -0,0 +1,151 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/TableView"
+], function (
+	$,
+	_,
+	Backbone,
+	TableView
+) {
+	var assert = chai.assert;
+
+	suite("generic.TableView selection", function () {
+		var instances,
+			table,
+			changes;
+
+		function createTable(options) {
+			table = new TableView(_.extend({
+				collection: instances,
+				columns: [
+					{title: "Name", key: "name", sortable: true},
+					{title: "Zone", key: "zone"}
+				],
+				selectionMode: "multi"
+			}, options)).render();
+			changes = [];
+			table.on("selection:change", function (view, models) {
+				changes.push(_.pluck(models, "id").sort());
+			});
+			return table;
+		}
+
+		function clickRow(id, modifiers) {
+			var row = _.find(table.children, function (view) {
+				return view.model.id === id;
+			});
+			row.$el.children("td").first().trigger($.Event("click", modifiers));
+		}
+
+		function selectedIds() {
+			return _.pluck(table.getSelectedModels(), "id").sort();
+		}
+
+		function selectedRows() {
+			return table.$("tr.resourceMain.selected").map(function () {
+				return $(this).children("td[data-column=name]").text();
+			}).get();
+		}
+
+		setup(function () {
+			instances = new Backbone.Collection(_.map(["a", "b", "c", "d", "e"], function (name, i) {
+				return {id: i + 1, name: name, zone: i % 2 ? "eu" : "us"};
+			}));
+		});
+
+		teardown(function () {
+			table.destroy();
+		});
+
+		test("click selects a single row, ctrl-click toggles a row", function () {
+			createTable();
+			clickRow(2);
+			clickRow(4, {ctrlKey: true});
+			assert.deepEqual(selectedIds(), [2, 4]);
+			clickRow(2, {metaKey: true});
+			assert.deepEqual(selectedIds(), [4]);
+			clickRow(1);
+			assert.deepEqual(selectedIds(), [1]);
+			assert.deepEqual(selectedRows(), ["a"]);
+			assert.deepEqual(changes, [[2], [2, 4], [4], [1]]);
+		});
+
+		test("shift-click selects the range from the anchor in display order", function () {
+			createTable();
+			table.sortByColumn("name", "desc");
+			clickRow(4);
+			clickRow(2, {shiftKey: true});
+			assert.deepEqual(selectedIds(), [2, 3, 4]);
+			// ctrl keeps the current selection
+			clickRow(5, {ctrlKey: true});
+			clickRow(1, {shiftKey: true, ctrlKey: true});
+			assert.deepEqual(selectedIds(), [1, 2, 3, 4, 5]);
+		});
+
+		test("single mode keeps only the last row selected", function () {
+			createTable({selectionMode: "single"});
+			clickRow(1);
+			clickRow(3, {ctrlKey: true});
+			clickRow(5, {shiftKey: true});
+			assert.deepEqual(selectedIds(), [5]);
+		});
+
+		test("select all checkbox selects filtered rows and reflects their state", function () {
+			var checkbox;
+
+			createTable({checkboxes: true});
+			table.addFilter("zone", {zone: "us"});
+			checkbox = table.$("thead input.select-all");
+			checkbox.click();
+			assert.deepEqual(selectedIds(), [1, 3, 5]);
+			assert.isFalse(checkbox.get(0).indeterminate);
+
+			clickRow(3, {ctrlKey: true});
+			assert.isFalse(checkbox.prop("checked"));
+			assert.isTrue(checkbox.get(0).indeterminate);
+
+			table.removeFilter("zone");
+			assert.isTrue(checkbox.get(0).indeterminate);
+			table.selectAll();
+			assert.isTrue(checkbox.prop("checked"));
+			assert.deepEqual(selectedIds(), [1, 2, 3, 4, 5]);
+
+			// unchecking deselects only filtered rows
+			table.addFilter("zone", {zone: "eu"});
+			checkbox.click();
+			assert.deepEqual(selectedIds(), [1, 3, 5]);
+		});
+
+		test("select all includes rows added to the collection", function () {
+			createTable();
+			instances.add({id: 6, name: "f", zone: "us"});
+			table.selectAll();
+			assert.deepEqual(selectedIds(), [1, 2, 3, 4, 5, 6]);
+		});
+
+		test("selection survives sorting and filtering", function () {
+			createTable();
+			table.selectModels([instances.get(2), instances.get(3)]);
+			table.sortByColumn("name", "desc");
+			assert.deepEqual(selectedRows(), ["c", "b"]);
+
+			table.addFilter("zone", {zone: "eu"});
+			assert.deepEqual(selectedRows(), ["b"]);
+			// hidden rows stay selected
+			assert.deepEqual(selectedIds(), [2, 3]);
+
+			table.removeFilter("zone");
+			assert.deepEqual(selectedRows(), ["c", "b"]);
+		});
+
+		test("removed models are deselected", function () {
+			createTable();
+			table.selectModels([instances.get(2), instances.get(3)]);
+			instances.remove(instances.get(2));
+			assert.deepEqual(selectedIds(), [3]);
+			assert.deepEqual(_.last(changes), [3]);
+		});
+	});
+});
@@ -0,0 +1,156 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/TableView"
+], function (
+	$,
+	_,
+	Backbone,
+	TableView
+) {
+	var assert = chai.assert;
+
+	function createInstances() {
+		return new Backbone.Collection([
+			{id: 1, name: "web-2", zone: "us-east-1", cpu: 2, created: "2013-05-01"},
+			{id: 2, name: "web-10", zone: "eu-west-1", cpu: 3, created: "2013-01-15"},
+			{id: 3, name: "db-1", zone: "us-east-1", cpu: 1, created: "2013-03-10"}
+		]);
+	}
+
+	function createColumns() {
+		return [
+			{title: "Name", key: "name", sortable: true, comparator: "natural"},
+			{title: "Zone", key: "zone", sortable: true},
+			{title: "CPU", key: "cpu", sortable: true, comparator: "number"},
+			{title: "Created", key: "created", sortable: true, comparator: "date"}
+		];
+	}
+
+	function displayedIds(table) {
+		return _.map(table.children, function (view) {
+			return view.model.id;
+		});
+	}
+
+	suite("generic.TableView sorting", function () {
+		test("defaultSort is applied on the first render", function () {
+			var instances = createInstances(),
+				table = new TableView({
+					collection: instances,
+					columns: createColumns(),
+					defaultSort: [{column: "cpu", order: "desc"}]
+				});
+
+			table.render();
+			assert.deepEqual(displayedIds(table), [2, 1, 3]);
+			assert.isTrue(table.$("th[data-column=cpu]").hasClass("sorted-desc"));
+			// the collection itself isn't sorted
+			assert.deepEqual(instances.pluck("id"), [1, 2, 3]);
+			table.destroy();
+		});
+
+		test("rows are added in sorted order to the table created for empty collection", function (done) {
+			var instances = new Backbone.Collection(),
+				table = new TableView({
+					collection: instances,
+					columns: createColumns(),
+					defaultSort: [{column: "cpu", order: "asc"}]
+				}).render();
+
+			instances.add({id: 1, name: "web-2", cpu: 2});
+			instances.add({id: 2, name: "db-1", cpu: 1});
+			_.defer(function () {
+				assert.deepEqual(displayedIds(table), [2, 1]);
+				table.destroy();
+				done();
+			});
+		});
+
+		test("click on header sorts by the column and toggles the order", function () {
+			var table = new TableView({
+					collection: createInstances(),
+					columns: createColumns()
+				}).render(),
+				changes = [];
+
+			table.on("sort:change", function (view, state) {
+				changes.push(state);
+			});
+			table.$("th[data-column=name] a").click();
+			assert.deepEqual(displayedIds(table), [3, 1, 2]);
+			table.$("th[data-column=name] a").click();
+			assert.deepEqual(displayedIds(table), [2, 1, 3]);
+			assert.deepEqual(changes, [[{column: "name", order: "asc"}], [{column: "name", order: "desc"}]]);
+			table.destroy();
+		});
+
+		test("shift-click adds the column to multi-column sort", function () {
+			var table = new TableView({
+				collection: createInstances(),
+				columns: createColumns()
+			}).render();
+
+			table.$("th[data-column=zone] a").click();
+			table.$("th[data-column=cpu] a").trigger($.Event("click", {shiftKey: true}));
+			assert.deepEqual(table.getSortState(), [{column: "zone", order: "asc"}, {column: "cpu", order: "asc"}]);
+			assert.deepEqual(displayedIds(table), [2, 3, 1]);
+			table.destroy();
+		});
+
+		test("date comparator orders by time", function () {
+			var table = new TableView({
+				collection: createInstances(),
+				columns: createColumns(),
+				defaultSort: [{column: "created", order: "asc"}]
+			}).render();
+
+			assert.deepEqual(displayedIds(table), [2, 3, 1]);
+			table.destroy();
+		});
+
+		test("empty, non numeric values and invalid dates are at the end in both orders", function () {
+			var instances = new Backbone.Collection([
+					{id: 1, cpu: "n/a", created: "never"},
+					{id: 2, cpu: 4, created: "2013-05-01"},
+					{id: 3, cpu: "", created: ""},
+					{id: 4, cpu: 0, created: "2013-01-15"},
+					{id: 5, cpu: null, created: null}
+				]),
+				table = new TableView({
+					collection: instances,
+					columns: createColumns()
+				}).render(),
+				sortedIds = function (column, order) {
+					table.sortByColumn(column, order);
+					return displayedIds(table);
+				};
+
+			assert.deepEqual(sortedIds("cpu", "asc"), [4, 2, 1, 3, 5]);
+			assert.deepEqual(sortedIds("cpu", "desc"), [2, 4, 1, 3, 5]);
+			assert.deepEqual(sortedIds("created", "asc"), [4, 2, 1, 3, 5]);
+			assert.deepEqual(sortedIds("created", "desc"), [2, 4, 1, 3, 5]);
+			table.destroy();
+		});
+
+		test("changed model is ordered by collection's comparator when the table isn't sorted", function (done) {
+			var instances = createInstances(),
+				table;
+
+			instances.comparator = "cpu";
+			instances.sort();
+			table = new TableView({
+				collection: instances,
+				columns: createColumns()
+			}).render();
+			assert.deepEqual(displayedIds(table), [3, 1, 2]);
+			instances.get(3).set("cpu", 5);
+			_.defer(function () {
+				assert.deepEqual(displayedIds(table), [1, 2, 3]);
+				table.destroy();
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,150 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/View",
+	"generic/CollectionView",
+	"generic/TableView"
+], function (
+	$,
+	_,
+	Backbone,
+	View,
+	CollectionView,
+	TableView
+) {
+	var assert = chai.assert;
+
+	var ItemView = View.extend({
+		template: "<%- name %>"
+	});
+
+	var StatusView = View.extend({
+		className: "status",
+		initialize: function (options) {
+			this.template = options.status;
+			this.xhr = options.xhr;
+			View.prototype.initialize.apply(this, arguments);
+		}
+	});
+
+	var ErrorView = StatusView.extend({
+		events: {
+			"click": function () {
+				this.trigger("retry");
+			}
+		}
+	});
+
+	suite("generic.CollectionView status", function () {
+		var collection,
+			view;
+
+		function createView(options) {
+			view = new CollectionView(_.extend({
+				collection: collection,
+				itemView: ItemView,
+				emptyView: StatusView,
+				loadingView: StatusView,
+				errorView: ErrorView
+			}, options)).render();
+			return view;
+		}
+
+		setup(function () {
+			collection = new Backbone.Collection();
+		});
+
+		teardown(function () {
+			view.destroy();
+		});
+
+		test("empty view is displayed while the collection has no models", function (done) {
+			createView();
+			assert.equal(view.getStatus(), "empty");
+			assert.equal(view.$(".status").text(), "empty");
+
+			collection.add({name: "a"});
+			_.defer(function () {
+				assert.isNull(view.getStatus());
+				assert.lengthOf(view.$(".status"), 0);
+				assert.equal(view.$el.text(), "a");
+				done();
+			});
+		});
+
+		test("status is noMatches when models don't pass filters", function () {
+			collection.reset([{name: "a"}, {name: "b"}]);
+			createView();
+			view.addFilter("name", {name: "c"});
+			assert.equal(view.getStatus(), "noMatches");
+			assert.equal(view.$(".status").text(), "noMatches");
+
+			view.removeFilter("name");
+			assert.isNull(view.getStatus());
+			assert.lengthOf(view.$(".status"), 0);
+		});
+
+		test("status is updated on refresh without filtering the collection again", function () {
+			var counted = 0;
+
+			collection.reset([{name: "a"}, {name: "b"}]);
+			createView();
+			view.getFilteredCount = function () {
+				counted++;
+				return CollectionView.prototype.getFilteredCount.apply(this, arguments);
+			};
+			view.addFilter("name", {name: "c"});
+			assert.equal(view.getStatus(), "noMatches");
+			view.removeFilter("name");
+			assert.isNull(view.getStatus());
+			assert.equal(counted, 0);
+		});
+
+		test("loading view is displayed between request and sync of the collection", function () {
+			createView();
+			collection.trigger("request", collection, {}, {data: {q: "a"}});
+			assert.equal(view.getStatus(), "loading");
+			assert.equal(view.$(".status").text(), "loading");
+
+			// requests of models are ignored
+			collection.add({name: "a"});
+			collection.trigger("sync", collection.at(0));
+			assert.equal(view.getStatus(), "loading");
+
+			collection.trigger("sync", collection);
+			assert.isNull(view.getStatus());
+			assert.lengthOf(view.$(".status"), 0);
+		});
+
+		test("error view can fetch the collection again", function () {
+			var fetched;
+
+			createView();
+			collection.fetch = function (options) {
+				fetched = options;
+			};
+			collection.trigger("request", collection, {}, {data: {q: "a"}, success: function () {}});
+			collection.trigger("error", collection, {status: 500});
+			assert.equal(view.getStatus(), "error");
+			assert.equal(view.statusView.xhr.status, 500);
+
+			view.$(".status").click();
+			assert.deepEqual(fetched, {data: {q: "a"}});
+		});
+
+		test("status view is displayed in a full-width row of the table", function () {
+			view = new TableView({
+				collection: collection,
+				columns: [
+					{title: "Name", key: "name"},
+					{title: "Zone", key: "zone"}
+				],
+				emptyView: StatusView
+			}).render();
+
+			assert.lengthOf(view.$("tbody > tr.status-row.status-empty > td > .status"), 1);
+			assert.equal(view.$("tr.status-row > td").attr("colspan"), "2");
+		});
+	});
+});
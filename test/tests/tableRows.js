@@ -0,0 +1,171 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/View",
+	"generic/TableView"
+], function (
+	$,
+	_,
+	Backbone,
+	View,
+	TableView
+) {
+	var assert = chai.assert;
+
+	function cellHtml(table, columnId) {
+		return table.$("tr.resourceMain td[data-column='" + columnId + "']").html();
+	}
+
+	suite("generic.TableRowView", function () {
+		var instances,
+			table;
+
+		setup(function () {
+			instances = new Backbone.Collection([
+				{id: 1, name: "web<1>", memory: 2048, status: "running", location: {region: "us-east-1"}}
+			]);
+		});
+
+		teardown(function () {
+			table.destroy();
+		});
+
+		test("value of key or accessor is displayed as text", function () {
+			table = new TableView({
+				collection: instances,
+				columns: [
+					{title: "Name", key: "name"},
+					{title: "Region", key: "location.region"},
+					{title: "Label", id: "label", accessor: function (model) {
+						return model.get("name") + " (" + model.get("status") + ")";
+					}},
+					{title: "Empty", key: "missing"}
+				]
+			}).render();
+
+			assert.equal(cellHtml(table, "name"), "web&lt;1&gt;");
+			assert.equal(cellHtml(table, "location.region"), "us-east-1");
+			assert.equal(cellHtml(table, "label"), "web&lt;1&gt; (running)");
+			assert.equal(cellHtml(table, "missing"), "");
+		});
+
+		test("formatter's result is displayed as text", function () {
+			table = new TableView({
+				collection: instances,
+				columns: [
+					{title: "Memory", key: "memory", formatter: function (value, model) {
+						return "<" + (value / 1024) + " GB>";
+					}}
+				]
+			}).render();
+
+			assert.equal(cellHtml(table, "memory"), "&lt;2 GB&gt;");
+		});
+
+		test("template renderer receives formatted value, model and column", function () {
+			table = new TableView({
+				collection: instances,
+				columns: [
+					{title: "Status", key: "status", formatter: function (value) {
+						return value.toUpperCase();
+					}, renderer: "<span class='status-<%- model.get(\"status\") %>'><%- column.title %>: <%- value %></span>"}
+				]
+			}).render();
+
+			assert.equal(cellHtml(table, "status"), "<span class=\"status-running\">Status: RUNNING</span>");
+		});
+
+		test("function renderer returns html and is called in table's context", function () {
+			var context;
+
+			table = new TableView({
+				collection: instances,
+				columns: [
+					{title: "Name", key: "name", renderer: function (value, model) {
+						context = this;
+						return "<b>" + _.escape(value) + "</b>#" + model.id;
+					}}
+				]
+			}).render();
+
+			assert.equal(cellHtml(table, "name"), "<b>web&lt;1&gt;</b>#1");
+			assert.strictEqual(context, table);
+		});
+
+		test("view renderer is created for the cell and destroyed with the row", function () {
+			var StatusView = View.extend({
+					tagName: "i",
+					initialize: function (options) {
+						View.prototype.initialize.apply(this, arguments);
+						this.column = options.column;
+						this.value = options.value;
+					},
+					renderContent: function () {
+						this.$el.text(this.column.id + "=" + this.value);
+					}
+				}),
+				row,
+				cellView;
+
+			table = new TableView({
+				collection: instances,
+				columns: [
+					{title: "Status", key: "status", renderer: StatusView}
+				]
+			}).render();
+
+			row = table.children[0];
+			cellView = row.cellViews.status;
+			assert.instanceOf(cellView, StatusView);
+			assert.strictEqual(cellView.model, instances.get(1));
+			assert.equal(cellHtml(table, "status"), "<i>status=running</i>");
+
+			instances.get(1).set("status", "stopped");
+			assert.isTrue(cellView.destroyed);
+			assert.equal(cellHtml(table, "status"), "<i>status=stopped</i>");
+
+			cellView = row.cellViews.status;
+			row.destroy();
+			assert.isTrue(cellView.destroyed);
+		});
+
+		test("only cells which depend on changed attributes are re-rendered", function () {
+			var rendered = [],
+				renderer = function (id) {
+					return function (value) {
+						rendered.push(id);
+						return _.escape(String(value));
+					};
+				};
+
+			table = new TableView({
+				collection: instances,
+				columns: [
+					{title: "Name", key: "name", renderer: renderer("name")},
+					{title: "Region", key: "location.region", renderer: renderer("region")},
+					{title: "Usage", id: "usage", observe: ["memory", "status"], accessor: function (model) {
+						return model.get("memory") + " " + model.get("status");
+					}, renderer: renderer("usage")},
+					{title: "Label", id: "label", accessor: function (model) {
+						return model.id;
+					}, renderer: renderer("label")}
+				]
+			}).render();
+
+			rendered = [];
+			instances.get(1).set("memory", 4096);
+			assert.deepEqual(rendered, ["usage", "label"]);
+			assert.equal(cellHtml(table, "usage"), "4096 running");
+
+			rendered = [];
+			instances.get(1).set("location", {region: "eu-west-1"});
+			assert.deepEqual(rendered, ["region", "label"]);
+			assert.equal(cellHtml(table, "location.region"), "eu-west-1");
+
+			rendered = [];
+			instances.get(1).set("name", "web-2");
+			assert.deepEqual(rendered, ["name", "label"]);
+		});
+	});
+});
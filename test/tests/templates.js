@@ -0,0 +1,177 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/templates",
+	"generic/View",
+	"generic/TableView"
+], function (
+	$,
+	_,
+	Backbone,
+	templates,
+	View,
+	TableView
+) {
+	var assert = chai.assert;
+
+	suite("generic.templates", function () {
+		var helpers,
+			compiler;
+
+		setup(function () {
+			helpers = _.clone(templates.helpers);
+			compiler = templates.compiler;
+		});
+
+		teardown(function () {
+			templates.helpers = helpers;
+			if (templates.compiler !== compiler) {
+				templates.setCompiler(compiler);
+			}
+			_.each(_.keys(templates.registry), function (name) {
+				if (name.indexOf("test-") === 0) {
+					delete templates.registry[name];
+				}
+			});
+		});
+
+		test("named templates render partials with helpers", function () {
+			var view;
+
+			templates.register("test-status", "<b><%- upper(status) %></b>");
+			templates.register("test-item", "<%- name %><%- suffix %> <%= partial('test-status', {status: status}) %>");
+			templates.registerHelpers({
+				upper: function (value) {
+					return value.toUpperCase();
+				}
+			});
+			view = new (View.extend({
+				templateName: "test-item",
+				templateHelpers: {
+					suffix: "!"
+				}
+			}))({model: new Backbone.Model({name: "web-01", status: "running"})});
+
+			view.render();
+			assert.equal(view.$el.html(), "web-01! <b>RUNNING</b>");
+			view.destroy();
+		});
+
+		test("named template is read from script element", function () {
+			var $script = $("<script type='text/template' id='test-script'>[<%- name %>]</script>").appendTo("body"),
+				view = new View({
+					templateName: "test-script",
+					model: new Backbone.Model({name: "web-01"})
+				});
+
+			try {
+				view.render();
+				assert.equal(view.$el.html(), "[web-01]");
+			} finally {
+				$script.remove();
+			}
+			view.destroy();
+		});
+
+		test("templates are compiled once", function () {
+			var compiled = 0,
+				ItemView = View.extend({
+					template: "<%- name %>"
+				}),
+				views;
+
+			templates.setCompiler(function (source) {
+				compiled++;
+				return compiler(source);
+			});
+			views = _.map(["a", "b", "c"], function (name) {
+				return new ItemView({model: new Backbone.Model({name: name})}).render();
+			});
+			assert.deepEqual(_.map(views, function (view) {
+				return view.$el.html();
+			}), ["a", "b", "c"]);
+			assert.equal(compiled, 1);
+			// compiled template is shared by views of other classes
+			assert.strictEqual(templates.compile("<%- name %>"), views[0].getTemplate());
+			assert.equal(compiled, 1);
+			_.invoke(views, "destroy");
+		});
+
+		test("views use replaced compiler", function () {
+			var ItemView = View.extend({
+					template: "<%- name %>"
+				}),
+				view = new ItemView({model: new Backbone.Model({name: "web-01"})});
+
+			view.render();
+			assert.equal(view.$el.html(), "web-01");
+			templates.setCompiler(function (source) {
+				return function (context) {
+					return source.replace("<%- name %>", context.name.toUpperCase());
+				};
+			});
+			view.render();
+			assert.equal(view.$el.html(), "WEB-01");
+			templates.setCompiler(compiler);
+			view.render();
+			assert.equal(view.$el.html(), "web-01");
+			view.destroy();
+		});
+
+		test("registering a template replaces it in rendered views", function () {
+			var view;
+
+			templates.register("test-name", "<%- name %>");
+			view = new View({
+				templateName: "test-name",
+				model: new Backbone.Model({name: "web-01"})
+			}).render();
+			templates.register("test-name", "<i><%- name %></i>");
+			view.render();
+			assert.equal(view.$el.html(), "<i>web-01</i>");
+			view.destroy();
+		});
+
+		test("context overrides helpers", function () {
+			templates.registerHelpers({
+				label: "helper"
+			});
+			assert.equal(templates.render(templates.compile("<%- label %>")), "helper");
+			assert.equal(templates.render(templates.compile("<%- label %>"), {label: "context"}), "context");
+			assert.equal(templates.render(templates.compile("<%- label %>"), {}, {label: "view"}), "view");
+		});
+
+		test("missing template renders nothing", function () {
+			var error = console.error,
+				errors = [];
+
+			console.error = function () {
+				errors.push(_.toArray(arguments));
+			};
+			try {
+				assert.isUndefined(templates.get("test-missing"));
+				assert.equal(templates.render(templates.get("test-missing"), {}), "");
+			} finally {
+				console.error = error;
+			}
+			assert.deepEqual(errors[0], ["Template is not found", "test-missing"]);
+		});
+
+		test("cell renderers are compiled by the template engine", function () {
+			var table;
+
+			templates.registerHelpers({
+				upper: function (value) {
+					return value.toUpperCase();
+				}
+			});
+			table = new TableView({
+				collection: new Backbone.Collection([{id: 1, name: "web-01"}]),
+				columns: [{title: "Name", key: "name", renderer: "<b><%- upper(value) %></b>"}]
+			}).render();
+			assert.equal(table.$("td[data-column=name]").html(), "<b>WEB-01</b>");
+			table.destroy();
+		});
+	});
+});
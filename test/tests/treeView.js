@@ -0,0 +1,220 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/TreeView"
+], function (
+	$,
+	_,
+	Backbone,
+	TreeView
+) {
+	var assert = chai.assert;
+
+	function displayedLabels(tree) {
+		return tree.$("li.tree-node > .tree-node-row > .tree-label").map(function () {
+			return $(this).text();
+		}).get();
+	}
+
+	suite("generic.TreeView loading", function () {
+		function createTree(loadChildren) {
+			return new TreeView({
+				collection: new Backbone.Collection([{id: "eu", name: "Europe"}]),
+				loadChildren: loadChildren
+			});
+		}
+
+		test("children are loaded with native Promise", function (done) {
+			var tree = createTree(function () {
+					return Promise.resolve([{id: "eu-1", name: "Paris"}]);
+				}),
+				europe = tree.collection.get("eu");
+
+			tree.render();
+			tree.on("node:load", function (view, model, success) {
+				assert.isTrue(success);
+				assert.isFalse(tree.isLoading(europe));
+				assert.deepEqual(displayedLabels(tree), ["Europe", "Paris"]);
+				tree.destroy();
+				done();
+			});
+			tree.expandNode(europe);
+			assert.isTrue(tree.isLoading(europe));
+		});
+
+		test("node isn't loaded if loading fails", function (done) {
+			var calls = 0,
+				tree = createTree(function () {
+					calls++;
+					return Promise.reject(new Error("offline"));
+				}),
+				europe = tree.collection.get("eu");
+
+			tree.render();
+			tree.on("node:load", function (view, model, success) {
+				assert.isFalse(success);
+				assert.isFalse(tree.isLoading(europe));
+				assert.isTrue(tree.hasChildren(europe));
+				// children are requested again when the node is expanded next time
+				tree.collapseNode(europe);
+				tree.off("node:load");
+				tree.expandNode(europe);
+				assert.equal(calls, 2);
+				tree.destroy();
+				done();
+			});
+			tree.expandNode(europe);
+		});
+
+		test("loading is rejected if loadChildren returns neither promise nor array", function () {
+			var tree = createTree(function () {}),
+				europe = tree.collection.get("eu"),
+				events = [],
+				rejected;
+
+			tree.render();
+			tree.on("node:load", function (view, model, success, error) {
+				events.push([success, error]);
+			});
+			tree.loadNode(europe).fail(function (error) {
+				rejected = error;
+			});
+			assert.instanceOf(rejected, Error);
+			assert.match(rejected.message, /loadChildren should return a promise or an array/);
+			assert.deepEqual(events, [[false, rejected]]);
+			assert.isFalse(tree.isLoading(europe));
+			assert.notOk(tree.loadedNodes.eu);
+			tree.destroy();
+		});
+	});
+
+	suite("generic.TreeView search", function () {
+		var tree;
+
+		setup(function () {
+			tree = new TreeView({
+				collection: new Backbone.Collection([
+					{id: "eu", name: "Europe", children: [{id: "eu-1", name: "Paris"}, {id: "eu-2", name: "Berlin"}]},
+					{id: "us", name: "America", children: [{id: "us-1", name: "Virginia"}]}
+				])
+			});
+			tree.render();
+		});
+
+		teardown(function () {
+			tree.destroy();
+		});
+
+		test("node expanded by search can be collapsed", function () {
+			var europe = tree.collection.get("eu");
+
+			tree.search("Paris");
+			assert.isTrue(tree.isExpanded(europe));
+			assert.deepEqual(displayedLabels(tree), ["Europe", "Paris"]);
+
+			tree.toggleNode(europe);
+			assert.isFalse(tree.isExpanded(europe));
+			assert.deepEqual(displayedLabels(tree), ["Europe"]);
+
+			tree.toggleNode(europe);
+			assert.deepEqual(displayedLabels(tree), ["Europe", "Paris"]);
+		});
+
+		test("Left key collapses node expanded by search until search is changed", function () {
+			var europe = tree.collection.get("eu"),
+				el;
+
+			tree.search("Paris");
+			el = tree.nodeViews[europe.cid].el;
+			$(el).trigger($.Event("keydown", {which: 37}));
+			assert.deepEqual(displayedLabels(tree), ["Europe"]);
+
+			tree.search("Berlin");
+			assert.deepEqual(displayedLabels(tree), ["Europe", "Berlin"]);
+		});
+	});
+
+	suite("generic.TreeView checkboxes", function () {
+		var tree;
+
+		function checkStates() {
+			return tree.$("li.tree-node").map(function () {
+				return $(this).children(".tree-node-row").children(".tree-label").text() + ":" + this.getAttribute("aria-checked");
+			}).get();
+		}
+
+		setup(function () {
+			tree = new TreeView({
+				collection: new Backbone.Collection([
+					{id: "eu", name: "Europe", children: [
+						{id: "fr", name: "France", children: [{id: "fr-1", name: "Paris"}, {id: "fr-2", name: "Lyon"}]},
+						{id: "de", name: "Germany", children: [{id: "de-1", name: "Berlin"}]}
+					]},
+					{id: "us", name: "America", children: [{id: "us-1", name: "Virginia"}]}
+				]),
+				checkboxes: true
+			});
+			tree.render();
+			tree.revealNode(tree.getChildCollection(tree.getChildCollection(tree.collection.get("eu")).get("fr")).get("fr-1"));
+			tree.expandNode(tree.getChildCollection(tree.collection.get("eu")).get("de"));
+		});
+
+		teardown(function () {
+			tree.destroy();
+		});
+
+		test("checking a node updates its descendants and ancestors", function () {
+			var europe = tree.collection.get("eu"),
+				countries = tree.getChildCollection(europe),
+				paris = tree.getChildCollection(countries.get("fr")).get("fr-1"),
+				lyon = tree.getChildCollection(countries.get("fr")).get("fr-2");
+
+			tree.setChecked(paris, true);
+			assert.deepEqual(checkStates(), ["Europe:mixed", "France:mixed", "Paris:true", "Lyon:false",
+				"Germany:false", "Berlin:false", "America:false"]);
+			assert.isTrue(tree.$("li.tree-node").first().children(".tree-node-row").children(".tree-check").prop("indeterminate"));
+
+			tree.setChecked(lyon, true);
+			assert.equal(tree.getCheckState(countries.get("fr")), "checked");
+			assert.equal(tree.getCheckState(europe), "mixed");
+
+			tree.setChecked(countries.get("de"), true);
+			assert.deepEqual(checkStates(), ["Europe:true", "France:true", "Paris:true", "Lyon:true",
+				"Germany:true", "Berlin:true", "America:false"]);
+
+			tree.setChecked(europe, false);
+			assert.deepEqual(tree.getCheckedModels(), []);
+			assert.deepEqual(_.uniq(_.map(checkStates(), function (state) {
+				return state.split(":")[1];
+			})), ["false"]);
+		});
+
+		test("check states are computed once per update", function () {
+			var visited = 0,
+				collectCheckStates = tree.collectCheckStates;
+
+			tree.collectCheckStates = function () {
+				visited++;
+				return collectCheckStates.apply(this, arguments);
+			};
+			tree.setChecked(tree.collection.get("us"), true);
+			// each of 8 nodes is visited once
+			assert.equal(visited, 8);
+			assert.deepEqual(_.pluck(tree.getCheckedModels(), "id"), ["us", "us-1"]);
+		});
+
+		test("Space key toggles checkbox of the focused node", function () {
+			var america = tree.collection.get("us"),
+				el = tree.nodeViews[america.cid].el;
+
+			assert.equal(tree.getNodeModel(el).id, "us");
+			$(el).trigger($.Event("keydown", {which: 32}));
+			assert.equal(tree.getCheckState(america), "checked");
+			$(el).trigger($.Event("keydown", {which: 38}));
+			// previous visible node
+			assert.equal(tree.focusedNode.id, "de-1");
+			assert.equal(el.getAttribute("tabindex"), "-1");
+		});
+	});
+});
@@ -0,0 +1,77 @@
+define([
+	"jquery",
+	"underscore",
+	"backbone",
+	"generic/CollectionView"
+], function (
+	$,
+	_,
+	Backbone,
+	CollectionView
+) {
+	var assert = chai.assert;
+
+	// collections passed to CollectionView are expected to provide checkFilter
+	var Items = Backbone.Collection.extend({
+		checkFilter: function () {
+			return true;
+		}
+	});
+
+	function createCollection(count) {
+		return new Items(_.map(_.range(count), function (i) {
+			return {id: i, name: "item " + i};
+		}));
+	}
+
+	suite("generic.CollectionView virtual mode", function () {
+		test("renders only the first items until the view is attached", function () {
+			var view = new CollectionView({
+				collection: createCollection(1000),
+				virtual: true,
+				itemHeight: 20,
+				overscan: 5
+			});
+
+			view.render();
+			assert.equal(view.children.length, 10);
+			assert.equal(view.$el.children(".virtual-spacer").length, 2);
+			view.destroy();
+		});
+
+		test("spacer of zero height stays displayed, so scroll position can be measured", function () {
+			var view = new CollectionView({
+				collection: createCollection(100),
+				virtual: true,
+				itemHeight: 20
+			});
+
+			view.render();
+			assert.equal(view.topSpacer.style.height, "0px");
+			assert.notEqual(view.topSpacer.style.display, "none");
+			view.destroy();
+		});
+
+		test("estimated item height is the average of measured heights", function () {
+			var view = new CollectionView({
+					collection: createCollection(10),
+					virtual: true
+				}),
+				measured = function (cid, height) {
+					return {
+						el: {offsetHeight: height},
+						model: {cid: cid}
+					};
+				};
+
+			view.attached = true;
+			view.measureVirtualViews([measured("a", 10), measured("b", 30)]);
+			assert.equal(view.getEstimatedItemHeight(), 20);
+			// re-measured item replaces its previous height
+			view.measureVirtualViews([measured("a", 50)]);
+			assert.equal(view.getEstimatedItemHeight(), 40);
+			view.attached = false;
+			view.destroy();
+		});
+	});
+});